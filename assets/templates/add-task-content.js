@@ -0,0 +1,188 @@
+/**
+ * @fileoverview Add Task Content HTML Templates
+ * @description Provides the HTML structure of the add task page, its contact
+ *              options and subtask list items.
+ * @module templates/add-task-content
+ */
+
+import { escapeHtml } from "../../js/shared/ui-helpers.js";
+
+/**
+ * Priorities in display order.
+ * @type {Array<{value: string, label: string}>}
+ */
+const PRIORITY_OPTIONS = [
+  { value: "urgent", label: "Urgent" },
+  { value: "medium", label: "Medium" },
+  { value: "low", label: "Low" },
+];
+
+/**
+ * Generates the HTML content of the add task page.
+ *
+ * @param {string} today - Today's date ("YYYY-MM-DD"), earliest due date
+ * @returns {string} HTML string of the add task page content
+ */
+export function getAddTaskContentHTML(today) {
+  return `
+    <section class="add-task">
+      <div class="add-task__header">
+        <h1 class="add-task__headline">Add Task</h1>
+        <div class="add-task__divider"></div>
+      </div>
+      <form class="add-task__form" id="addTaskForm" novalidate>
+        <div class="add-task__column">
+          ${getTextFieldsHTML()}
+          ${getAssigneeFieldHTML()}
+        </div>
+        <div class="add-task__column">
+          ${getDueDateFieldHTML(today)}
+          ${getPriorityFieldHTML()}
+          ${getCategoryFieldHTML()}
+          ${getSubtaskFieldHTML()}
+        </div>
+        <div class="add-task__actions">
+          <p class="add-task__hint"><span class="add-task__required">*</span> This field is required</p>
+          <button type="reset" class="add-task__btn add-task__btn--secondary" id="addTaskClearBtn">Clear</button>
+          <button type="submit" class="add-task__btn" id="addTaskSubmitBtn">Create Task</button>
+        </div>
+      </form>
+    </section>
+  `;
+}
+
+/**
+ * Generates the title and description fields.
+ *
+ * @returns {string} HTML string of the fields
+ */
+function getTextFieldsHTML() {
+  return `
+    <label class="add-task__label" for="taskTitle">Title<span class="add-task__required">*</span></label>
+    <input class="add-task__input" id="taskTitle" type="text" placeholder="Enter a title" maxlength="100" required />
+    <label class="add-task__label" for="taskDescription">Description</label>
+    <textarea class="add-task__input add-task__textarea" id="taskDescription" rows="4" placeholder="Enter a description"></textarea>
+  `;
+}
+
+/**
+ * Generates the contact selection.
+ *
+ * @returns {string} HTML string of the field
+ */
+function getAssigneeFieldHTML() {
+  return `
+    <fieldset class="add-task__fieldset">
+      <legend class="add-task__label">Assigned to</legend>
+      <div class="add-task__contacts" id="taskContacts">
+        <p class="add-task__empty">No contacts yet.</p>
+      </div>
+    </fieldset>
+  `;
+}
+
+/**
+ * Generates the due date field.
+ *
+ * @param {string} today - Earliest selectable date
+ * @returns {string} HTML string of the field
+ */
+function getDueDateFieldHTML(today) {
+  return `
+    <label class="add-task__label" for="taskDueDate">Due date<span class="add-task__required">*</span></label>
+    <input class="add-task__input" id="taskDueDate" type="date" min="${today}" required />
+  `;
+}
+
+/**
+ * Generates the priority radio buttons (medium is preselected).
+ *
+ * @returns {string} HTML string of the field
+ */
+function getPriorityFieldHTML() {
+  const options = PRIORITY_OPTIONS.map(
+    ({ value, label }) => `
+      <label class="add-task__priority add-task__priority--${value}">
+        <input class="add-task__priority-input" type="radio" name="priority" value="${value}" ${value === "medium" ? "checked" : ""} />
+        <span class="add-task__priority-label">
+          ${label}
+          <img class="add-task__priority-icon" src="../assets/img/board/prio-${value}.svg" alt="" />
+        </span>
+      </label>
+    `,
+  ).join("");
+
+  return `
+    <fieldset class="add-task__fieldset">
+      <legend class="add-task__label">Prio</legend>
+      <div class="add-task__priorities">${options}</div>
+    </fieldset>
+  `;
+}
+
+/**
+ * Generates the category select.
+ *
+ * @returns {string} HTML string of the field
+ */
+function getCategoryFieldHTML() {
+  return `
+    <label class="add-task__label" for="taskCategory">Category<span class="add-task__required">*</span></label>
+    <select class="add-task__input" id="taskCategory" required>
+      <option value="">Select task category</option>
+      <option value="technical-task">Technical Task</option>
+      <option value="user-story">User Story</option>
+    </select>
+  `;
+}
+
+/**
+ * Generates the subtask input and list.
+ *
+ * @returns {string} HTML string of the field
+ */
+function getSubtaskFieldHTML() {
+  return `
+    <label class="add-task__label" for="subtaskInput">Subtasks</label>
+    <div class="add-task__subtask-row">
+      <input class="add-task__input" id="subtaskInput" type="text" placeholder="Add new subtask" maxlength="100" />
+      <button type="button" class="add-task__btn add-task__btn--icon" id="subtaskAddBtn" aria-label="Add subtask">+</button>
+    </div>
+    <ul class="add-task__subtasks" id="subtaskList"></ul>
+  `;
+}
+
+/**
+ * Generates one selectable contact.
+ *
+ * @param {Object} contact - Contact with id and name
+ * @param {string} initials - Contact initials
+ * @param {number} badge - Badge number (1-16)
+ * @param {boolean} checked - Whether the contact is selected
+ * @returns {string} HTML string of the option
+ */
+export function getContactOptionHTML(contact, initials, badge, checked) {
+  return `
+    <label class="add-task__contact">
+      <span class="add-task__badge add-task__badge--${badge}">${escapeHtml(initials)}</span>
+      <span class="add-task__contact-name">${escapeHtml(contact.name || "Unnamed")}</span>
+      <input class="add-task__contact-input" type="checkbox" name="assignedTo" value="${escapeHtml(contact.id)}" ${checked ? "checked" : ""} />
+    </label>
+  `;
+}
+
+/**
+ * Generates one subtask list item with a remove button.
+ *
+ * @param {string} title - Subtask title
+ * @param {number} index - Position in the list
+ * @returns {string} HTML string of the list item
+ */
+export function getSubtaskItemHTML(title, index) {
+  return `
+    <li class="add-task__subtask">
+      <span class="add-task__subtask-title">${escapeHtml(title)}</span>
+      <button type="button" class="add-task__subtask-remove" data-index="${index}" aria-label="Remove subtask">×</button>
+    </li>
+  `;
+}
@@ -0,0 +1,163 @@
+/**
+ * @fileoverview Board Content HTML Templates
+ * @description Provides the HTML structure of the board page, its status columns
+ *              and task cards.
+ * @module templates/board-content
+ */
+
+import { escapeHtml } from "../../js/shared/ui-helpers.js";
+
+/**
+ * Number of assignee badges shown on a card before a "+N" badge.
+ * @type {number}
+ */
+const MAX_CARD_BADGES = 3;
+
+/**
+ * Maximum length of the description excerpt on a card.
+ * @type {number}
+ */
+const EXCERPT_LENGTH = 60;
+
+/**
+ * Labels of the task categories.
+ * @type {Object<string, string>}
+ */
+const CATEGORY_LABELS = {
+  "technical-task": "Technical Task",
+  "user-story": "User Story",
+};
+
+/**
+ * Generates the HTML content of the board page.
+ *
+ * @param {Array<{status: string, label: string}>} columns - Board columns
+ * @returns {string} HTML string of the board page content
+ */
+export function getBoardContentHTML(columns) {
+  return `
+    <section class="board">
+      <div class="board__header">
+        <h1 class="board__headline">Board</h1>
+        <div class="board__divider"></div>
+      </div>
+      <div class="board__columns">
+        ${columns.map(getBoardColumnHTML).join("")}
+      </div>
+    </section>
+  `;
+}
+
+/**
+ * Generates the HTML of a single status column.
+ *
+ * @param {{status: string, label: string}} column - Board column
+ * @returns {string} HTML string of the column
+ */
+function getBoardColumnHTML({ status, label }) {
+  return `
+    <section class="board__column" data-status="${status}">
+      <h2 class="board__column-title">
+        ${label}
+        <span class="board__column-count" id="boardCount-${status}">0</span>
+      </h2>
+      <div class="board__list" id="boardList-${status}"></div>
+    </section>
+  `;
+}
+
+/**
+ * Generates the empty state of a column.
+ *
+ * @param {string} label - Column label
+ * @returns {string} HTML string of the empty state
+ */
+export function getBoardEmptyHTML(label) {
+  return `<p class="board__empty">No tasks in ${escapeHtml(label)}</p>`;
+}
+
+/**
+ * Generates the HTML of a task card.
+ *
+ * @param {Object} task - Normalized task
+ * @param {Array<{initials: string, badge: number, name: string}>} assignees - Resolved assignees
+ * @returns {string} HTML string of the card
+ */
+export function getTaskCardHTML(task, assignees) {
+  return `
+    <article class="board__card" data-id="${escapeHtml(task.id)}">
+      <span class="board__card-category board__card-category--${task.category}">
+        ${CATEGORY_LABELS[task.category]}
+      </span>
+      <h3 class="board__card-title">${escapeHtml(task.title || "Untitled")}</h3>
+      <p class="board__card-description">${escapeHtml(getExcerpt(task.description))}</p>
+      ${getSubtaskProgressHTML(task.subtasks)}
+      <div class="board__card-footer">
+        <div class="board__card-assignees">${getAssigneeBadgesHTML(assignees)}</div>
+        <img
+          class="board__card-priority"
+          src="../assets/img/board/prio-${task.priority}.svg"
+          alt="Priority: ${task.priority}"
+          title="Priority: ${task.priority}"
+        />
+      </div>
+    </article>
+  `;
+}
+
+/**
+ * Generates the subtask progress bar, or nothing for tasks without subtasks.
+ *
+ * @param {Array<{title: string, done: boolean}>} subtasks - Subtasks
+ * @returns {string} HTML string of the progress bar
+ */
+function getSubtaskProgressHTML(subtasks) {
+  if (subtasks.length === 0) return "";
+
+  const done = subtasks.filter((subtask) => subtask.done).length;
+  const percent = Math.round((done / subtasks.length) * 100);
+  return `
+    <div class="board__card-subtasks">
+      <div class="board__progress" role="progressbar" aria-valuenow="${percent}" aria-valuemin="0" aria-valuemax="100">
+        <span class="board__progress-fill" style="width: ${percent}%"></span>
+      </div>
+      <span class="board__progress-label">${done}/${subtasks.length} Subtasks</span>
+    </div>
+  `;
+}
+
+/**
+ * Generates the assignee badges, limited to MAX_CARD_BADGES plus a "+N" badge.
+ *
+ * @param {Array<{initials: string, badge: number, name: string}>} assignees - Resolved assignees
+ * @returns {string} HTML string of the badges
+ */
+function getAssigneeBadgesHTML(assignees) {
+  const badges = assignees
+    .slice(0, MAX_CARD_BADGES)
+    .map(
+      ({ initials, badge, name }) =>
+        `<span class="board__badge board__badge--${badge}" title="${escapeHtml(name)}">${escapeHtml(initials)}</span>`,
+    );
+  const hidden = assignees.length - MAX_CARD_BADGES;
+  if (hidden > 0) {
+    badges.push(
+      `<span class="board__badge board__badge--more">+${hidden}</span>`,
+    );
+  }
+  return badges.join("");
+}
+
+/**
+ * Shortens a description to EXCERPT_LENGTH characters at a word boundary.
+ *
+ * @param {string} text - Description
+ * @returns {string} - Excerpt
+ */
+function getExcerpt(text) {
+  if (text.length <= EXCERPT_LENGTH) return text;
+
+  const cut = text.slice(0, EXCERPT_LENGTH);
+  const lastSpace = cut.lastIndexOf(" ");
+  return `${(lastSpace > 0 ? cut.slice(0, lastSpace) : cut).trimEnd()}…`;
+}
@@ -0,0 +1,54 @@
+/**
+ * @fileoverview Delete Account Modal HTML Template
+ * @description Provides the confirmation dialog of the account deletion.
+ * @module templates/delete-account-modal
+ */
+
+/**
+ * Generates the HTML of the delete account confirmation modal.
+ * Registered users confirm with their password, guests only with the button.
+ *
+ * @param {boolean} isGuest - Whether the current user is a guest
+ * @returns {string} HTML string of the modal
+ */
+export function getDeleteAccountModalHTML(isGuest) {
+  const passwordField = isGuest
+    ? ""
+    : `
+      <input
+        type="password"
+        id="deleteAccountPassword"
+        class="modal__input"
+        placeholder="Password"
+        autocomplete="current-password"
+        required
+      />`;
+
+  return `
+    <div class="modal" id="deleteAccountModal" aria-hidden="true">
+      <form
+        class="modal__dialog"
+        id="deleteAccountForm"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="deleteAccountTitle"
+      >
+        <h2 class="modal__title" id="deleteAccountTitle">Delete account?</h2>
+        <p class="modal__text">
+          Your account, tasks and contacts will be deleted permanently.
+          This cannot be undone.
+          ${isGuest ? "" : "Enter your password to confirm."}
+        </p>
+        ${passwordField}
+        <div class="modal__actions">
+          <button type="button" class="modal__btn modal__btn--secondary" id="deleteAccountCancelBtn">
+            Cancel
+          </button>
+          <button type="submit" class="modal__btn modal__btn--danger" id="deleteAccountConfirmBtn">
+            Delete account
+          </button>
+        </div>
+      </form>
+    </div>
+  `;
+}
@@ -0,0 +1,63 @@
+/**
+ * @fileoverview History Content HTML Templates
+ * @description Provides the HTML structure of the history page and its entries.
+ * @module templates/history-content
+ */
+
+import { escapeHtml, formatDate } from "../../js/shared/ui-helpers.js";
+
+/**
+ * Generates the HTML content of the history page.
+ *
+ * @param {string|null} taskId - Task whose history is shown, or null for the user's activity
+ * @returns {string} HTML string of the history page content
+ */
+export function getHistoryContentHTML(taskId) {
+  const subheadline = taskId
+    ? "All changes made to this task."
+    : "Changes you made to tasks, contacts and your account.";
+
+  return `
+    <section class="history">
+      <div class="history__header">
+        <h1 class="history__headline">History</h1>
+        <p class="history__subheadline">${subheadline}</p>
+        <div class="history__divider"></div>
+      </div>
+      <p class="history__empty" id="historyEmpty" hidden>No changes recorded yet.</p>
+      <ul class="history__list" id="historyList"></ul>
+      <button type="button" class="history__more-btn" id="historyMoreBtn" hidden>
+        Load more
+      </button>
+    </section>
+  `;
+}
+
+/**
+ * Generates the HTML of a single activity entry.
+ *
+ * @param {Object} entry - Activity log entry
+ * @returns {string} HTML string of the list item
+ */
+export function getHistoryEntryHTML(entry) {
+  const fields = Object.keys(entry.changes || {});
+  const time = new Date(entry.createdAt).toLocaleTimeString("en-US", {
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+
+  return `
+    <li class="history__entry">
+      <span class="history__entry-action history__entry-action--${entry.action}">
+        ${escapeHtml(entry.action)}
+      </span>
+      <span class="history__entry-target">
+        ${escapeHtml(entry.collectionName)} · ${escapeHtml(entry.docId)}
+      </span>
+      <span class="history__entry-fields">
+        ${fields.length ? `Fields: ${escapeHtml(fields.join(", "))}` : "No field changes"}
+      </span>
+      <span class="history__entry-date">${formatDate(entry.createdAt)}, ${time}</span>
+    </li>
+  `;
+}
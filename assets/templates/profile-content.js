@@ -0,0 +1,120 @@
+/**
+ * @fileoverview Profile Content HTML Templates
+ * @description Provides the HTML structure of the profile and settings page.
+ * @module templates/profile-content
+ */
+
+import { BADGE_COLORS } from "../../services/badge.service.js";
+
+/**
+ * Generates the HTML content of the profile page.
+ * Guests can only change name and color; email and password need an account.
+ *
+ * @param {boolean} isGuest - Whether the current user is a guest
+ * @returns {string} HTML string of the profile page content
+ */
+export function getProfileContentHTML(isGuest) {
+  return `
+    <section class="profile">
+      <div class="profile__header">
+        <h1 class="profile__headline">Profile</h1>
+        <p class="profile__subheadline">Manage your name, badge color and login.</p>
+        <div class="profile__divider"></div>
+      </div>
+      ${getProfileFormHTML()}
+      ${isGuest ? getGuestHintHTML() : getEmailFormHTML() + getPasswordFormHTML()}
+    </section>
+  `;
+}
+
+/**
+ * Generates the name and badge color form.
+ *
+ * @returns {string} HTML string of the form
+ */
+function getProfileFormHTML() {
+  return `
+    <form class="profile__card" id="profileForm" novalidate>
+      <h2 class="profile__card-title">Personal data</h2>
+      <label class="profile__label" for="profileName">Name</label>
+      <input class="profile__input" id="profileName" type="text" autocomplete="name" required />
+      <fieldset class="profile__colors">
+        <legend class="profile__label">Badge color</legend>
+        ${BADGE_COLORS.map(getColorOptionHTML).join("")}
+      </fieldset>
+      <button type="submit" class="profile__btn" id="profileSaveBtn">Save</button>
+    </form>
+  `;
+}
+
+/**
+ * Generates one selectable badge color.
+ *
+ * @param {string} color - Hex color
+ * @param {number} index - Position in BADGE_COLORS
+ * @returns {string} HTML string of the option
+ */
+function getColorOptionHTML(color, index) {
+  return `
+    <label class="profile__color" style="--profile-color: ${color}">
+      <input class="profile__color-input" type="radio" name="colorCode" value="${color}" />
+      <span class="profile__color-swatch" aria-label="Color ${index + 1}"></span>
+    </label>
+  `;
+}
+
+/**
+ * Generates the email change form.
+ *
+ * @returns {string} HTML string of the form
+ */
+function getEmailFormHTML() {
+  return `
+    <form class="profile__card" id="emailForm" novalidate>
+      <h2 class="profile__card-title">Email address</h2>
+      <label class="profile__label" for="profileEmail">New email</label>
+      <input class="profile__input" id="profileEmail" type="email" autocomplete="email" required />
+      <label class="profile__label" for="emailCurrentPassword">Current password</label>
+      <input class="profile__input" id="emailCurrentPassword" type="password" autocomplete="current-password" required />
+      <button type="submit" class="profile__btn" id="emailSaveBtn">Change email</button>
+    </form>
+  `;
+}
+
+/**
+ * Generates the password change form.
+ *
+ * @returns {string} HTML string of the form
+ */
+function getPasswordFormHTML() {
+  return `
+    <form class="profile__card" id="passwordForm" novalidate>
+      <h2 class="profile__card-title">Password</h2>
+      <label class="profile__label" for="currentPassword">Current password</label>
+      <input class="profile__input" id="currentPassword" type="password" autocomplete="current-password" required />
+      <label class="profile__label" for="newPassword">New password</label>
+      <input class="profile__input" id="newPassword" type="password" autocomplete="new-password" required />
+      <label class="profile__label" for="confirmNewPassword">Confirm new password</label>
+      <input class="profile__input" id="confirmNewPassword" type="password" autocomplete="new-password" required />
+      <button type="submit" class="profile__btn" id="passwordSaveBtn">Change password</button>
+    </form>
+  `;
+}
+
+/**
+ * Generates the hint shown to guests instead of the login settings.
+ *
+ * @returns {string} HTML string of the hint
+ */
+function getGuestHintHTML() {
+  return `
+    <div class="profile__card">
+      <h2 class="profile__card-title">Login</h2>
+      <p class="profile__text">
+        Guests have no email or password.
+        <a class="profile__link" href="./register.html?upgrade=guest">Create an account</a>
+        to keep your data.
+      </p>
+    </div>
+  `;
+}
@@ -0,0 +1,38 @@
+/**
+ * @fileoverview Session Warning Modal HTML Template
+ * @description Provides the warning shown before an automatic logout after inactivity.
+ * @module templates/session-warning-modal
+ */
+
+/**
+ * Generates the HTML of the idle logout warning.
+ *
+ * @returns {string} HTML string of the modal
+ */
+export function getSessionWarningModalHTML() {
+  return `
+    <div class="modal" id="sessionWarningModal" aria-hidden="true">
+      <div
+        class="modal__dialog"
+        role="alertdialog"
+        aria-modal="true"
+        aria-labelledby="sessionWarningTitle"
+        aria-describedby="sessionWarningText"
+      >
+        <h2 class="modal__title" id="sessionWarningTitle">Still there?</h2>
+        <p class="modal__text" id="sessionWarningText">
+          You'll be logged out in
+          <span id="sessionWarningSeconds">60</span>s due to inactivity.
+        </p>
+        <div class="modal__actions">
+          <button type="button" class="modal__btn modal__btn--secondary" id="sessionLogoutBtn">
+            Log out now
+          </button>
+          <button type="button" class="modal__btn modal__btn--primary" id="sessionStayBtn">
+            Stay logged in
+          </button>
+        </div>
+      </div>
+    </div>
+  `;
+}
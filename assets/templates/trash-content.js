@@ -0,0 +1,61 @@
+/**
+ * @fileoverview Trash Content HTML Templates
+ * @description Provides the HTML structure of the trash page and its list items.
+ * @module templates/trash-content
+ */
+
+import { escapeHtml, formatDate } from "../../js/shared/ui-helpers.js";
+
+/**
+ * Generates the HTML content of the trash page.
+ *
+ * @param {number} retentionDays - Days items stay in the trash
+ * @returns {string} HTML string of the trash page content
+ */
+export function getTrashContentHTML(retentionDays) {
+  return `
+    <section class="trash">
+      <div class="trash__header">
+        <h1 class="trash__headline">Trash</h1>
+        <p class="trash__subheadline">
+          Deleted tasks and contacts are removed permanently after ${retentionDays} days.
+        </p>
+        <div class="trash__divider"></div>
+      </div>
+      <p class="trash__empty" id="trashEmpty" hidden>The trash is empty.</p>
+      <ul class="trash__list" id="trashList"></ul>
+    </section>
+  `;
+}
+
+/**
+ * Generates the HTML of a single trashed item.
+ *
+ * @param {Object} item - Trashed task or contact (with collectionName)
+ * @param {string} purgeDate - ISO date on which the item will be purged
+ * @returns {string} HTML string of the list item
+ */
+export function getTrashItemHTML(item, purgeDate) {
+  const isTask = item.collectionName === "tasks";
+  const title = escapeHtml((isTask ? item.title : item.name) || "Untitled");
+
+  return `
+    <li class="trash__item" data-collection="${item.collectionName}" data-id="${escapeHtml(item.id)}">
+      <div class="trash__item-info">
+        <span class="trash__item-type">${isTask ? "Task" : "Contact"}</span>
+        <span class="trash__item-title">${title}</span>
+        <span class="trash__item-date">
+          Deleted ${formatDate(item.deletedAt)} · removed on ${formatDate(purgeDate)}
+        </span>
+      </div>
+      <div class="trash__item-actions">
+        <button type="button" class="trash__btn trash__btn--restore" data-action="restore">
+          Restore
+        </button>
+        <button type="button" class="trash__btn trash__btn--purge" data-action="purge">
+          Delete forever
+        </button>
+      </div>
+    </li>
+  `;
+}
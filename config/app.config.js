@@ -0,0 +1,97 @@
+/**
+ * @fileoverview Application configuration
+ * @description Central, environment-independent settings for the client and Node scripts.
+ *              Contains no browser globals at module level so it can be imported anywhere.
+ * @module config/app.config
+ */
+
+/**
+ * Storage backends the data and auth services can run on.
+ * - "firestore": Firebase Firestore + Firebase Auth (production)
+ * - "indexeddb": local IndexedDB database, survives reloads (offline development)
+ * - "memory": in-memory store mirrored to sessionStorage, survives page loads within
+ *   the tab and is cleared when the tab closes (automated tests)
+ * @type {string[]}
+ */
+const STORAGE_BACKENDS = ["firestore", "indexeddb", "memory"];
+
+const APP_CONFIG = {
+  // Default storage backend - override per browser via ?backend=indexeddb
+  STORAGE_BACKEND: "firestore",
+
+  // localStorage key holding the backend override
+  STORAGE_BACKEND_KEY: "joinStorageBackend",
+
+  // IndexedDB database used by the "indexeddb" backend
+  LOCAL_DATABASE_NAME: "join-mpa-data",
+
+  // Days deleted tasks and contacts stay in the trash before they are purged
+  TRASH_RETENTION_DAYS: 30,
+
+  // Longest task position key (board order) before a column is renumbered
+  TASK_POSITION_MAX_LENGTH: 8,
+
+  // Days after which guest accounts and their data are removed (scripts/cleanup-guests.js)
+  GUEST_RETENTION_DAYS: 7,
+
+  // Access of registered users who have not verified their email yet:
+  // "full" (no restriction) or "read-only" (writes are rejected until verified)
+  UNVERIFIED_ACCESS: "read-only",
+
+  // Accounts created before this date were never asked to verify their email
+  // and keep full access. Set it to the release date of email verification.
+  VERIFICATION_REQUIRED_SINCE: "2026-10-19T00:00:00Z",
+
+  // Seconds before another verification email can be requested
+  VERIFICATION_RESEND_COOLDOWN_SECONDS: 60,
+
+  // Minutes without user activity (in any tab) before an automatic logout; 0 disables it
+  SESSION_IDLE_TIMEOUT_MINUTES: 30,
+
+  // Seconds before the automatic logout in which a warning is shown
+  SESSION_WARNING_SECONDS: 60,
+
+  // Failed logins per email before the login is throttled
+  LOGIN_THROTTLE_FREE_ATTEMPTS: 3,
+
+  // Wait after the first throttled failure; doubles with every further failure
+  LOGIN_THROTTLE_BASE_DELAY_SECONDS: 5,
+
+  // Upper bound of the wait between login attempts
+  LOGIN_THROTTLE_MAX_DELAY_SECONDS: 300,
+
+  // Rules for new passwords (services/password.policy.js).
+  // Firebase Auth itself only requires 6 characters.
+  PASSWORD_POLICY: {
+    minLength: 8,
+    requireLowercase: true,
+    requireUppercase: true,
+    requireDigit: true,
+    requireSymbol: false,
+    forbidCommon: true,
+    forbidPersonalInfo: true,
+  },
+};
+
+/**
+ * Resolves the storage backend to use.
+ * A "backend" URL parameter is persisted to localStorage so it survives
+ * page navigation. Unknown values fall back to the configured default.
+ *
+ * @returns {string} - One of STORAGE_BACKENDS
+ */
+function getStorageBackend() {
+  if (typeof window === "undefined") return APP_CONFIG.STORAGE_BACKEND;
+
+  const fromUrl = new URLSearchParams(window.location.search).get("backend");
+  if (STORAGE_BACKENDS.includes(fromUrl)) {
+    localStorage.setItem(APP_CONFIG.STORAGE_BACKEND_KEY, fromUrl);
+  }
+
+  const selected = localStorage.getItem(APP_CONFIG.STORAGE_BACKEND_KEY);
+  return STORAGE_BACKENDS.includes(selected)
+    ? selected
+    : APP_CONFIG.STORAGE_BACKEND;
+}
+
+export { APP_CONFIG, STORAGE_BACKENDS, getStorageBackend };
@@ -7,11 +7,14 @@
 
 const SW_CONFIG = {
   // Versioning - WICHTIG: Erhöhe dies bei jedem Deployment um alle Caches zu invalidieren!
-  CACHE_VERSION: '20',
+  CACHE_VERSION: '21',
 
   // Database Configuration
   SETTINGS_DB: 'join-mpa-settings',
 
+  // Background Sync - Keep in sync with services/offline-queue.service.js
+  OFFLINE_SYNC_TAG: 'join-offline-queue',
+
   // Update Checking - Set to 1 minute during development, 5-30 minutes in production
   UPDATE_CHECK_INTERVAL: 1 * 60 * 1000, // 1 minute for development (change to 5-30 min for production)
   UPDATE_CHECK_DELAY: 1000, // 1 second delay after registration
@@ -1,6 +1,7 @@
 /**
  * @fileoverview Service Worker Message Handler
- * @description Handles communication between client and Service Worker
+ * @description Handles communication between client and Service Worker,
+ *              including Background Sync requests for the offline write queue
  * @module config/sw-messages
  */
 
@@ -19,9 +20,29 @@ function setupMessages(SW_CONFIG) {
       storeVersionAndNotifyClients(SW_CONFIG.CACHE_VERSION, SW_CONFIG.SETTINGS_DB);
     }
   });
+
+  self.addEventListener('sync', (event) => {
+    if (event.tag === SW_CONFIG.OFFLINE_SYNC_TAG) {
+      event.waitUntil(requestOfflineQueueReplay());
+    }
+  });
+}
+
+/**
+ * Ask open pages to replay their offline write queue.
+ * The queued writes need the page's Firebase session, so the worker
+ * only signals; without open pages the queue is replayed on next page load.
+ * @returns {Promise<void>}
+ */
+async function requestOfflineQueueReplay() {
+  const clients = await self.clients.matchAll({ type: 'window' });
+  console.log(`[SW] Background sync: notifying ${clients.length} client(s)`);
+  clients.forEach((client) => {
+    client.postMessage({ type: 'REPLAY_OFFLINE_QUEUE' });
+  });
 }
 
 // Support both ES6 modules and importScripts contexts
 if (typeof module !== 'undefined' && module.exports) {
-  module.exports = { setupMessages };
+  module.exports = { setupMessages, requestOfflineQueueReplay };
 }
@@ -15,7 +15,19 @@ const __dirname = dirname(__filename);
 
 const app = express();
 const DEFAULT_PORT = 3000;
-const rootPages = ["login", "register", "summary"];
+const rootPages = [
+  "login",
+  "register",
+  "summary",
+  "trash",
+  "history",
+  "board",
+  "addTask",
+  "profile",
+  "forgot-password",
+  "reset-password",
+  "verify-email",
+];
 
 // LiveReload middleware only in development
 if (process.env.NODE_ENV !== "production") {
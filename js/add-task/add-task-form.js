@@ -0,0 +1,218 @@
+/**
+ * @fileoverview Add Task Form Module
+ * @description Validates and submits the add task form. The task is saved in
+ *              canonical form through the data service; afterwards a toast is shown
+ *              and the board opens.
+ * @module add-task/add-task-form
+ */
+
+import { getCurrentAuthUser } from "../../services/auth.service.js";
+import { createTask, getUserContacts } from "../../services/data.service.js";
+import { TASK_STATUS } from "../../services/task.model.js";
+import { getErrorMessage } from "../../services/error.service.js";
+import {
+  getBadgeNumber,
+  getUserInitials,
+} from "../../services/badge.service.js";
+import { getContactOptionHTML } from "../../assets/templates/add-task-content.js";
+import { navigatePrettyUrl } from "../layout/menu__navigation.js";
+import {
+  validateRequired,
+  validateDate,
+  applyFieldCheck,
+  clearFieldError,
+} from "../shared/validators.js";
+import { showToast, showLoading, hideLoading } from "../shared/ui-helpers.js";
+import {
+  setupSubtasks,
+  getSubtasks,
+  clearSubtasks,
+} from "./add-task-subtasks.js";
+
+/**
+ * Time in ms the success toast is visible before the board opens.
+ * @type {number}
+ */
+const REDIRECT_DELAY_MS = 1200;
+
+/**
+ * IDs of the validated inputs.
+ * @type {string[]}
+ */
+const VALIDATED_INPUT_IDS = ["taskTitle", "taskDueDate", "taskCategory"];
+
+let contacts = [];
+
+/**
+ * Wires the form and restores a draft from before a re-render.
+ * Safe to call after the layout was re-rendered.
+ *
+ * @param {Object|null} draft - Values from readTaskForm, or null
+ */
+function setupTaskForm(draft) {
+  const form = document.getElementById("addTaskForm");
+  if (!form) return;
+
+  form.addEventListener("submit", handleSubmit);
+  form.addEventListener("reset", handleReset);
+  VALIDATED_INPUT_IDS.forEach((id) => {
+    const input = document.getElementById(id);
+    input.addEventListener("input", () => clearFieldError(input));
+  });
+  setupSubtasks();
+  renderContacts(draft?.assignedTo || []);
+  if (draft) fillTaskForm(draft);
+}
+
+/**
+ * Loads the current user's contacts and shows them in the form.
+ */
+async function loadContacts() {
+  try {
+    const user = getCurrentAuthUser();
+    if (!user) return;
+
+    const selected = readTaskForm()?.assignedTo || [];
+    contacts = (await getUserContacts(user.uid)).sort((a, b) =>
+      (a.name || "").localeCompare(b.name || ""),
+    );
+    renderContacts(selected);
+  } catch (error) {
+    console.error("[loadContacts] Error:", error);
+    showToast(getErrorMessage(error), "error");
+  }
+}
+
+/**
+ * Renders the contacts as checkboxes (or the empty state).
+ *
+ * @param {string[]} selectedIds - IDs of selected contacts
+ */
+function renderContacts(selectedIds) {
+  const container = document.getElementById("taskContacts");
+  if (!container || contacts.length === 0) return;
+
+  container.innerHTML = contacts
+    .map((contact) =>
+      getContactOptionHTML(
+        contact,
+        getUserInitials(contact.name),
+        getBadgeNumber({ ...contact, uid: contact.id }),
+        selectedIds.includes(contact.id),
+      ),
+    )
+    .join("");
+}
+
+/**
+ * Reads the current form values.
+ *
+ * @returns {Object|null} - Form values, or null if the form is not rendered
+ */
+function readTaskForm() {
+  const form = document.getElementById("addTaskForm");
+  if (!form) return null;
+
+  return {
+    title: form.querySelector("#taskTitle").value.trim(),
+    description: form.querySelector("#taskDescription").value.trim(),
+    dueDate: form.querySelector("#taskDueDate").value,
+    priority: form.querySelector('input[name="priority"]:checked').value,
+    category: form.querySelector("#taskCategory").value,
+    assignedTo: [
+      ...form.querySelectorAll('input[name="assignedTo"]:checked'),
+    ].map((input) => input.value),
+  };
+}
+
+/**
+ * Writes values back into the form (contacts are handled by renderContacts).
+ *
+ * @param {Object} values - Values from readTaskForm
+ */
+function fillTaskForm(values) {
+  const form = document.getElementById("addTaskForm");
+  form.querySelector("#taskTitle").value = values.title;
+  form.querySelector("#taskDescription").value = values.description;
+  form.querySelector("#taskDueDate").value = values.dueDate;
+  form.querySelector("#taskCategory").value = values.category;
+  form.querySelector(
+    `input[name="priority"][value="${values.priority}"]`,
+  ).checked = true;
+}
+
+/**
+ * Validates the required fields and shows errors below them.
+ *
+ * @param {Object} values - Values from readTaskForm
+ * @returns {boolean} - True if valid
+ */
+function validateTaskForm(values) {
+  const checks = [
+    applyFieldCheck(
+      document.getElementById("taskTitle"),
+      validateRequired(values.title, "Title", 2),
+    ),
+    applyFieldCheck(
+      document.getElementById("taskDueDate"),
+      validateDate(values.dueDate),
+    ),
+    applyFieldCheck(
+      document.getElementById("taskCategory"),
+      validateRequired(values.category, "Category"),
+    ),
+  ];
+  return checks.every(Boolean);
+}
+
+/**
+ * Validates and saves the task, then opens the board.
+ *
+ * @param {SubmitEvent} event - Form submit event
+ */
+async function handleSubmit(event) {
+  event.preventDefault();
+  const values = readTaskForm();
+  if (!validateTaskForm(values)) return;
+
+  const submitBtn = document.getElementById("addTaskSubmitBtn");
+  try {
+    showLoading(submitBtn);
+    await saveTask(values);
+    showToast("Task added to board", "success");
+    setTimeout(() => navigatePrettyUrl("board"), REDIRECT_DELAY_MS);
+  } catch (error) {
+    console.error("[handleSubmit] Error:", error);
+    showToast(getErrorMessage(error), "error");
+    hideLoading(submitBtn);
+  }
+}
+
+/**
+ * Saves the task as a new to-do of the current user.
+ *
+ * @param {Object} values - Values from readTaskForm
+ * @returns {Promise<Object>} - Created task
+ */
+async function saveTask(values) {
+  const user = getCurrentAuthUser();
+  if (!user) throw new Error("No user is currently signed in");
+
+  return await createTask(user.uid, {
+    ...values,
+    status: TASK_STATUS.TODO,
+    subtasks: getSubtasks(),
+  });
+}
+
+/**
+ * Clears errors and subtasks when the form is reset.
+ */
+function handleReset() {
+  VALIDATED_INPUT_IDS.forEach((id) =>
+    clearFieldError(document.getElementById(id)),
+  );
+  clearSubtasks();
+}
+
+export { setupTaskForm, loadContacts, readTaskForm };
@@ -0,0 +1,86 @@
+/**
+ * @fileoverview Add Task Subtasks Module
+ * @description Adds and removes subtasks of the task being created. The list is kept
+ *              in module state, so it survives a re-render of the layout.
+ * @module add-task/add-task-subtasks
+ */
+
+import { getSubtaskItemHTML } from "../../assets/templates/add-task-content.js";
+
+let subtasks = [];
+
+/**
+ * Wires the subtask input and renders the current list.
+ * Safe to call after the layout was re-rendered.
+ */
+function setupSubtasks() {
+  const input = document.getElementById("subtaskInput");
+  const list = document.getElementById("subtaskList");
+  if (!input || !list) return;
+
+  document
+    .getElementById("subtaskAddBtn")
+    .addEventListener("click", () => addSubtask(input));
+  input.addEventListener("keydown", (event) => {
+    if (event.key !== "Enter") return;
+    event.preventDefault();
+    addSubtask(input);
+  });
+  list.onclick = handleRemoveClick;
+  renderSubtasks();
+}
+
+/**
+ * Adds the entered subtask and clears the input.
+ *
+ * @param {HTMLInputElement} input - Subtask input
+ */
+function addSubtask(input) {
+  const title = input.value.trim();
+  if (!title) return;
+
+  subtasks.push(title);
+  input.value = "";
+  renderSubtasks();
+  input.focus();
+}
+
+/**
+ * Removes a subtask when its remove button is clicked.
+ *
+ * @param {MouseEvent} event - Click event on the list
+ */
+function handleRemoveClick(event) {
+  const button = event.target.closest(".add-task__subtask-remove");
+  if (!button) return;
+
+  subtasks.splice(Number(button.dataset.index), 1);
+  renderSubtasks();
+}
+
+/**
+ * Renders the subtask list.
+ */
+function renderSubtasks() {
+  const list = document.getElementById("subtaskList");
+  if (list) list.innerHTML = subtasks.map(getSubtaskItemHTML).join("");
+}
+
+/**
+ * Gets the subtasks in the canonical task shape.
+ *
+ * @returns {Array<{title: string, done: boolean}>} - Subtasks
+ */
+function getSubtasks() {
+  return subtasks.map((title) => ({ title, done: false }));
+}
+
+/**
+ * Removes all subtasks.
+ */
+function clearSubtasks() {
+  subtasks = [];
+  renderSubtasks();
+}
+
+export { setupSubtasks, getSubtasks, clearSubtasks };
@@ -0,0 +1,81 @@
+/**
+ * @fileoverview Add Task Page Module
+ * @description Shows the form for a new task: title, description, due date,
+ *              priority, category, assigned contacts and subtasks.
+ * @module add-task/add-task__init
+ */
+
+import { onAuthChange } from "../../services/auth.service.js";
+import { loadCurrentUserData } from "../../services/user-data.service.js";
+import { requireAuth } from "../shared/route-guard.js";
+import { startSessionManager } from "../shared/session-manager.js";
+import { setupResizeListenerOnWidthChange } from "../shared/ui-helpers.js";
+import { initHeader } from "../header/header__init.js";
+import { initMenu } from "../layout/menu__navigation.js";
+import { renderAppLayout } from "../layout/app-layout.js";
+import { getAddTaskContentHTML } from "../../assets/templates/add-task-content.js";
+import { setupTaskForm, loadContacts, readTaskForm } from "./add-task-form.js";
+import {
+  showSplash,
+  hideSplashDelayed,
+} from "../../services/splash.service.js";
+
+let currentUserData = null;
+
+/**
+ * Initializes the add task page.
+ */
+async function initAddTask() {
+  try {
+    showSplash();
+    if (!(await requireAuth())) return;
+    startSessionManager();
+
+    await renderAddTaskLayout();
+    setupAuthChangeHandler();
+    setupResizeListenerOnWidthChange(renderAddTaskLayout, 500);
+  } catch (error) {
+    console.error("[initAddTask] Error:", error);
+  }
+}
+
+/**
+ * Renders the page layout and re-applies header, menu and form.
+ * Entered values are kept when the layout is re-rendered.
+ */
+async function renderAddTaskLayout() {
+  const container = document.getElementById("addTaskMainContainer");
+  if (!container) return;
+
+  const draft = readTaskForm();
+  const today = new Date().toLocaleDateString("en-CA");
+  await renderAppLayout(container, getAddTaskContentHTML(today));
+  initMenu();
+  if (currentUserData) initHeader(currentUserData);
+  setupTaskForm(draft);
+}
+
+/**
+ * Loads user data and contacts once the auth state is known.
+ */
+function setupAuthChangeHandler() {
+  onAuthChange(async (user) => {
+    if (!user) {
+      showSplash();
+      return;
+    }
+
+    currentUserData = await loadCurrentUserData();
+    initHeader(currentUserData);
+    await loadContacts();
+    hideSplashDelayed(400);
+  });
+}
+
+if (document.readyState === "loading") {
+  document.addEventListener("DOMContentLoaded", initAddTask);
+} else {
+  initAddTask();
+}
+
+export { initAddTask };
@@ -0,0 +1,102 @@
+/**
+ * @fileoverview Forgot password page logic
+ * @description Validates the email address and requests a password reset email.
+ *              The confirmation does not reveal whether an account exists.
+ * @module js/auth/auth__forgot-password
+ */
+
+import { sendPasswordReset } from "../../services/auth.service.js";
+import { validateEmail } from "../shared/validators.js";
+import { showToast, showLoading, hideLoading } from "../shared/ui-helpers.js";
+import { getAuthErrorInfo } from "../shared/auth-errors.js";
+
+/**
+ * Initializes the forgot password page by setting up event listeners.
+ */
+function initForgotPassword() {
+  const form = document.getElementById("forgotPasswordForm");
+  const backBtn = document.getElementById("backToLoginBtn");
+
+  if (form) form.addEventListener("submit", handleForgotPassword);
+  if (backBtn) {
+    backBtn.addEventListener("click", () => {
+      window.location.href = "./login.html";
+    });
+  }
+}
+
+/**
+ * Handles the form submission.
+ *
+ * @param {SubmitEvent} event - Form submit event
+ */
+async function handleForgotPassword(event) {
+  event.preventDefault();
+  const email = document.getElementById("resetEmail").value.trim();
+  const submitBtn = document.getElementById("sendResetBtn");
+
+  if (!showEmailError(validateEmail(email))) return;
+  await requestReset(email, submitBtn);
+}
+
+/**
+ * Shows or clears the email validation error.
+ *
+ * @param {Object} emailCheck - Result of validateEmail
+ * @returns {boolean} - True if the email is valid
+ */
+function showEmailError(emailCheck) {
+  document.getElementById("emailError").textContent = emailCheck.error;
+  document
+    .getElementById("emailWrapper")
+    .classList.toggle("register__input-wrapper--error", !emailCheck.isValid);
+  return emailCheck.isValid;
+}
+
+/**
+ * Sends the reset email and shows a neutral confirmation.
+ * Unknown emails get the same message to avoid revealing accounts.
+ *
+ * @param {string} email - Email address
+ * @param {HTMLElement} submitBtn - Submit button element
+ */
+async function requestReset(email, submitBtn) {
+  try {
+    showLoading(submitBtn);
+    await sendPasswordReset(email);
+    showSentMessage();
+  } catch (error) {
+    handleResetRequestError(error);
+  } finally {
+    hideLoading(submitBtn);
+  }
+}
+
+/**
+ * Shows the confirmation message.
+ */
+function showSentMessage() {
+  showToast(
+    "If an account exists for this email, a reset link is on its way.",
+    "success",
+    5000,
+  );
+}
+
+/**
+ * Handles errors of the reset request. Unknown accounts get the normal
+ * confirmation, email errors are shown below the field, others as a toast.
+ *
+ * @param {Error} error - Firebase error object
+ */
+function handleResetRequestError(error) {
+  if (error.code === "auth/user-not-found") return showSentMessage();
+
+  const { field, message } = getAuthErrorInfo(error);
+  if (field === "email") showEmailError({ isValid: false, error: message });
+  else showToast(message, "error");
+}
+
+document.addEventListener("DOMContentLoaded", initForgotPassword);
+
+export { initForgotPassword };
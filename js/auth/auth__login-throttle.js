@@ -0,0 +1,64 @@
+/**
+ * @fileoverview Login throttle feedback
+ * @description Disables the login button while the typed email is locked after
+ *              repeated failures and counts down on the button until the next
+ *              attempt is allowed. The lockout itself is kept by login-throttle.service.
+ * @module js/auth/auth__login-throttle
+ */
+
+import { getLockoutSeconds } from "../../services/login-throttle.service.js";
+
+let countdownTimer = null;
+
+/**
+ * Shows the lockout of the typed (or autofilled) email and follows changes.
+ */
+function setupLoginThrottle() {
+  const emailInput = document.getElementById("loginEmail");
+  if (!emailInput) return;
+
+  emailInput.addEventListener("input", updateLoginLockout);
+  updateLoginLockout();
+}
+
+/**
+ * Checks whether logins with this email are currently locked.
+ *
+ * @param {string} email - Email address
+ * @returns {boolean} - True while locked
+ */
+function isLoginLocked(email) {
+  return getLockoutSeconds(email) > 0;
+}
+
+/**
+ * Restarts the countdown for the email currently in the form.
+ */
+function updateLoginLockout() {
+  clearInterval(countdownTimer);
+  if (renderLockout() > 0) {
+    countdownTimer = setInterval(renderLockout, 1000);
+  }
+}
+
+/**
+ * Updates the login button with the remaining lockout.
+ *
+ * @returns {number} - Remaining seconds
+ */
+function renderLockout() {
+  const button = document.getElementById("loginBtn");
+  const email = document.getElementById("loginEmail")?.value;
+  if (!button) return 0;
+
+  button.dataset.label ||= button.textContent.trim();
+  const seconds = getLockoutSeconds(email);
+  button.disabled = seconds > 0;
+  button.textContent =
+    seconds > 0 ? `Try again in ${seconds}s` : button.dataset.label;
+
+  if (seconds === 0) clearInterval(countdownTimer);
+  return seconds;
+}
+
+export { setupLoginThrottle, isLoginLocked, updateLoginLockout };
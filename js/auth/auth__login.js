@@ -1,7 +1,9 @@
 /**
  * @fileoverview Login page logic
  * @description Handles user login functionality including form validation,
- *              Firebase authentication, and redirection to the summary page.
+ *              Firebase authentication, and redirection to the requested page
+ *              (?returnTo=...) or the summary page. Signed-in users are sent on directly.
+ *              Repeated failures per email are throttled with a countdown on the button.
  * @module js/auth/auth__login
  */
 
@@ -11,9 +13,29 @@ import {
   signInAnonymouslyAsGuest,
 } from "../../services/auth.service.js";
 import { createGuest } from "../../services/data.service.js";
-import { validateEmail, validatePassword } from "../shared/validators.js";
+import { needsVerification } from "../../services/verification.policy.js";
+import {
+  validateEmail,
+  validatePassword,
+  applyFieldCheck,
+} from "../shared/validators.js";
+import { showAuthError } from "../shared/auth-errors.js";
+import {
+  recordLoginFailure,
+  resetLoginThrottle,
+} from "../../services/login-throttle.service.js";
+import {
+  setupLoginThrottle,
+  isLoginLocked,
+  updateLoginLockout,
+} from "./auth__login-throttle.js";
 import { showToast, showLoading, hideLoading } from "../shared/ui-helpers.js";
 import { navigatePrettyUrl } from "../layout/menu__navigation.js";
+import {
+  redirectIfAuthenticated,
+  getReturnUrl,
+} from "../shared/route-guard.js";
+import { watchForLogin, announceLogin } from "../shared/session-manager.js";
 import {
   showSplash,
   hideSplashDelayed,
@@ -22,13 +44,17 @@ import {
 /**
  * Initializes the login page by setting up event listeners.
  */
-function initLogin() {
+async function initLogin() {
+  if (await redirectIfAuthenticated()) return;
+  watchForLogin();
   showSplash();
   hideSplashDelayed(800);
   setupLoginFormListener();
   setupGuestLoginListener();
   setupSignupBtnListener();
+  setupForgotPasswordListener();
   setupLegalPolicyRouting();
+  setupLoginThrottle();
 }
 
 function setupLoginFormListener() {
@@ -54,6 +80,15 @@ function setupSignupBtnListener() {
   }
 }
 
+function setupForgotPasswordListener() {
+  const forgotPasswordBtn = document.getElementById("forgotPasswordBtn");
+  if (forgotPasswordBtn) {
+    forgotPasswordBtn.addEventListener("click", () => {
+      window.location.href = "./forgot-password.html";
+    });
+  }
+}
+
 function setupLegalPolicyRouting() {
   const policyBtn = document.getElementById("policyBtn");
   const legalBtn = document.getElementById("legalBtn");
@@ -75,7 +110,7 @@ async function handleLogin(event) {
   const password = document.getElementById("loginPassword").value;
   const submitBtn = event.target.querySelector('button[type="submit"]');
 
-  if (!validateLoginForm(email, password)) {
+  if (isLoginLocked(email) || !validateLoginForm(email, password)) {
     return;
   }
 
@@ -83,26 +118,31 @@ async function handleLogin(event) {
 }
 
 /**
- * Validates the login form inputs.
+ * Validates the login form inputs and shows errors below the fields.
  *
  * @param {string} email - User email
  * @param {string} password - User password
  * @returns {boolean} - True if valid, false otherwise
  */
 function validateLoginForm(email, password) {
-  const emailCheck = validateEmail(email);
-  if (!emailCheck.isValid) {
-    showToast(emailCheck.error, "error");
-    return false;
-  }
-
-  const passwordCheck = validatePassword(password);
-  if (!passwordCheck.isValid) {
-    showToast(passwordCheck.error, "error");
-    return false;
-  }
+  const { email: emailInput, password: passwordInput } = getLoginInputs();
+  const checks = [
+    applyFieldCheck(emailInput, validateEmail(email)),
+    applyFieldCheck(passwordInput, validatePassword(password)),
+  ];
+  return checks.every(Boolean);
+}
 
-  return true;
+/**
+ * Gets the login inputs by field name, as used by showAuthError.
+ *
+ * @returns {{email: HTMLElement, password: HTMLElement}} - Inputs
+ */
+function getLoginInputs() {
+  return {
+    email: document.getElementById("loginEmail"),
+    password: document.getElementById("loginPassword"),
+  };
 }
 
 /**
@@ -117,14 +157,22 @@ async function attemptLogin(email, password, submitBtn) {
     showLoading(submitBtn);
 
     const user = await signInWithAuth(email, password);
+    resetLoginThrottle(email);
     await saveUserSession(user.uid, user.email);
 
+    if (needsVerification(user)) {
+      window.location.href = "./verify-email.html";
+      return;
+    }
+
     showToast("Login successful!", "success");
     await redirectToSummary();
   } catch (error) {
+    recordLoginFailure(email, error);
     handleLoginError(error);
   } finally {
     hideLoading(submitBtn);
+    updateLoginLockout();
   }
 }
 
@@ -141,22 +189,12 @@ async function saveUserSession(userId, email) {
 }
 
 /**
- * Handles login errors and displays appropriate messages.
+ * Handles login errors and displays them at the matching field.
  *
  * @param {Error} error - Firebase error object
  */
 function handleLoginError(error) {
-  let errorMessage = "Login failed. Please try again.";
-
-  if (error.code === "auth/user-not-found") {
-    errorMessage = "No account found with this email.";
-  } else if (error.code === "auth/wrong-password") {
-    errorMessage = "Incorrect password.";
-  } else if (error.code === "auth/too-many-requests") {
-    errorMessage = "Too many failed attempts. Please try again later.";
-  }
-
-  showToast(errorMessage, "error");
+  showAuthError(error, getLoginInputs());
 }
 
 /**
@@ -189,9 +227,11 @@ async function handleGuestLogin() {
 }
 
 /**
- * Redirects to the summary page after successful login.
+ * Redirects to the requested page, or the summary page, after successful login.
+ * Other tabs on the login page follow.
  */
 async function redirectToSummary() {
+  announceLogin();
   await new Promise((resolve) => {
     const unsubscribe = onAuthChange((user) => {
       if (user) {
@@ -200,8 +240,7 @@ async function redirectToSummary() {
       }
     });
   });
-  window.location.href = "/summary.html";
-  // window.location.href = "/pages/summary.html";
+  window.location.href = getReturnUrl();
 }
 
 document.addEventListener("DOMContentLoaded", initLogin);
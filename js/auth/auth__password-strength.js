@@ -0,0 +1,74 @@
+/**
+ * @fileoverview Password strength meter
+ * @description Live strength bar and rule checklist below the register page's
+ *              password input. Rates the password with the password policy and
+ *              takes the entered name and email into account.
+ * @module js/auth/auth__password-strength
+ */
+
+import {
+  checkPasswordRules,
+  getPasswordStrength,
+} from "../../services/password.policy.js";
+
+/**
+ * Updates the meter whenever the password, name or email changes.
+ *
+ * @param {Object} inputs - Form inputs
+ * @param {HTMLInputElement} inputs.password - Password input
+ * @param {HTMLInputElement} inputs.name - Name input
+ * @param {HTMLInputElement} inputs.email - Email input
+ */
+function setupPasswordStrengthMeter(inputs) {
+  if (!inputs.password || !document.getElementById("passwordStrength")) return;
+
+  const update = () => updatePasswordStrength(inputs);
+  [inputs.password, inputs.name, inputs.email].forEach((input) =>
+    input?.addEventListener("input", update),
+  );
+}
+
+/**
+ * Renders strength bar, label and rule checklist for the current values.
+ * The meter is hidden while the password is empty.
+ *
+ * @param {Object} inputs - Password, name and email inputs
+ */
+function updatePasswordStrength(inputs) {
+  const password = inputs.password.value;
+  const context = { name: inputs.name?.value, email: inputs.email?.value };
+  const meter = document.getElementById("passwordStrength");
+
+  meter.hidden = password === "";
+  if (meter.hidden) return;
+
+  renderStrengthBar(getPasswordStrength(password, context));
+  renderRuleList(checkPasswordRules(password, context));
+}
+
+/**
+ * Shows the score as bar width and color plus its label.
+ *
+ * @param {{score: number, label: string}} strength - Password strength
+ */
+function renderStrengthBar({ score, label }) {
+  const fill = document.getElementById("passwordStrengthFill");
+  fill.className = `register__strength-fill register__strength-fill--score-${score}`;
+  document.getElementById("passwordStrengthLabel").textContent = label;
+}
+
+/**
+ * Lists every policy rule and marks the ones already met.
+ *
+ * @param {Array<Object>} rules - Results of checkPasswordRules
+ */
+function renderRuleList(rules) {
+  document.getElementById("passwordRules").innerHTML = rules
+    .map(
+      (rule) =>
+        `<li class="register__rule${rule.passed ? " register__rule--passed" : ""}">${rule.message}</li>`,
+    )
+    .join("");
+}
+
+export { setupPasswordStrengthMeter };
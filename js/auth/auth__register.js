@@ -2,19 +2,34 @@
  * @fileoverview Registration page logic
  * @description Handles user registration functionality including form validation,
  *              Firebase authentication, Firestore user creation, and privacy policy acceptance.
+ *              New passwords must meet the password policy; a live meter shows their strength.
+ *              Opened with ?upgrade=guest by a guest, the form upgrades the guest session
+ *              to a registered account and keeps its data.
+ *              Afterwards a verification email is sent and the user is taken to
+ *              the verify-email page.
  * @module js/auth/auth__register
  */
 
-import { registerWithAuth } from "../../services/auth.service.js";
+import {
+  registerWithAuth,
+  sendVerificationEmail,
+} from "../../services/auth.service.js";
+import { VERIFICATION_SENT_KEY } from "../../services/verification.policy.js";
 import { createUser } from "../../services/data.service.js";
+import { upgradeGuestAccount } from "../../services/account.service.js";
 import { navigatePrettyUrl } from "../layout/menu__navigation.js";
+import { redirectIfAuthenticated } from "../shared/route-guard.js";
+import { watchForLogin, announceLogin } from "../shared/session-manager.js";
 import {
   validateEmail,
-  validatePassword,
+  validateNewPassword,
   validatePasswordMatch,
   validateName,
   validateCheckbox,
+  applyFieldCheck,
 } from "../shared/validators.js";
+import { showAuthError } from "../shared/auth-errors.js";
+import { setupPasswordStrengthMeter } from "./auth__password-strength.js";
 import {
   showToast,
   showLoading,
@@ -24,9 +39,14 @@ import {
 
 /**
  * Initializes the registration page by setting up event listeners.
+ * Signed-in users are sent on, except guests who want to upgrade.
  */
-function initRegister() {
+async function initRegister() {
+  if (await redirectIfAuthenticated({ allowGuests: isGuestUpgrade() })) return;
+  if (isGuestUpgrade()) applyUpgradeMode();
+  else watchForLogin();
   setupRegisterFormListener();
+  setupPasswordStrengthMeter(getRegisterInputs());
   setupBackToLoginBtnListener();
   setupLegalPolicyRouting();
 }
@@ -42,11 +62,36 @@ function setupBackToLoginBtnListener() {
   const backBtn = document.getElementById("backToLoginBtn");
   if (backBtn) {
     backBtn.addEventListener("click", () => {
-      window.location.href = "./login.html";
+      window.location.href = isGuestUpgrade()
+        ? "./summary.html"
+        : "./login.html";
     });
   }
 }
 
+/**
+ * Checks whether a signed-in guest opened the page to upgrade their account.
+ *
+ * @returns {boolean} - True in upgrade mode
+ */
+function isGuestUpgrade() {
+  const params = new URLSearchParams(window.location.search);
+  return (
+    params.get("upgrade") === "guest" &&
+    localStorage.getItem("isGuest") === "true"
+  );
+}
+
+/**
+ * Adjusts title and button labels for the guest upgrade.
+ */
+function applyUpgradeMode() {
+  const title = document.querySelector(".register__title");
+  const submitBtn = document.getElementById("registerBtn");
+  if (title) title.textContent = "Create account";
+  if (submitBtn) submitBtn.textContent = "Keep my data";
+}
+
 function setupLegalPolicyRouting() {
   const policyBtn = document.getElementById("policyBtn");
   const legalBtn = document.getElementById("legalBtn");
@@ -88,62 +133,46 @@ function getFormData() {
 }
 
 /**
- * Validates the registration form inputs.
+ * Validates the registration form inputs and shows errors below the fields.
  * @param {Object} formData - Form data to validate
  * @returns {boolean} - True if valid, false otherwise
  */
 function validateRegisterForm(formData) {
-  const nameCheck = validateName(formData.name);
-  if (!nameCheck.isValid) {
-    showToast(nameCheck.error, "error");
-    return false;
-  }
-
-  const emailCheck = validateEmail(formData.email);
-  if (!emailCheck.isValid) {
-    showToast(emailCheck.error, "error");
-    return false;
-  }
-
-  return validatePasswords(formData);
-}
-
-/**
- * Validates password fields.
- * @param {Object} formData - Form data
- * @returns {boolean} - True if valid, false otherwise
- */
-function validatePasswords(formData) {
-  const passwordCheck = validatePassword(formData.password);
-  if (!passwordCheck.isValid) {
-    showToast(passwordCheck.error, "error");
-    return false;
-  }
-
-  const matchCheck = validatePasswordMatch(
-    formData.password,
-    formData.confirmPassword,
-  );
-  if (!matchCheck.isValid) {
-    showToast(matchCheck.error, "error");
-    return false;
-  }
-
-  return validatePrivacyPolicy(formData.privacyAccepted);
+  const inputs = getRegisterInputs();
+  const checks = [
+    applyFieldCheck(inputs.name, validateName(formData.name)),
+    applyFieldCheck(inputs.email, validateEmail(formData.email)),
+    applyFieldCheck(
+      inputs.password,
+      validateNewPassword(formData.password, {
+        name: formData.name,
+        email: formData.email,
+      }),
+    ),
+    applyFieldCheck(
+      inputs.confirmPassword,
+      validatePasswordMatch(formData.password, formData.confirmPassword),
+    ),
+    applyFieldCheck(
+      inputs.privacy,
+      validateCheckbox(formData.privacyAccepted, "Privacy policy"),
+    ),
+  ];
+  return checks.every(Boolean);
 }
 
 /**
- * Validates privacy policy acceptance.
- * @param {boolean} accepted - Privacy checkbox state
- * @returns {boolean} - True if accepted, false otherwise
+ * Gets the registration inputs by field name, as used by showAuthError.
+ * @returns {Object<string, HTMLElement>} - Inputs
  */
-function validatePrivacyPolicy(accepted) {
-  const privacyCheck = validateCheckbox(accepted, "Privacy policy");
-  if (!privacyCheck.isValid) {
-    showToast(privacyCheck.error, "error");
-    return false;
-  }
-  return true;
+function getRegisterInputs() {
+  return {
+    name: document.getElementById("registerName"),
+    email: document.getElementById("registerEmail"),
+    password: document.getElementById("registerPassword"),
+    confirmPassword: document.getElementById("registerConfirmPassword"),
+    privacy: document.getElementById("privacyPolicy"),
+  };
 }
 
 /**
@@ -156,16 +185,17 @@ async function attemptRegistration(formData, submitBtn, form) {
   try {
     showLoading(submitBtn);
 
-    const user = await registerWithAuth(formData.email, formData.password);
-    await createUserInFirestore(user.uid, formData);
-
-    localStorage.setItem("currentUserId", user.uid);
-    localStorage.setItem("currentUserEmail", user.email);
-    localStorage.setItem("isGuest", "false");
+    if (isGuestUpgrade()) {
+      await upgradeGuestAccount(formData);
+    } else {
+      await registerNewUser(formData);
+    }
 
+    await sendInitialVerificationEmail();
+    announceLogin();
     showToast("Registration successful!", "success");
     clearForm(form);
-    redirectToSummary();
+    redirectToVerifyEmail();
   } catch (error) {
     handleRegistrationError(error);
   } finally {
@@ -173,6 +203,19 @@ async function attemptRegistration(formData, submitBtn, form) {
   }
 }
 
+/**
+ * Registers a new account and stores the session in localStorage.
+ * @param {Object} formData - Form data
+ */
+async function registerNewUser(formData) {
+  const user = await registerWithAuth(formData.email, formData.password);
+  await createUserInFirestore(user.uid, formData);
+
+  localStorage.setItem("currentUserId", user.uid);
+  localStorage.setItem("currentUserEmail", user.email);
+  localStorage.setItem("isGuest", "false");
+}
+
 /**
  * Creates a user document in Firestore.
  * @param {string} userId - Firebase Auth UID
@@ -189,30 +232,32 @@ async function createUserInFirestore(userId, formData) {
 }
 
 /**
- * Handles registration errors and displays appropriate messages.
+ * Handles registration errors and displays them at the matching field.
  * @param {Error} error - Firebase error object
  */
 function handleRegistrationError(error) {
-  let errorMessage = "Registration failed. Please try again.";
-
-  if (error.code === "auth/email-already-in-use") {
-    errorMessage = "This email is already registered.";
-  } else if (error.code === "auth/weak-password") {
-    errorMessage = "Password is too weak. Use at least 6 characters.";
-  } else if (error.code === "auth/invalid-email") {
-    errorMessage = "Invalid email address.";
-  }
+  showAuthError(error, getRegisterInputs());
+}
 
-  showToast(errorMessage, "error");
+/**
+ * Sends the first verification email. A failure does not undo the
+ * registration; the user can resend the email from the verify-email page.
+ */
+async function sendInitialVerificationEmail() {
+  try {
+    await sendVerificationEmail();
+    localStorage.setItem(VERIFICATION_SENT_KEY, String(Date.now()));
+  } catch (error) {
+    console.error("[Register] Verification email failed:", error);
+  }
 }
 
 /**
- * Redirects to the summary page after registration.
+ * Redirects to the verify-email page after registration.
  */
-function redirectToSummary() {
+function redirectToVerifyEmail() {
   setTimeout(() => {
-    window.location.href = "../../summary.html";
-    // window.location.href = "../../pages/summary.html";
+    window.location.href = "./verify-email.html";
   }, 1500);
 }
 
@@ -0,0 +1,166 @@
+/**
+ * @fileoverview Reset password page logic
+ * @description Reads the action code (oobCode) from the URL, checks it and lets the
+ *              user choose a new password. Opened from the password reset email.
+ *              A successful reset also lifts the login throttle of the account.
+ *              This page is the custom email action URL of the Firebase project:
+ *              verification and email change links are passed on to verify-email.html.
+ * @module js/auth/auth__reset-password
+ */
+
+import {
+  verifyPasswordResetCode,
+  confirmPasswordReset,
+} from "../../services/auth.service.js";
+import {
+  validateNewPassword,
+  validatePasswordMatch,
+} from "../shared/validators.js";
+import { showToast, showLoading, hideLoading } from "../shared/ui-helpers.js";
+import { getAuthErrorInfo } from "../shared/auth-errors.js";
+import { resetLoginThrottle } from "../../services/login-throttle.service.js";
+
+/**
+ * Action modes (mode URL parameter) handled by the verify email page.
+ * @type {string[]}
+ */
+const VERIFY_MODES = ["verifyEmail", "verifyAndChangeEmail"];
+
+let actionCode = null;
+let accountEmail = null;
+
+/**
+ * Initializes the reset password page and checks the action code.
+ */
+async function initResetPassword() {
+  const params = new URLSearchParams(window.location.search);
+  if (VERIFY_MODES.includes(params.get("mode"))) {
+    window.location.replace(`./verify-email.html${window.location.search}`);
+    return;
+  }
+
+  const form = document.getElementById("resetPasswordForm");
+  const backBtn = document.getElementById("backToLoginBtn");
+
+  if (form) form.addEventListener("submit", handleResetPassword);
+  if (backBtn) backBtn.addEventListener("click", redirectToLogin);
+
+  actionCode = params.get("oobCode");
+  await checkActionCode();
+}
+
+/**
+ * Verifies the action code and enables the form for a valid link.
+ */
+async function checkActionCode() {
+  const info = document.getElementById("resetPasswordInfo");
+  if (!actionCode) {
+    info.textContent = getAuthErrorInfo({
+      code: "auth/invalid-action-code",
+    }).message;
+    return;
+  }
+
+  try {
+    accountEmail = await verifyPasswordResetCode(actionCode);
+    info.textContent = `Choose a new password for ${accountEmail}.`;
+    document.getElementById("resetPasswordBtn").disabled = false;
+  } catch (error) {
+    info.textContent = getAuthErrorInfo(error).message;
+  }
+}
+
+/**
+ * Handles the form submission.
+ *
+ * @param {SubmitEvent} event - Form submit event
+ */
+async function handleResetPassword(event) {
+  event.preventDefault();
+  const password = document.getElementById("newPassword").value;
+  const confirmPassword = document.getElementById("confirmNewPassword").value;
+  const submitBtn = document.getElementById("resetPasswordBtn");
+
+  if (!validateResetForm(password, confirmPassword)) return;
+  await attemptReset(password, submitBtn);
+}
+
+/**
+ * Validates the new password fields and shows field errors.
+ *
+ * @param {string} password - New password
+ * @param {string} confirmPassword - Confirmation
+ * @returns {boolean} - True if valid
+ */
+function validateResetForm(password, confirmPassword) {
+  const passwordCheck = validateNewPassword(password, {
+    email: accountEmail || "",
+  });
+  const matchCheck = validatePasswordMatch(password, confirmPassword);
+
+  setFieldError("newPassword", "passwordError", passwordCheck);
+  setFieldError("confirmNewPassword", "confirmPasswordError", matchCheck);
+  return passwordCheck.isValid && matchCheck.isValid;
+}
+
+/**
+ * Shows or clears the error of a single field.
+ *
+ * @param {string} inputId - Input element ID
+ * @param {string} errorId - Error element ID
+ * @param {Object} check - Validation result ({ isValid, error })
+ */
+function setFieldError(inputId, errorId, check) {
+  document.getElementById(errorId).textContent = check.error;
+  document
+    .getElementById(`${inputId}Wrapper`)
+    .classList.toggle("register__input-wrapper--error", !check.isValid);
+}
+
+/**
+ * Sets the new password and redirects to the login page.
+ *
+ * @param {string} password - New password
+ * @param {HTMLElement} submitBtn - Submit button element
+ */
+async function attemptReset(password, submitBtn) {
+  try {
+    showLoading(submitBtn);
+    await confirmPasswordReset(actionCode, password);
+    resetLoginThrottle(accountEmail);
+    showToast("Password changed. Please log in.", "success");
+    setTimeout(redirectToLogin, 1500);
+  } catch (error) {
+    showResetError(error);
+  } finally {
+    hideLoading(submitBtn);
+  }
+}
+
+/**
+ * Shows a failed reset below the new password field, or as a toast.
+ *
+ * @param {Error} error - Firebase error object
+ */
+function showResetError(error) {
+  const { field, message } = getAuthErrorInfo(error);
+  if (field === "password") {
+    setFieldError("newPassword", "passwordError", {
+      isValid: false,
+      error: message,
+    });
+  } else {
+    showToast(message, "error");
+  }
+}
+
+/**
+ * Navigates to the login page.
+ */
+function redirectToLogin() {
+  window.location.href = "./login.html";
+}
+
+document.addEventListener("DOMContentLoaded", initResetPassword);
+
+export { initResetPassword };
@@ -0,0 +1,183 @@
+/**
+ * @fileoverview Verify email page logic
+ * @description Interstitial after registration and for unverified logins. Applies the
+ *              action code (oobCode) when opened from a verification or email change
+ *              link, lets the user resend the email with a cooldown, and checks the
+ *              verification state.
+ *              Unverified users may continue with the access granted by
+ *              APP_CONFIG.UNVERIFIED_ACCESS.
+ * @module js/auth/auth__verify-email
+ */
+
+import {
+  applyVerificationCode,
+  sendVerificationEmail,
+  reloadCurrentUser,
+  onAuthChange,
+} from "../../services/auth.service.js";
+import {
+  VERIFICATION_SENT_KEY,
+  needsVerification,
+  canWrite,
+  getResendWaitSeconds,
+} from "../../services/verification.policy.js";
+import { showToast, showLoading, hideLoading } from "../shared/ui-helpers.js";
+import { getAuthErrorInfo } from "../shared/auth-errors.js";
+
+let cooldownTimer = null;
+
+/**
+ * Initializes the page once the auth state is known.
+ */
+function initVerifyEmail() {
+  const backBtn = document.getElementById("backToLoginBtn");
+  if (backBtn) backBtn.addEventListener("click", redirectToLogin);
+
+  const unsubscribe = onAuthChange(async (user) => {
+    unsubscribe();
+    await handleAuthState(user);
+  });
+}
+
+/**
+ * Applies a verification link, or shows the pending state for the user.
+ *
+ * @param {Object|null} user - Current auth user
+ */
+async function handleAuthState(user) {
+  const actionCode = new URLSearchParams(window.location.search).get("oobCode");
+  if (actionCode) {
+    await applyActionCode(actionCode);
+    return;
+  }
+
+  if (!user) return redirectToLogin();
+  if (!needsVerification(user)) return redirectToSummary();
+  showPendingState(user);
+}
+
+/**
+ * Shows the address the link was sent to and wires the buttons.
+ *
+ * @param {Object} user - Current auth user
+ */
+function showPendingState(user) {
+  document.getElementById("verifyEmailInfo").textContent =
+    `We sent a verification link to ${user.email}. ` +
+    "Open it to unlock all features of your account.";
+  document
+    .getElementById("verifiedBtn")
+    .addEventListener("click", handleVerifiedClick);
+  document
+    .getElementById("resendVerificationBtn")
+    .addEventListener("click", handleResendClick);
+  updateContinueLink(user);
+  startCooldown();
+}
+
+/**
+ * Labels the continue link with the access an unverified user gets.
+ *
+ * @param {Object} user - Current auth user
+ */
+function updateContinueLink(user) {
+  const link = document.getElementById("continueLink");
+  if (link && canWrite(user)) {
+    link.textContent = "Continue without verifying";
+  }
+}
+
+/**
+ * Applies the action code from the email and continues to the app.
+ *
+ * @param {string} code - Action code (oobCode URL parameter)
+ */
+async function applyActionCode(code) {
+  const info = document.getElementById("verifyEmailInfo");
+  try {
+    await applyVerificationCode(code);
+    // An email change may end the session; the app asks to sign in again then.
+    await reloadCurrentUser().catch(() => null);
+    info.textContent = "Your email address is verified.";
+    showToast("Email verified!", "success");
+    setTimeout(redirectToSummary, 1500);
+  } catch (error) {
+    info.textContent = getAuthErrorInfo(error).message;
+  }
+}
+
+/**
+ * Reloads the user and continues if the email was verified meanwhile.
+ */
+async function handleVerifiedClick() {
+  const button = document.getElementById("verifiedBtn");
+  try {
+    showLoading(button);
+    const user = await reloadCurrentUser();
+    if (user && !needsVerification(user)) return redirectToSummary();
+    showToast("Your email address is not verified yet.", "error");
+  } catch (error) {
+    showToast(getAuthErrorInfo(error).message, "error");
+  } finally {
+    hideLoading(button);
+  }
+}
+
+/**
+ * Sends the verification email again and restarts the cooldown.
+ */
+async function handleResendClick() {
+  const button = document.getElementById("resendVerificationBtn");
+  try {
+    showLoading(button);
+    await sendVerificationEmail();
+    localStorage.setItem(VERIFICATION_SENT_KEY, String(Date.now()));
+    showToast("Verification email sent.", "success");
+  } catch (error) {
+    showToast(getAuthErrorInfo(error).message, "error");
+  } finally {
+    hideLoading(button);
+    startCooldown();
+  }
+}
+
+/**
+ * Disables the resend button and counts down until it may be used again.
+ */
+function startCooldown() {
+  clearInterval(cooldownTimer);
+  updateResendButton();
+  cooldownTimer = setInterval(updateResendButton, 1000);
+}
+
+/**
+ * Updates the resend button with the remaining cooldown.
+ */
+function updateResendButton() {
+  const button = document.getElementById("resendVerificationBtn");
+  const sentAt = Number(localStorage.getItem(VERIFICATION_SENT_KEY)) || null;
+  const seconds = getResendWaitSeconds(sentAt);
+
+  button.disabled = seconds > 0;
+  button.textContent =
+    seconds > 0 ? `Resend email (${seconds}s)` : "Resend email";
+  if (seconds === 0) clearInterval(cooldownTimer);
+}
+
+/**
+ * Navigates to the summary page.
+ */
+function redirectToSummary() {
+  window.location.href = "./summary.html";
+}
+
+/**
+ * Navigates to the login page.
+ */
+function redirectToLogin() {
+  window.location.href = "./login.html";
+}
+
+document.addEventListener("DOMContentLoaded", initVerifyEmail);
+
+export { initVerifyEmail };
@@ -0,0 +1,228 @@
+/**
+ * @fileoverview Board Columns Module
+ * @description Loads the current user's tasks and contacts and renders the tasks
+ *              into the four status columns of the board, ordered by position key.
+ *              Moves from drag and drop are shown at once and rolled back if saving
+ *              them fails; later moves that touched the same tasks are kept.
+ * @module board/board-columns
+ */
+
+import { getCurrentAuthUser } from "../../services/auth.service.js";
+import {
+  getUserTasks,
+  getUserContacts,
+  updateItem,
+} from "../../services/data.service.js";
+import { TASK_STATUS } from "../../services/task.model.js";
+import {
+  sortByPosition,
+  getPositionChanges,
+  getPositionOperations,
+} from "../../services/task-order.service.js";
+import { getErrorMessage } from "../../services/error.service.js";
+import {
+  getBadgeNumber,
+  getUserInitials,
+} from "../../services/badge.service.js";
+import {
+  getTaskCardHTML,
+  getBoardEmptyHTML,
+} from "../../assets/templates/board-content.js";
+import { showToast } from "../shared/ui-helpers.js";
+
+/**
+ * Board columns in display order.
+ * @type {Array<{status: string, label: string}>}
+ */
+const BOARD_COLUMNS = [
+  { status: TASK_STATUS.TODO, label: "To do" },
+  { status: TASK_STATUS.IN_PROGRESS, label: "In progress" },
+  { status: TASK_STATUS.AWAITING_FEEDBACK, label: "Awaiting feedback" },
+  { status: TASK_STATUS.DONE, label: "Done" },
+];
+
+let boardTasks = [];
+let contactsById = new Map();
+
+/**
+ * Loads tasks and contacts of the current user and renders the board.
+ */
+async function loadBoard() {
+  try {
+    const user = getCurrentAuthUser();
+    if (!user) return;
+
+    const [tasks, contacts] = await Promise.all([
+      getUserTasks(user.uid),
+      getUserContacts(user.uid),
+    ]);
+    boardTasks = tasks;
+    contactsById = new Map(contacts.map((contact) => [contact.id, contact]));
+    renderBoard();
+  } catch (error) {
+    console.error("[loadBoard] Error:", error);
+    showToast(getErrorMessage(error), "error");
+  }
+}
+
+/**
+ * Renders the loaded tasks into their columns (or the empty states).
+ * Safe to call after the layout was re-rendered.
+ */
+function renderBoard() {
+  BOARD_COLUMNS.forEach((column) => {
+    renderColumn(column, getColumnTasks(column.status));
+  });
+}
+
+/**
+ * Renders the cards of one column and updates its task count.
+ *
+ * @param {{status: string, label: string}} column - Board column
+ * @param {Array<Object>} tasks - Normalized tasks of the column
+ */
+function renderColumn(column, tasks) {
+  const list = document.getElementById(`boardList-${column.status}`);
+  const count = document.getElementById(`boardCount-${column.status}`);
+  if (!list) return;
+
+  list.innerHTML =
+    tasks.length > 0
+      ? tasks.map((task) => getTaskCardHTML(task, getAssignees(task))).join("")
+      : getBoardEmptyHTML(column.label);
+  if (count) count.textContent = tasks.length;
+}
+
+/**
+ * Moves a task to another column or position. The board updates at once;
+ * if the write fails, the task goes back to where it was.
+ *
+ * @param {string} taskId - Task ID
+ * @param {string} status - Target column status
+ * @param {number} index - Index in the target column
+ */
+async function moveTask(taskId, status, index) {
+  const task = boardTasks.find((entry) => entry.id === taskId);
+  if (!task) return;
+
+  const move = { task, fromStatus: task.status, toStatus: status };
+  placeTask(task, status, index);
+  move.changes = getPositionChanges(getColumnTasks(status), taskId);
+  move.previous = applyPositions(move.changes);
+  renderBoard();
+
+  try {
+    await saveMove(task, move.changes);
+  } catch (error) {
+    console.error("[moveTask] Error:", error);
+    rollbackMove(move);
+    showToast(getErrorMessage(error), "error");
+  }
+}
+
+/**
+ * Saves a move in one batch: the moved task's status and key and, if the
+ * column had to be renumbered, the keys of the other tasks.
+ *
+ * @param {Object} task - Moved task (already updated locally)
+ * @param {Array<{id: string, position: string}>} changes - Key changes
+ * @returns {Promise<void>}
+ */
+async function saveMove(task, changes) {
+  const renumbered = changes.filter((change) => change.id !== task.id);
+  await updateItem(
+    "tasks",
+    task.id,
+    {
+      status: task.status,
+      position: task.position,
+      updatedAt: new Date().toISOString(),
+    },
+    getPositionOperations(renumbered),
+  );
+}
+
+/**
+ * Undoes a failed move on the local board. Tasks that a later move changed
+ * again keep their newer state. The columns are re-sorted by key instead of
+ * going back to an index, which later moves may have shifted.
+ *
+ * @param {Object} move - Task, statuses, key changes and previous keys of the move
+ */
+function rollbackMove({ task, fromStatus, toStatus, changes, previous }) {
+  const isCurrent = (change) =>
+    boardTasks.find((entry) => entry.id === change.id)?.position ===
+    change.position;
+  const ownChange = changes.find((change) => change.id === task.id);
+
+  if (task.status === toStatus && (!ownChange || isCurrent(ownChange))) {
+    task.status = fromStatus;
+  }
+  applyPositions(previous.filter((entry, index) => isCurrent(changes[index])));
+  boardTasks = sortByPosition(boardTasks);
+  renderBoard();
+}
+
+/**
+ * Sets new position keys on the local tasks.
+ *
+ * @param {Array<{id: string, position: string|null}>} changes - Key changes
+ * @returns {Array<{id: string, position: string|null}>} - Previous keys
+ */
+function applyPositions(changes) {
+  return changes.map(({ id, position }) => {
+    const task = boardTasks.find((entry) => entry.id === id);
+    const previous = { id, position: task.position };
+    task.position = position;
+    return previous;
+  });
+}
+
+/**
+ * Gets the tasks of a column in display order.
+ *
+ * @param {string} status - Column status
+ * @returns {Array<Object>} - Tasks of the column
+ */
+function getColumnTasks(status) {
+  return boardTasks.filter((task) => task.status === status);
+}
+
+/**
+ * Puts a task into a column at the given index of the local board state.
+ *
+ * @param {Object} task - Task on the board
+ * @param {string} status - Column status
+ * @param {number} index - Index in the column, counted without the task
+ */
+function placeTask(task, status, index) {
+  boardTasks = boardTasks.filter((entry) => entry !== task);
+  const columnTasks = getColumnTasks(status);
+  const next = columnTasks[index];
+  const position = next
+    ? boardTasks.indexOf(next)
+    : boardTasks.indexOf(columnTasks[columnTasks.length - 1]) + 1;
+
+  task.status = status;
+  boardTasks.splice(position, 0, task);
+}
+
+/**
+ * Resolves the assigned contact IDs of a task into badge data.
+ * IDs of deleted contacts are skipped.
+ *
+ * @param {Object} task - Normalized task
+ * @returns {Array<{initials: string, badge: number, name: string}>} - Assignees
+ */
+function getAssignees(task) {
+  return task.assignedTo
+    .map((contactId) => contactsById.get(contactId))
+    .filter(Boolean)
+    .map((contact) => ({
+      name: contact.name || "",
+      initials: getUserInitials(contact.name),
+      badge: getBadgeNumber({ ...contact, uid: contact.id }),
+    }));
+}
+
+export { BOARD_COLUMNS, loadBoard, renderBoard, moveTask };
@@ -0,0 +1,354 @@
+/**
+ * @fileoverview Board Drag and Drop
+ * @description Moves task cards between columns and within a column with pointer
+ *              events, so mouse, pen and touch share one code path. Mouse drags start
+ *              after a few pixels of movement; touch drags start after a long press,
+ *              so normal swipes still scroll the board. While dragging, a placeholder
+ *              shows where the card will land and the target column is highlighted.
+ * @module board/board__drag
+ */
+
+/**
+ * Distance in px the mouse has to move before a drag starts.
+ * @type {number}
+ */
+const DRAG_THRESHOLD_PX = 5;
+
+/**
+ * Time in ms a finger has to rest on a card before a touch drag starts.
+ * @type {number}
+ */
+const LONG_PRESS_MS = 400;
+
+/**
+ * Distance in px a finger may move during the long press (otherwise it scrolls).
+ * @type {number}
+ */
+const LONG_PRESS_TOLERANCE_PX = 8;
+
+let dragState = null;
+let onDropCallback = null;
+
+/**
+ * Enables drag and drop on the board. The board element is kept across
+ * re-renders of the columns, so this is called once per rendered layout.
+ *
+ * @param {HTMLElement} board - Element containing all columns
+ * @param {Function} onDrop - Called with (taskId, status, index) after a drop
+ */
+function setupBoardDrag(board, onDrop) {
+  onDropCallback = onDrop;
+  board.addEventListener("pointerdown", handlePointerDown);
+  board.addEventListener("contextmenu", (event) => {
+    if (dragState) event.preventDefault();
+  });
+}
+
+/**
+ * Starts tracking a pointer on a card. Touch drags wait for a long press.
+ *
+ * @param {PointerEvent} event - Pointer event
+ */
+function handlePointerDown(event) {
+  const card = event.target.closest(".board__card");
+  if (!card || dragState || event.button !== 0) return;
+
+  dragState = {
+    card,
+    pointerId: event.pointerId,
+    startX: event.clientX,
+    startY: event.clientY,
+    isDragging: false,
+    longPressTimer: null,
+  };
+  if (event.pointerType !== "mouse") {
+    dragState.longPressTimer = setTimeout(startDrag, LONG_PRESS_MS);
+  }
+  addTrackingListeners();
+}
+
+/**
+ * Listens to the tracked pointer on the whole document.
+ */
+function addTrackingListeners() {
+  document.addEventListener("pointermove", handlePointerMove);
+  document.addEventListener("pointerup", handlePointerUp);
+  document.addEventListener("pointercancel", cancelDrag);
+  document.addEventListener("keydown", handleKeyDown);
+  document.addEventListener("touchmove", preventTouchScroll, {
+    passive: false,
+  });
+}
+
+/**
+ * Removes the listeners added by addTrackingListeners.
+ */
+function removeTrackingListeners() {
+  document.removeEventListener("pointermove", handlePointerMove);
+  document.removeEventListener("pointerup", handlePointerUp);
+  document.removeEventListener("pointercancel", cancelDrag);
+  document.removeEventListener("keydown", handleKeyDown);
+  document.removeEventListener("touchmove", preventTouchScroll);
+}
+
+/**
+ * Starts the drag once the pointer moved far enough, or moves the dragged card.
+ *
+ * @param {PointerEvent} event - Pointer event
+ */
+function handlePointerMove(event) {
+  if (event.pointerId !== dragState.pointerId) return;
+
+  if (!dragState.isDragging) {
+    handleMoveBeforeDrag(event);
+    return;
+  }
+  event.preventDefault();
+  moveGhost(event.clientX, event.clientY);
+  updateDropTarget(event.clientX, event.clientY);
+}
+
+/**
+ * Decides whether movement before the drag starts one (mouse) or
+ * cancels the long press (touch, the user is scrolling).
+ *
+ * @param {PointerEvent} event - Pointer event
+ */
+function handleMoveBeforeDrag(event) {
+  const distance = Math.hypot(
+    event.clientX - dragState.startX,
+    event.clientY - dragState.startY,
+  );
+  if (event.pointerType === "mouse") {
+    if (distance >= DRAG_THRESHOLD_PX) startDrag();
+  } else if (distance > LONG_PRESS_TOLERANCE_PX) {
+    endTracking();
+  }
+}
+
+/**
+ * Turns the tracked card into a drag: a ghost follows the pointer and a
+ * placeholder takes the card's place in the list.
+ */
+function startDrag() {
+  const { card } = dragState;
+  const rect = card.getBoundingClientRect();
+
+  dragState.isDragging = true;
+  dragState.offsetX = dragState.startX - rect.left;
+  dragState.offsetY = dragState.startY - rect.top;
+  dragState.ghost = createGhost(card, rect);
+  dragState.placeholder = createPlaceholder(rect.height);
+
+  card.after(dragState.placeholder);
+  card.classList.add("board__card--dragging");
+  document.body.classList.add("board--dragging");
+  updateDropTarget(dragState.startX, dragState.startY);
+}
+
+/**
+ * Creates the copy of the card that follows the pointer.
+ *
+ * @param {HTMLElement} card - Dragged card
+ * @param {DOMRect} rect - Card position and size
+ * @returns {HTMLElement} - Ghost element
+ */
+function createGhost(card, rect) {
+  const ghost = card.cloneNode(true);
+  ghost.classList.add("board__card--ghost");
+  ghost.removeAttribute("data-id");
+  ghost.style.width = `${rect.width}px`;
+  ghost.style.left = `${rect.left}px`;
+  ghost.style.top = `${rect.top}px`;
+  document.body.appendChild(ghost);
+  return ghost;
+}
+
+/**
+ * Creates the drop placeholder with the height of the dragged card.
+ *
+ * @param {number} height - Card height in px
+ * @returns {HTMLElement} - Placeholder element
+ */
+function createPlaceholder(height) {
+  const placeholder = document.createElement("div");
+  placeholder.className = "board__placeholder";
+  placeholder.style.height = `${height}px`;
+  return placeholder;
+}
+
+/**
+ * Moves the ghost to the pointer position.
+ *
+ * @param {number} x - Pointer x coordinate
+ * @param {number} y - Pointer y coordinate
+ */
+function moveGhost(x, y) {
+  dragState.ghost.style.left = `${x - dragState.offsetX}px`;
+  dragState.ghost.style.top = `${y - dragState.offsetY}px`;
+}
+
+/**
+ * Moves the placeholder into the list under the pointer, before the first
+ * card whose middle is below the pointer, and highlights that column.
+ *
+ * @param {number} x - Pointer x coordinate
+ * @param {number} y - Pointer y coordinate
+ */
+function updateDropTarget(x, y) {
+  const list = getListAtPoint(x, y);
+  if (!list) return;
+
+  const cards = getOtherCards(list);
+  const before = cards.find((card) => {
+    const rect = card.getBoundingClientRect();
+    return y < rect.top + rect.height / 2;
+  });
+  if (before) before.before(dragState.placeholder);
+  else list.appendChild(dragState.placeholder);
+  highlightColumn(list.closest(".board__column"));
+}
+
+/**
+ * Finds the card list of the column under the pointer.
+ *
+ * @param {number} x - Pointer x coordinate
+ * @param {number} y - Pointer y coordinate
+ * @returns {HTMLElement|null} - List element or null outside the columns
+ */
+function getListAtPoint(x, y) {
+  const element = document.elementFromPoint(x, y);
+  return element?.closest(".board__column")?.querySelector(".board__list");
+}
+
+/**
+ * Gets the cards of a list without the dragged card.
+ *
+ * @param {HTMLElement} list - Card list
+ * @returns {HTMLElement[]} - Cards in display order
+ */
+function getOtherCards(list) {
+  return [...list.querySelectorAll(".board__card")].filter(
+    (card) => card !== dragState.card,
+  );
+}
+
+/**
+ * Highlights the column the card would be dropped into.
+ *
+ * @param {HTMLElement|null} column - Target column
+ */
+function highlightColumn(column) {
+  document
+    .querySelectorAll(".board__column--drop-target")
+    .forEach((element) =>
+      element.classList.remove("board__column--drop-target"),
+    );
+  column?.classList.add("board__column--drop-target");
+}
+
+/**
+ * Finishes the drag and reports the new status and index of the card.
+ *
+ * @param {PointerEvent} event - Pointer event
+ */
+function handlePointerUp(event) {
+  if (event.pointerId !== dragState.pointerId) return;
+  if (!dragState.isDragging) {
+    endTracking();
+    return;
+  }
+
+  const drop = getDropResult();
+  const { card } = dragState;
+  endTracking();
+  if (drop.status !== drop.fromStatus || drop.index !== drop.fromIndex) {
+    onDropCallback?.(card.dataset.id, drop.status, drop.index);
+  }
+}
+
+/**
+ * Reads target status and index from the placeholder position.
+ * Indexes count the cards of a column without the dragged card.
+ *
+ * @returns {{status: string, index: number, fromStatus: string, fromIndex: number}} - Drop result
+ */
+function getDropResult() {
+  const { card, placeholder } = dragState;
+  const toList = placeholder.parentElement;
+  const fromList = card.parentElement;
+
+  return {
+    status: getListStatus(toList),
+    index: countCardsBefore(toList, placeholder),
+    fromStatus: getListStatus(fromList),
+    fromIndex: countCardsBefore(fromList, card),
+  };
+}
+
+/**
+ * Counts the cards of a list (without the dragged card) before an element.
+ *
+ * @param {HTMLElement} list - Card list
+ * @param {HTMLElement} element - Placeholder or dragged card
+ * @returns {number} - Number of cards before the element
+ */
+function countCardsBefore(list, element) {
+  return getOtherCards(list).filter(
+    (card) =>
+      card.compareDocumentPosition(element) & Node.DOCUMENT_POSITION_FOLLOWING,
+  ).length;
+}
+
+/**
+ * Gets the task status of the column a list belongs to.
+ *
+ * @param {HTMLElement} list - Card list
+ * @returns {string} - Task status
+ */
+function getListStatus(list) {
+  return list.closest(".board__column").dataset.status;
+}
+
+/**
+ * Cancels a drag on Escape; the card returns to its place.
+ *
+ * @param {KeyboardEvent} event - Keyboard event
+ */
+function handleKeyDown(event) {
+  if (event.key === "Escape") cancelDrag();
+}
+
+/**
+ * Cancels tracking or dragging without moving the card.
+ */
+function cancelDrag() {
+  endTracking();
+}
+
+/**
+ * Keeps the page from scrolling while a card is dragged by touch.
+ *
+ * @param {TouchEvent} event - Touch event
+ */
+function preventTouchScroll(event) {
+  if (dragState?.isDragging) event.preventDefault();
+}
+
+/**
+ * Removes ghost, placeholder, highlights and listeners.
+ */
+function endTracking() {
+  if (!dragState) return;
+
+  clearTimeout(dragState.longPressTimer);
+  dragState.ghost?.remove();
+  dragState.placeholder?.remove();
+  dragState.card.classList.remove("board__card--dragging");
+  document.body.classList.remove("board--dragging");
+  highlightColumn(null);
+  removeTrackingListeners();
+  dragState = null;
+}
+
+export { setupBoardDrag };
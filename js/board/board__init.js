@@ -0,0 +1,86 @@
+/**
+ * @fileoverview Board Page Module
+ * @description Shows the current user's tasks on a Kanban board with the columns
+ *              To do, In progress, Awaiting feedback and Done. Cards can be moved
+ *              by drag and drop (long press on touch devices).
+ * @module board/board__init
+ */
+
+import { onAuthChange } from "../../services/auth.service.js";
+import { loadCurrentUserData } from "../../services/user-data.service.js";
+import { requireAuth } from "../shared/route-guard.js";
+import { startSessionManager } from "../shared/session-manager.js";
+import { setupResizeListenerOnWidthChange } from "../shared/ui-helpers.js";
+import { initHeader } from "../header/header__init.js";
+import { initMenu } from "../layout/menu__navigation.js";
+import { renderAppLayout } from "../layout/app-layout.js";
+import { getBoardContentHTML } from "../../assets/templates/board-content.js";
+import {
+  BOARD_COLUMNS,
+  loadBoard,
+  renderBoard,
+  moveTask,
+} from "./board-columns.js";
+import { setupBoardDrag } from "./board__drag.js";
+import {
+  showSplash,
+  hideSplashDelayed,
+} from "../../services/splash.service.js";
+
+let currentUserData = null;
+
+/**
+ * Initializes the board page.
+ */
+async function initBoard() {
+  try {
+    showSplash();
+    if (!(await requireAuth())) return;
+    startSessionManager();
+
+    await renderBoardLayout();
+    setupAuthChangeHandler();
+    setupResizeListenerOnWidthChange(renderBoardLayout, 500);
+  } catch (error) {
+    console.error("[initBoard] Error:", error);
+  }
+}
+
+/**
+ * Renders the page layout and re-applies header, menu and columns.
+ */
+async function renderBoardLayout() {
+  const container = document.getElementById("boardMainContainer");
+  if (!container) return;
+
+  await renderAppLayout(container, getBoardContentHTML(BOARD_COLUMNS));
+  initMenu();
+  if (currentUserData) initHeader(currentUserData);
+  setupBoardDrag(container.querySelector(".board__columns"), moveTask);
+  renderBoard();
+}
+
+/**
+ * Loads user data and the board once the auth state is known.
+ */
+function setupAuthChangeHandler() {
+  onAuthChange(async (user) => {
+    if (!user) {
+      showSplash();
+      return;
+    }
+
+    currentUserData = await loadCurrentUserData();
+    initHeader(currentUserData);
+    await loadBoard();
+    hideSplashDelayed(400);
+  });
+}
+
+if (document.readyState === "loading") {
+  document.addEventListener("DOMContentLoaded", initBoard);
+} else {
+  initBoard();
+}
+
+export { initBoard };
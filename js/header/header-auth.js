@@ -6,15 +6,17 @@
 
 import { signOutUser } from "../../services/auth.service.js";
 import { showSplash } from "../../services/splash.service.js";
+import { announceLogout } from "../shared/session-manager.js";
 
 /**
  * Handles user logout process.
- * Clears session, signs out user, and redirects to login.
+ * Clears session, signs out user, logs out the other open tabs and redirects to login.
  */
 async function handleLogout() {
   try {
     showSplash();
     await signOutUser();
+    announceLogout();
     localStorage.removeItem("joinUser");
     sessionStorage.removeItem("joinUser");
 
@@ -0,0 +1,117 @@
+/**
+ * @fileoverview Header Delete Account Module
+ * @description Opens the confirmation modal of the account deletion and runs it.
+ * @module header/header-delete-account
+ */
+
+import { deleteAccount } from "../../services/account.service.js";
+import {
+  showSplash,
+  hideSplashDelayed,
+} from "../../services/splash.service.js";
+import { redirectToLogin } from "../shared/include-html.js";
+import { announceLogout } from "../shared/session-manager.js";
+import {
+  showModal,
+  hideModal,
+  showToast,
+  showLoading,
+  hideLoading,
+} from "../shared/ui-helpers.js";
+import {
+  ERROR_TYPE,
+  isErrorType,
+  getErrorMessage,
+} from "../../services/error.service.js";
+import { AUTH_ERROR_CATALOG, getAuthErrorInfo } from "../shared/auth-errors.js";
+import { getDeleteAccountModalHTML } from "../../assets/templates/delete-account-modal.js";
+
+/**
+ * Sets up the "Delete account" menu button.
+ *
+ * @param {Object} userData - Current user data
+ */
+function setupDeleteAccountButton(userData) {
+  const btn = document.getElementById("headerDeleteAccountBtn");
+  if (btn)
+    btn.onclick = () => openDeleteAccountModal(Boolean(userData.isGuest));
+}
+
+/**
+ * Renders (once) and opens the confirmation modal.
+ *
+ * @param {boolean} isGuest - Whether the current user is a guest
+ */
+function openDeleteAccountModal(isGuest) {
+  let modal = document.getElementById("deleteAccountModal");
+  if (!modal) {
+    document.body.insertAdjacentHTML(
+      "beforeend",
+      getDeleteAccountModalHTML(isGuest),
+    );
+    modal = document.getElementById("deleteAccountModal");
+    setupModalListeners(modal);
+  }
+
+  showModal(modal);
+  document.getElementById("deleteAccountPassword")?.focus();
+}
+
+/**
+ * Wires cancel, backdrop click, Escape and submit of the modal.
+ *
+ * @param {HTMLElement} modal - Modal element
+ */
+function setupModalListeners(modal) {
+  const form = document.getElementById("deleteAccountForm");
+  const cancelBtn = document.getElementById("deleteAccountCancelBtn");
+
+  cancelBtn.addEventListener("click", () => hideModal(modal));
+  modal.addEventListener("click", (event) => {
+    if (event.target === modal) hideModal(modal);
+  });
+  modal.addEventListener("keydown", (event) => {
+    if (event.key === "Escape") hideModal(modal);
+  });
+  form.addEventListener("submit", handleDeleteSubmit);
+}
+
+/**
+ * Deletes the account, logs out the other open tabs and redirects to the login page.
+ *
+ * @param {SubmitEvent} event - Form submit event
+ */
+async function handleDeleteSubmit(event) {
+  event.preventDefault();
+  const submitBtn = document.getElementById("deleteAccountConfirmBtn");
+  const password = document.getElementById("deleteAccountPassword")?.value;
+
+  try {
+    showLoading(submitBtn);
+    showSplash();
+    await deleteAccount(password);
+    announceLogout();
+    redirectToLogin();
+  } catch (error) {
+    console.error("[handleDeleteSubmit] Error:", error);
+    hideSplashDelayed(0);
+    showToast(getDeleteErrorMessage(error), "error");
+  } finally {
+    hideLoading(submitBtn);
+  }
+}
+
+/**
+ * Maps an error of the account deletion to a user-facing message.
+ *
+ * @param {Error} error - Error thrown by deleteAccount
+ * @returns {string} - Message for the toast
+ */
+function getDeleteErrorMessage(error) {
+  if (isErrorType(error, ERROR_TYPE.OFFLINE)) return getErrorMessage(error);
+  return AUTH_ERROR_CATALOG[error.code]
+    ? getAuthErrorInfo(error).message
+    : "Could not delete the account. Please try again.";
+}
+
+export { setupDeleteAccountButton };
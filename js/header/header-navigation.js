@@ -1,6 +1,7 @@
 /**
  * @fileoverview Header Navigation Module
- * @description Sets up navigation button listeners for help, legality, and policy pages.
+ * @description Sets up navigation button listeners for help, legality, policy, profile, trash and history pages,
+ *              and the "Create account" link shown to guests.
  * @module header/header-navigation
  */
 
@@ -8,13 +9,16 @@ import { navigateToPage } from "../shared/include-html.js";
 
 /**
  * Sets up page navigation button listeners.
- * Handles clicks on help, legality, and policy buttons.
+ * Handles clicks on help, legality, policy, profile, trash and history buttons.
  */
 function setupPageNavigationListeners() {
   const navigationBtns = {
     help: document.querySelector(".header__help-btn"),
     legality: document.getElementById("headerLegalityBtn"),
     policy: document.getElementById("headerPolicyBtn"),
+    profile: document.getElementById("headerProfileSettingsBtn"),
+    trash: document.getElementById("headerTrashBtn"),
+    history: document.getElementById("headerHistoryBtn"),
   };
 
   Object.entries(navigationBtns).forEach(([page, btn]) => {
@@ -22,4 +26,21 @@ function setupPageNavigationListeners() {
   });
 }
 
-export { setupPageNavigationListeners };
+/**
+ * Shows the "Create account" menu item to guests.
+ * It opens the register page in upgrade mode so the guest keeps their data.
+ *
+ * @param {Object} userData - Current user data
+ */
+function setupGuestUpgradeLink(userData) {
+  const item = document.getElementById("headerUpgradeItem");
+  const btn = document.getElementById("headerUpgradeBtn");
+  if (!item || !btn) return;
+
+  item.hidden = !userData.isGuest;
+  btn.onclick = () => {
+    window.location.href = "./register.html?upgrade=guest";
+  };
+}
+
+export { setupPageNavigationListeners, setupGuestUpgradeLink };
@@ -0,0 +1,38 @@
+/**
+ * @fileoverview Header Sync Status Module
+ * @description Shows how many changes made while offline are still waiting to sync.
+ *              The badge is hidden when the offline queue is empty.
+ * @module header/header-sync-status
+ */
+
+import { onPendingCountChange } from "../../services/offline-queue.service.js";
+
+let unsubscribePendingCount = null;
+
+/**
+ * Starts updating the sync status badge.
+ * Replaces a previous subscription, so it is safe to call after every header render.
+ */
+function setupSyncStatus() {
+  if (unsubscribePendingCount) unsubscribePendingCount();
+  unsubscribePendingCount = onPendingCountChange(renderSyncStatus);
+}
+
+/**
+ * Renders the number of pending changes into the header badge.
+ *
+ * @param {number} count - Number of queued writes
+ */
+function renderSyncStatus(count) {
+  const badge = document.getElementById("headerSyncStatus");
+  if (!badge) return;
+
+  badge.hidden = count === 0;
+  badge.textContent = count;
+  badge.title =
+    count === 1
+      ? "1 change waiting to sync"
+      : `${count} changes waiting to sync`;
+}
+
+export { setupSyncStatus, renderSyncStatus };
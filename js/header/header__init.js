@@ -5,13 +5,18 @@
  */
 
 import { setupThemeToggle } from "../shared/theme-service.js";
-import { setupPageNavigationListeners } from "./header-navigation.js";
+import {
+  setupPageNavigationListeners,
+  setupGuestUpgradeLink,
+} from "./header-navigation.js";
 import { displayUserInitials } from "./header-user-display.js";
 import {
   setupOutsideClickListener,
   setupUserMenuListeners,
 } from "./header-user-menu.js";
 import { handleLogout } from "./header-auth.js";
+import { setupSyncStatus } from "./header-sync-status.js";
+import { setupDeleteAccountButton } from "./header-delete-account.js";
 
 /**
  * Initializes header functionality.
@@ -24,9 +29,12 @@ function initHeader(userData) {
   setupPageNavigationListeners();
   setupOutsideClickListener();
   setupUserMenuListeners(handleLogout);
+  setupSyncStatus();
 
   if (userData) {
     displayUserInitials(userData);
+    setupGuestUpgradeLink(userData);
+    setupDeleteAccountButton(userData);
   }
 }
 
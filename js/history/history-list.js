@@ -0,0 +1,80 @@
+/**
+ * @fileoverview History List Module
+ * @description Loads activity log entries page by page and renders them.
+ * @module history/history-list
+ */
+
+import { getCurrentAuthUser } from "../../services/auth.service.js";
+import {
+  getDocumentActivity,
+  getUserActivity,
+} from "../../services/activity.service.js";
+import { getHistoryEntryHTML } from "../../assets/templates/history-content.js";
+import { showToast } from "../shared/ui-helpers.js";
+
+let entries = [];
+let nextCursor = null;
+let currentTaskId = null;
+
+/**
+ * Loads the first page of the history.
+ *
+ * @param {string|null} taskId - Task to show the history of, or null for the user's activity
+ */
+async function loadHistory(taskId) {
+  currentTaskId = taskId;
+  entries = [];
+  nextCursor = null;
+  await loadNextPage();
+}
+
+/**
+ * Loads the next page of entries and appends it to the list.
+ */
+async function loadNextPage() {
+  try {
+    const user = getCurrentAuthUser();
+    if (!user) return;
+
+    const options = { cursor: nextCursor };
+    const page = currentTaskId
+      ? await getDocumentActivity(user.uid, "tasks", currentTaskId, options)
+      : await getUserActivity(user.uid, options);
+    entries = [...entries, ...page.entries];
+    nextCursor = page.nextCursor;
+    renderHistoryList();
+  } catch (error) {
+    console.error("[loadNextPage] Error:", error);
+    showToast("Could not load the history.", "error");
+  }
+}
+
+/**
+ * Renders the loaded entries into the list (or the empty state).
+ * Safe to call after the layout was re-rendered.
+ */
+function renderHistoryList() {
+  const list = document.getElementById("historyList");
+  const empty = document.getElementById("historyEmpty");
+  const moreBtn = document.getElementById("historyMoreBtn");
+  if (!list || !empty || !moreBtn) return;
+
+  list.innerHTML = entries.map(getHistoryEntryHTML).join("");
+  empty.hidden = entries.length > 0;
+  moreBtn.hidden = !nextCursor;
+  moreBtn.onclick = handleMoreClick;
+}
+
+/**
+ * Loads the next page while disabling the button.
+ *
+ * @param {MouseEvent} event - Click event on the "Load more" button
+ */
+async function handleMoreClick(event) {
+  const button = event.currentTarget;
+  button.disabled = true;
+  await loadNextPage();
+  button.disabled = false;
+}
+
+export { loadHistory, renderHistoryList };
@@ -0,0 +1,87 @@
+/**
+ * @fileoverview History Page Module
+ * @description Shows the activity log: the changes of the current user, or the
+ *              history of a single task when the page is opened with ?task=<id>.
+ * @module history/history__init
+ */
+
+import { onAuthChange } from "../../services/auth.service.js";
+import { loadCurrentUserData } from "../../services/user-data.service.js";
+import { requireAuth } from "../shared/route-guard.js";
+import { startSessionManager } from "../shared/session-manager.js";
+import { setupResizeListenerOnWidthChange } from "../shared/ui-helpers.js";
+import { initHeader } from "../header/header__init.js";
+import { initMenu } from "../layout/menu__navigation.js";
+import { renderAppLayout } from "../layout/app-layout.js";
+import { getHistoryContentHTML } from "../../assets/templates/history-content.js";
+import { loadHistory, renderHistoryList } from "./history-list.js";
+import {
+  showSplash,
+  hideSplashDelayed,
+} from "../../services/splash.service.js";
+
+let currentUserData = null;
+
+/**
+ * Initializes the history page.
+ */
+async function initHistory() {
+  try {
+    showSplash();
+    if (!(await requireAuth())) return;
+    startSessionManager();
+
+    await renderHistoryLayout();
+    setupAuthChangeHandler();
+    setupResizeListenerOnWidthChange(renderHistoryLayout, 500);
+  } catch (error) {
+    console.error("[initHistory] Error:", error);
+  }
+}
+
+/**
+ * Renders the page layout and re-applies header, menu and list.
+ */
+async function renderHistoryLayout() {
+  const container = document.getElementById("historyMainContainer");
+  if (!container) return;
+
+  await renderAppLayout(container, getHistoryContentHTML(getTaskIdParam()));
+  initMenu();
+  if (currentUserData) initHeader(currentUserData);
+  renderHistoryList();
+}
+
+/**
+ * Reads the task ID from the ?task= query parameter.
+ *
+ * @returns {string|null} - Task ID, or null for the user's own activity
+ */
+function getTaskIdParam() {
+  return new URLSearchParams(window.location.search).get("task");
+}
+
+/**
+ * Loads user data and the first history page once the auth state is known.
+ */
+function setupAuthChangeHandler() {
+  onAuthChange(async (user) => {
+    if (!user) {
+      showSplash();
+      return;
+    }
+
+    currentUserData = await loadCurrentUserData();
+    initHeader(currentUserData);
+    await loadHistory(getTaskIdParam());
+    hideSplashDelayed(400);
+  });
+}
+
+if (document.readyState === "loading") {
+  document.addEventListener("DOMContentLoaded", initHistory);
+} else {
+  initHistory();
+}
+
+export { initHistory };
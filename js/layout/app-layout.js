@@ -0,0 +1,76 @@
+/**
+ * @fileoverview App Layout Module
+ * @description Renders the shared page frame (header, menu and content area) for app pages
+ *              that follow the summary layout: mobile layout up to 1080px, desktop above.
+ * @module layout/app-layout
+ */
+
+import { includeHTML } from "../shared/include-html.js";
+import { fadeTransition } from "../shared/fade-service.js";
+
+/**
+ * Builds the layout HTML for the current window width.
+ *
+ * @param {string} contentHtml - Page content placed inside the content area
+ * @returns {string} - Layout HTML
+ */
+function buildAppLayoutHTML(contentHtml) {
+  return window.innerWidth <= 1080
+    ? buildMobileLayout(contentHtml)
+    : buildDesktopLayout(contentHtml);
+}
+
+/**
+ * Builds the mobile layout (header on top, menu at the bottom).
+ *
+ * @param {string} contentHtml - Page content
+ * @returns {string} - Mobile layout HTML
+ */
+function buildMobileLayout(contentHtml) {
+  return `
+    <main class="app-layout__main">
+      <div w3-include-html="../assets/templates/header.html"></div>
+      <div class="app-layout__content" id="appContentContainer">${contentHtml}</div>
+      <div class="menu-container" w3-include-html="../assets/templates/menu.html"></div>
+    </main>
+  `;
+}
+
+/**
+ * Builds the desktop layout (menu on the left, header above the content).
+ *
+ * @param {string} contentHtml - Page content
+ * @returns {string} - Desktop layout HTML
+ */
+function buildDesktopLayout(contentHtml) {
+  return `
+    <main class="desktop-layout__main">
+      <div class="app-layout__column">
+        <div w3-include-html="../assets/templates/header.html"></div>
+        <div class="app-layout__content" id="appContentContainer">${contentHtml}</div>
+      </div>
+      <div class="menu-container" w3-include-html="../assets/templates/menu.html"></div>
+    </main>
+  `;
+}
+
+/**
+ * Renders the layout into a container with a fade transition
+ * and loads the header and menu templates.
+ *
+ * @param {HTMLElement} container - Page container element
+ * @param {string} contentHtml - Page content
+ * @returns {Promise<void>}
+ */
+async function renderAppLayout(container, contentHtml) {
+  await fadeTransition(
+    container,
+    async () => {
+      container.innerHTML = buildAppLayoutHTML(contentHtml);
+      await includeHTML();
+    },
+    200,
+  );
+}
+
+export { buildAppLayoutHTML, renderAppLayout };
@@ -14,6 +14,7 @@ import {
 import { navigateToPage } from "../shared/include-html.js";
 import { showSplash } from "../../services/splash.service.js";
 import { setupThemeToggle } from "../shared/theme-service.js";
+import { announceLogout } from "../shared/session-manager.js";
 
 /**
  * Initializes header functionality.
@@ -127,12 +128,13 @@ function toggleUserMenu() {
 
 /**
  * Handles user logout.
- * Signs out user and redirects to login page.
+ * Signs out user, logs out the other open tabs and redirects to login page.
  */
 async function handleLogout() {
   try {
     showSplash();
     await signOutUser();
+    announceLogout();
     localStorage.removeItem("joinUser");
     sessionStorage.removeItem("joinUser");
     setTimeout(() => {
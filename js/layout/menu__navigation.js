@@ -47,8 +47,14 @@ function navigatePrettyUrl(pageName) {
     "board",
     "addTask",
     "contacts",
+    "trash",
+    "history",
+    "profile",
     "login",
     "register",
+    "forgot-password",
+    "reset-password",
+    "verify-email",
     "404",
     "policy",
     "legal",
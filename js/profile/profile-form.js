@@ -0,0 +1,165 @@
+/**
+ * @fileoverview Profile Form Module
+ * @description Fills and submits the forms of the profile page: name and badge color,
+ *              email address and password. The header badge is refreshed right after
+ *              a successful change.
+ * @module profile/profile-form
+ */
+
+import {
+  updateProfile,
+  changeEmail,
+  changePassword,
+} from "../../services/profile.service.js";
+import { getErrorMessage } from "../../services/error.service.js";
+import { displayUserInitials } from "../header/header-user-display.js";
+import {
+  validateName,
+  validateEmail,
+  validatePassword,
+  validateNewPassword,
+  validatePasswordMatch,
+  applyFieldCheck,
+} from "../shared/validators.js";
+import { showToast, showLoading, hideLoading } from "../shared/ui-helpers.js";
+import { AUTH_ERROR_CATALOG, getAuthErrorInfo } from "../shared/auth-errors.js";
+
+/**
+ * Fills the forms with the user's data and wires their submit handlers.
+ * Safe to call after the layout was re-rendered.
+ *
+ * @param {Object} userData - Current user data
+ */
+function setupProfileForms(userData) {
+  fillProfileForm(userData);
+  document
+    .getElementById("profileForm")
+    ?.addEventListener("submit", handleProfileSubmit);
+  document
+    .getElementById("emailForm")
+    ?.addEventListener("submit", handleEmailSubmit);
+  document
+    .getElementById("passwordForm")
+    ?.addEventListener("submit", handlePasswordSubmit);
+}
+
+/**
+ * Shows the current name, badge color and email.
+ *
+ * @param {Object} userData - Current user data
+ */
+function fillProfileForm(userData) {
+  const nameInput = document.getElementById("profileName");
+  if (nameInput) nameInput.value = userData.name || "";
+
+  const colorInput = document.querySelector(
+    `.profile__color-input[value="${userData.colorCode}"]`,
+  );
+  if (colorInput) colorInput.checked = true;
+
+  const emailInput = document.getElementById("profileEmail");
+  if (emailInput) emailInput.placeholder = userData.email || "";
+}
+
+/**
+ * Saves name and badge color.
+ *
+ * @param {SubmitEvent} event - Form submit event
+ */
+async function handleProfileSubmit(event) {
+  event.preventDefault();
+  const nameInput = document.getElementById("profileName");
+  if (!applyFieldCheck(nameInput, validateName(nameInput.value))) return;
+
+  const colorCode = event.target.querySelector(
+    ".profile__color-input:checked",
+  )?.value;
+  await submitChange(event.target, "Profile saved.", () =>
+    updateProfile({ name: nameInput.value, colorCode }),
+  );
+}
+
+/**
+ * Changes the email address after re-authentication.
+ *
+ * @param {SubmitEvent} event - Form submit event
+ */
+async function handleEmailSubmit(event) {
+  event.preventDefault();
+  const emailInput = document.getElementById("profileEmail");
+  const passwordInput = document.getElementById("emailCurrentPassword");
+  const checks = [
+    applyFieldCheck(emailInput, validateEmail(emailInput.value)),
+    applyFieldCheck(passwordInput, validatePassword(passwordInput.value)),
+  ];
+  if (!checks.every(Boolean)) return;
+
+  await submitChange(
+    event.target,
+    "Confirmation link sent. Open it to switch to your new address.",
+    () => changeEmail(passwordInput.value, emailInput.value.trim()),
+  );
+}
+
+/**
+ * Changes the password after re-authentication.
+ *
+ * @param {SubmitEvent} event - Form submit event
+ */
+async function handlePasswordSubmit(event) {
+  event.preventDefault();
+  const current = document.getElementById("currentPassword");
+  const next = document.getElementById("newPassword");
+  const confirm = document.getElementById("confirmNewPassword");
+  const checks = [
+    applyFieldCheck(current, validatePassword(current.value)),
+    applyFieldCheck(
+      next,
+      validateNewPassword(next.value, window.currentUserData || {}),
+    ),
+    applyFieldCheck(confirm, validatePasswordMatch(next.value, confirm.value)),
+  ];
+  if (!checks.every(Boolean)) return;
+
+  await submitChange(event.target, "Password changed.", () =>
+    changePassword(current.value, next.value),
+  );
+}
+
+/**
+ * Runs a change, refreshes the header badge and reports the result.
+ *
+ * @param {HTMLFormElement} form - Submitted form
+ * @param {string} successMessage - Toast text on success
+ * @param {Function} change - Async change; may resolve with the updated profile
+ */
+async function submitChange(form, successMessage, change) {
+  const submitBtn = form.querySelector('button[type="submit"]');
+  try {
+    showLoading(submitBtn);
+    const profile = await change();
+    if (profile) displayUserInitials(profile);
+    form.querySelectorAll('input[type="password"]').forEach((input) => {
+      input.value = "";
+    });
+    showToast(successMessage, "success");
+  } catch (error) {
+    showToast(getProfileErrorMessage(error), "error");
+  } finally {
+    hideLoading(submitBtn);
+  }
+}
+
+/**
+ * Maps an auth or storage error to a user-facing message.
+ *
+ * @param {Error} error - Error thrown by the profile service
+ * @returns {string} - Message
+ */
+function getProfileErrorMessage(error) {
+  return AUTH_ERROR_CATALOG[error.code]
+    ? getAuthErrorInfo(error).message
+    : getErrorMessage(error);
+}
+
+export { setupProfileForms };
@@ -0,0 +1,79 @@
+/**
+ * @fileoverview Profile Page Module
+ * @description Lets the current user change name, badge color, email address
+ *              and password.
+ * @module profile/profile__init
+ */
+
+import { onAuthChange } from "../../services/auth.service.js";
+import { loadCurrentUserData } from "../../services/user-data.service.js";
+import { requireAuth } from "../shared/route-guard.js";
+import { startSessionManager } from "../shared/session-manager.js";
+import { setupResizeListenerOnWidthChange } from "../shared/ui-helpers.js";
+import { initHeader } from "../header/header__init.js";
+import { initMenu } from "../layout/menu__navigation.js";
+import { renderAppLayout } from "../layout/app-layout.js";
+import { getProfileContentHTML } from "../../assets/templates/profile-content.js";
+import { setupProfileForms } from "./profile-form.js";
+import {
+  showSplash,
+  hideSplashDelayed,
+} from "../../services/splash.service.js";
+
+/**
+ * Initializes the profile page.
+ */
+async function initProfile() {
+  try {
+    showSplash();
+    if (!(await requireAuth())) return;
+    startSessionManager();
+
+    setupAuthChangeHandler();
+    setupResizeListenerOnWidthChange(renderProfileLayout, 500);
+  } catch (error) {
+    console.error("[initProfile] Error:", error);
+  }
+}
+
+/**
+ * Renders the page layout and re-applies header, menu and forms.
+ * Waits for the user data, since the forms depend on it.
+ */
+async function renderProfileLayout() {
+  const container = document.getElementById("profileMainContainer");
+  const userData = window.currentUserData;
+  if (!container || !userData) return;
+
+  await renderAppLayout(
+    container,
+    getProfileContentHTML(Boolean(userData.isGuest)),
+  );
+  initMenu();
+  initHeader(userData);
+  setupProfileForms(userData);
+}
+
+/**
+ * Loads user data and renders the page once the auth state is known.
+ */
+function setupAuthChangeHandler() {
+  onAuthChange(async (user) => {
+    if (!user) {
+      showSplash();
+      return;
+    }
+
+    await loadCurrentUserData();
+    await renderProfileLayout();
+    hideSplashDelayed(400);
+  });
+}
+
+if (document.readyState === "loading") {
+  document.addEventListener("DOMContentLoaded", initProfile);
+} else {
+  initProfile();
+}
+
+export { initProfile };
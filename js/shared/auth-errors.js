@@ -0,0 +1,189 @@
+/**
+ * @fileoverview Auth Error Catalog
+ * @description Maps Firebase Auth error codes to localized messages (English, German)
+ *              and to the form field they belong to. Errors with a field are shown
+ *              below that field via showFieldError, all others as a toast, so all auth
+ *              pages (login, registration, password reset, verification, profile and
+ *              account deletion) report errors the same way.
+ * @module js/shared/auth-errors
+ */
+
+import { showFieldError } from "./validators.js";
+import { showToast } from "./ui-helpers.js";
+
+const DEFAULT_LOCALE = "en";
+const SUPPORTED_LOCALES = ["en", "de"];
+
+/**
+ * @typedef {Object} AuthErrorEntry
+ * @property {string|null} field - Form field ("name", "email", "password") or null for the form
+ * @property {string} en - English message
+ * @property {string} de - German message
+ */
+
+/**
+ * Auth error codes with field and messages.
+ * @type {Object<string, AuthErrorEntry>}
+ */
+const AUTH_ERROR_CATALOG = {
+  "auth/invalid-email": {
+    field: "email",
+    en: "Please enter a valid email address.",
+    de: "Bitte gib eine gültige E-Mail-Adresse ein.",
+  },
+  "auth/missing-email": {
+    field: "email",
+    en: "Email is required.",
+    de: "Bitte gib deine E-Mail-Adresse ein.",
+  },
+  "auth/user-not-found": {
+    field: "email",
+    en: "No account found with this email.",
+    de: "Zu dieser E-Mail-Adresse gibt es kein Konto.",
+  },
+  "auth/email-already-in-use": {
+    field: "email",
+    en: "This email is already registered.",
+    de: "Diese E-Mail-Adresse ist bereits registriert.",
+  },
+  "auth/credential-already-in-use": {
+    field: "email",
+    en: "This email is already linked to another account.",
+    de: "Diese E-Mail-Adresse gehört bereits zu einem anderen Konto.",
+  },
+  "auth/wrong-password": {
+    field: "password",
+    en: "Incorrect password.",
+    de: "Falsches Passwort.",
+  },
+  "auth/invalid-credential": {
+    field: "password",
+    en: "Email or password is incorrect.",
+    de: "E-Mail-Adresse oder Passwort ist falsch.",
+  },
+  "auth/invalid-login-credentials": {
+    field: "password",
+    en: "Email or password is incorrect.",
+    de: "E-Mail-Adresse oder Passwort ist falsch.",
+  },
+  "auth/missing-password": {
+    field: "password",
+    en: "Password is required.",
+    de: "Bitte gib dein Passwort ein.",
+  },
+  "auth/weak-password": {
+    field: "password",
+    en: "Password is too weak. Please choose a stronger one.",
+    de: "Das Passwort ist zu schwach. Bitte wähle ein sichereres.",
+  },
+  "auth/expired-action-code": {
+    field: null,
+    en: "This link has expired. Please request a new one.",
+    de: "Dieser Link ist abgelaufen. Bitte fordere einen neuen an.",
+  },
+  "auth/invalid-action-code": {
+    field: null,
+    en: "This link is invalid or was already used.",
+    de: "Dieser Link ist ungültig oder wurde bereits verwendet.",
+  },
+  "auth/user-disabled": {
+    field: null,
+    en: "This account has been disabled.",
+    de: "Dieses Konto wurde deaktiviert.",
+  },
+  "auth/too-many-requests": {
+    field: null,
+    en: "Too many attempts. Please try again later.",
+    de: "Zu viele Versuche. Bitte versuche es später erneut.",
+  },
+  "auth/network-request-failed": {
+    field: null,
+    en: "Network error. Please check your connection.",
+    de: "Netzwerkfehler. Bitte prüfe deine Verbindung.",
+  },
+  "auth/timeout": {
+    field: null,
+    en: "The request timed out. Please try again.",
+    de: "Zeitüberschreitung. Bitte versuche es erneut.",
+  },
+  "auth/operation-not-allowed": {
+    field: null,
+    en: "This sign-in method is not enabled.",
+    de: "Diese Anmeldemethode ist nicht aktiviert.",
+  },
+  "auth/provider-already-linked": {
+    field: null,
+    en: "This guest session was already upgraded.",
+    de: "Diese Gastsitzung wurde bereits umgewandelt.",
+  },
+  "auth/requires-recent-login": {
+    field: null,
+    en: "Please log in again and retry.",
+    de: "Bitte melde dich erneut an und versuche es noch einmal.",
+  },
+  "auth/user-token-expired": {
+    field: null,
+    en: "Your session has expired. Please log in again.",
+    de: "Deine Sitzung ist abgelaufen. Bitte melde dich erneut an.",
+  },
+  "auth/quota-exceeded": {
+    field: null,
+    en: "Too many requests. Please try again later.",
+    de: "Zu viele Anfragen. Bitte versuche es später erneut.",
+  },
+  "auth/internal-error": {
+    field: null,
+    en: "Something went wrong. Please try again.",
+    de: "Etwas ist schiefgelaufen. Bitte versuche es erneut.",
+  },
+};
+
+/**
+ * Fallback for codes that are not in the catalog.
+ * @type {AuthErrorEntry}
+ */
+const UNKNOWN_AUTH_ERROR = AUTH_ERROR_CATALOG["auth/internal-error"];
+
+/**
+ * Picks the message language from the browser settings.
+ *
+ * @returns {string} - One of SUPPORTED_LOCALES
+ */
+function getAuthLocale() {
+  const language = (navigator.language || DEFAULT_LOCALE).slice(0, 2);
+  return SUPPORTED_LOCALES.includes(language) ? language : DEFAULT_LOCALE;
+}
+
+/**
+ * Looks up field and message of an auth error.
+ *
+ * @param {Error} error - Firebase auth error
+ * @param {string} [locale] - One of SUPPORTED_LOCALES (default: browser language)
+ * @returns {{field: string|null, message: string}} - Field and localized message
+ */
+function getAuthErrorInfo(error, locale = getAuthLocale()) {
+  const entry = AUTH_ERROR_CATALOG[error?.code] || UNKNOWN_AUTH_ERROR;
+  return {
+    field: entry.field,
+    message: entry[locale] || entry[DEFAULT_LOCALE],
+  };
+}
+
+/**
+ * Shows an auth error below its form field, or as a toast if the form
+ * has no such field.
+ *
+ * @param {Error} error - Firebase auth error
+ * @param {Object<string, HTMLElement>} [fieldInputs] - Inputs by field name
+ * @example
+ * // showAuthError(error, { email: emailInput, password: passwordInput });
+ */
+function showAuthError(error, fieldInputs = {}) {
+  const { field, message } = getAuthErrorInfo(error);
+  const input = field ? fieldInputs[field] : null;
+
+  if (input) showFieldError(input, message);
+  else showToast(message, "error");
+}
+
+export { AUTH_ERROR_CATALOG, getAuthLocale, getAuthErrorInfo, showAuthError };
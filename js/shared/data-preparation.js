@@ -0,0 +1,120 @@
+/**
+ * @fileoverview User Data Preparation
+ * @description Brings the signed-in user's data up to date before a protected page
+ *              renders: finishes an interrupted account deletion or guest upgrade,
+ *              copies a confirmed email change into the profile, runs pending schema
+ *              migrations (progress is shown on the splash screen) and purges expired
+ *              trash. Migrations and purging run once per tab session and user, so
+ *              returning users with a saved session are migrated as well.
+ * @module js/shared/data-preparation
+ */
+
+import { migrateUserData } from "../../services/data.service.js";
+import {
+  resumeAccountDeletion,
+  resumeGuestUpgrade,
+} from "../../services/account.service.js";
+import { syncProfileEmail } from "../../services/profile.service.js";
+import { purgeExpiredItems } from "../../services/trash.service.js";
+import { setSplashMessage } from "../../services/splash.service.js";
+import { getErrorMessage } from "../../services/error.service.js";
+import { showToast } from "./ui-helpers.js";
+
+/**
+ * sessionStorage key holding the UID whose data was prepared in this tab.
+ * @type {string}
+ */
+const PREPARED_USER_KEY = "preparedUserId";
+
+/**
+ * Finishes a pending guest upgrade, syncs the profile email, runs pending
+ * migrations and purges expired trash for the signed-in user. Never blocks
+ * the page: failures are reported and retried on the next page load.
+ * A pending account deletion is finished first; if that signs the user out,
+ * nothing else runs.
+ *
+ * @param {Object} user - Signed-in auth user
+ * @returns {Promise<boolean>} - False if the user was signed out by a pending deletion
+ */
+async function prepareUserData(user) {
+  if (await resumePendingDeletion(user)) return false;
+
+  await resumePendingUpgrade(user);
+  await syncProfileEmail(user).catch((error) =>
+    console.error("[syncProfileEmail] Error:", error),
+  );
+  await migrateAndPurge(user.uid);
+  return true;
+}
+
+/**
+ * Finishes an account deletion whose auth user could not be deleted.
+ * A failed retry is reported; only a user who was signed out (deletion
+ * finished, or a new login is needed to finish it) leaves the page.
+ *
+ * @param {Object} user - Signed-in auth user
+ * @returns {Promise<boolean>} - True if the user was signed out
+ */
+async function resumePendingDeletion(user) {
+  try {
+    return await resumeAccountDeletion(user);
+  } catch (error) {
+    console.error("[resumePendingDeletion] Error:", error);
+    if (error.code === "auth/requires-recent-login") return true;
+
+    showToast(
+      `Your account could not be deleted yet. ${getErrorMessage(error)}`,
+      "error",
+    );
+    return false;
+  }
+}
+
+/**
+ * Moves the profile of a linked guest that is still stored in "guests".
+ *
+ * @param {Object} user - Signed-in auth user
+ * @returns {Promise<void>}
+ */
+async function resumePendingUpgrade(user) {
+  try {
+    await resumeGuestUpgrade(user);
+  } catch (error) {
+    console.error("[resumePendingUpgrade] Error:", error);
+  }
+}
+
+/**
+ * Runs pending migrations and purges expired trash, once per tab session.
+ *
+ * @param {string} userId - Firebase user UID
+ * @returns {Promise<void>}
+ */
+async function migrateAndPurge(userId) {
+  if (sessionStorage.getItem(PREPARED_USER_KEY) === userId) return;
+
+  try {
+    const report = await migrateUserData(userId, showMigrationProgress);
+    if (report.failure) {
+      showToast("Some of your data could not be updated.", "error");
+      return;
+    }
+    await purgeExpiredItems(userId);
+    sessionStorage.setItem(PREPARED_USER_KEY, userId);
+  } catch (error) {
+    console.error("[prepareUserData] Error:", error);
+  } finally {
+    setSplashMessage("");
+  }
+}
+
+/**
+ * Shows the running migration step on the splash screen.
+ *
+ * @param {{index: number, total: number}} progress - Progress from the migration runner
+ */
+function showMigrationProgress({ index, total }) {
+  setSplashMessage(`Updating your data (step ${index + 1} of ${total})…`);
+}
+
+export { prepareUserData };
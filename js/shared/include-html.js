@@ -1,8 +1,9 @@
 /**
  * @fileoverview HTML Inclusion and Navigation Utility
  * @description Provides functions to dynamically include external HTML files (header, menu)
- *              into the current page and handle page navigation with authentication checks.
+ *              into the current page and handle page navigation.
  *              Uses w3-include-html attribute to load templates.
+ *              Access checks live in js/shared/route-guard.js.
  * @module js/shared/include-html
  */
 
@@ -41,23 +42,16 @@ async function includeHTML() {
 }
 
 /**
- * Navigates to a protected page after checking authentication status.
- * If user is logged in, navigates to the specified page.
- * If not logged in, redirects to the login page.
+ * Navigates to a protected page.
+ * The route guard of the target page sends signed-out users to the login page.
  *
  * @param {string} pageName - The name of the page to navigate to (without .html extension)
  * @example
- * // navigateToPage('board'); // Goes to board.html if authenticated
+ * // navigateToPage('board'); // Goes to board.html
  */
 function navigateToPage(pageName) {
-  const currentUserId = localStorage.getItem("currentUserId");
-
-  if (currentUserId) {
-    window.location.href = `./${pageName}.html`;
-    // window.location.href = `./pages/${pageName}.html`;
-  } else {
-    window.location.href = "./index.html";
-  }
+  window.location.href = `./${pageName}.html`;
+  // window.location.href = `./pages/${pageName}.html`;
 }
 
 /**
@@ -84,28 +78,4 @@ function redirectToLogin() {
   window.location.href = isInPagesFolder ? "../index.html" : "./index.html";
 }
 
-/**
- * Checks if user is authenticated on page load.
- * Redirects to login if not authenticated.
- * Call this function on protected pages during initialization.
- *
- * @returns {boolean} - True if authenticated, false otherwise
- */
-function checkAuthentication() {
-  const currentUserId = localStorage.getItem("currentUserId");
-
-  if (!currentUserId) {
-    redirectToLogin();
-    return false;
-  }
-
-  return true;
-}
-
-export {
-  includeHTML,
-  navigateToPage,
-  navigateToPublicPage,
-  redirectToLogin,
-  checkAuthentication,
-};
+export { includeHTML, navigateToPage, navigateToPublicPage, redirectToLogin };
@@ -0,0 +1,121 @@
+/**
+ * @fileoverview Route Guard
+ * @description Protects pages based on the auth state reported by the auth backend
+ *              instead of localStorage. Waits for the first onAuthChange event, then
+ *              sends signed-out users to the login page with a returnTo parameter and
+ *              keeps signed-in users away from login and register. Before a protected
+ *              page renders, the user's data is brought up to date.
+ * @module js/shared/route-guard
+ */
+
+import { onAuthChange } from "../../services/auth.service.js";
+import { prepareUserData } from "./data-preparation.js";
+
+/**
+ * URL parameter holding the page to open after login.
+ * @type {string}
+ */
+const RETURN_TO_PARAM = "returnTo";
+
+/**
+ * Page opened after login when no valid return URL is given.
+ * @type {string}
+ */
+const DEFAULT_RETURN_URL = "./summary.html";
+
+/**
+ * Pages that must never be used as return URL (would loop back to login).
+ * @type {string[]}
+ */
+const AUTH_PAGES = ["login", "register", "index", ""];
+
+let initialAuthState = null;
+
+/**
+ * Resolves with the user of the first auth state event.
+ * The promise is shared, so all callers see the same initial state.
+ *
+ * @returns {Promise<Object|null>} - Auth user or null if signed out
+ */
+function waitForAuthState() {
+  if (!initialAuthState) {
+    initialAuthState = new Promise((resolve) => {
+      const unsubscribe = onAuthChange((user) => {
+        unsubscribe();
+        resolve(user);
+      });
+    });
+  }
+  return initialAuthState;
+}
+
+/**
+ * Protects the current page. Signed-out users are sent to the login page,
+ * which brings them back here after signing in. For signed-in users, pending
+ * data migrations run first (also for sessions restored without a login).
+ * Users signed out by a pending account deletion are sent to the login page.
+ *
+ * @returns {Promise<Object|null>} - Auth user, or null if a redirect started
+ * @example
+ * // const user = await requireAuth();
+ * // if (!user) return;
+ */
+async function requireAuth() {
+  const user = await waitForAuthState();
+  if (user && (await prepareUserData(user))) return user;
+
+  redirectToLoginPage();
+  return null;
+}
+
+/**
+ * Opens the login page, which brings the user back to the current page.
+ */
+function redirectToLoginPage() {
+  const { pathname, search, hash } = window.location;
+  const returnTo = encodeURIComponent(pathname + search + hash);
+  window.location.replace(`./login.html?${RETURN_TO_PARAM}=${returnTo}`);
+}
+
+/**
+ * Sends already signed-in users from login or register to the return URL.
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.allowGuests=false] - Keep signed-in guests on the page
+ * @returns {Promise<boolean>} - True if a redirect started
+ */
+async function redirectIfAuthenticated({ allowGuests = false } = {}) {
+  const user = await waitForAuthState();
+  if (!user || (allowGuests && user.isAnonymous)) return false;
+
+  window.location.replace(getReturnUrl());
+  return true;
+}
+
+/**
+ * Reads the return URL from the query string. Only paths on the same
+ * origin are accepted; anything else falls back to the summary page.
+ *
+ * @returns {string} - URL to open after login
+ */
+function getReturnUrl() {
+  const returnTo = new URLSearchParams(window.location.search).get(
+    RETURN_TO_PARAM,
+  );
+  if (!returnTo || !returnTo.startsWith("/")) return DEFAULT_RETURN_URL;
+
+  const url = new URL(returnTo, window.location.origin);
+  const page = url.pathname.split("/").pop().replace(".html", "");
+  if (url.origin !== window.location.origin || AUTH_PAGES.includes(page)) {
+    return DEFAULT_RETURN_URL;
+  }
+  return url.pathname + url.search + url.hash;
+}
+
+export {
+  waitForAuthState,
+  requireAuth,
+  redirectIfAuthenticated,
+  redirectToLoginPage,
+  getReturnUrl,
+};
@@ -0,0 +1,214 @@
+/**
+ * @fileoverview Session Manager
+ * @description Keeps the login state of all open tabs in sync and logs users out
+ *              after APP_CONFIG.SESSION_IDLE_TIMEOUT_MINUTES without activity.
+ *              Login and logout are announced on a BroadcastChannel. The time of the
+ *              last activity is shared through localStorage, so activity in any tab
+ *              keeps the session alive. A warning with a countdown is shown
+ *              APP_CONFIG.SESSION_WARNING_SECONDS before the automatic logout.
+ * @module js/shared/session-manager
+ */
+
+import { APP_CONFIG } from "../../config/app.config.js";
+import { signOutUser } from "../../services/auth.service.js";
+import { showModal, hideModal } from "./ui-helpers.js";
+import { getReturnUrl, redirectToLoginPage } from "./route-guard.js";
+import { getSessionWarningModalHTML } from "../../assets/templates/session-warning-modal.js";
+
+const CHANNEL_NAME = "join-session";
+const LAST_ACTIVITY_KEY = "joinLastActivity";
+const ACTIVITY_WRITE_INTERVAL_MS = 5000;
+const IDLE_CHECK_INTERVAL_MS = 1000;
+
+/**
+ * DOM events that count as user activity.
+ * @type {string[]}
+ */
+const ACTIVITY_EVENTS = [
+  "pointerdown",
+  "pointermove",
+  "keydown",
+  "scroll",
+  "touchstart",
+];
+
+const channel =
+  typeof BroadcastChannel !== "undefined"
+    ? new BroadcastChannel(CHANNEL_NAME)
+    : null;
+
+let idleTimer = null;
+let lastActivityWrite = 0;
+
+/**
+ * Starts the session handling on a protected page: idle tracking and
+ * the reaction to a logout in another tab. Safe to call more than once.
+ * A session that already expired while no page was open is ended right away.
+ */
+function startSessionManager() {
+  if (idleTimer) return;
+  if (isSessionExpired()) {
+    logoutForInactivity();
+    return;
+  }
+
+  recordActivity(true);
+  ACTIVITY_EVENTS.forEach((type) =>
+    document.addEventListener(type, () => recordActivity(), { passive: true }),
+  );
+  onSessionMessage("logout", () => {
+    window.location.href = "../index.html";
+  });
+  if (APP_CONFIG.SESSION_IDLE_TIMEOUT_MINUTES > 0) {
+    idleTimer = setInterval(checkIdleTime, IDLE_CHECK_INTERVAL_MS);
+  }
+}
+
+/**
+ * Continues to the requested page when the user logs in in another tab.
+ * Used on the login and register pages.
+ */
+function watchForLogin() {
+  onSessionMessage("login", () => {
+    window.location.replace(getReturnUrl());
+  });
+}
+
+/**
+ * Tells the other tabs that the user logged in.
+ */
+function announceLogin() {
+  recordActivity(true);
+  channel?.postMessage({ type: "login" });
+}
+
+/**
+ * Tells the other tabs that the user logged out.
+ */
+function announceLogout() {
+  localStorage.removeItem(LAST_ACTIVITY_KEY);
+  channel?.postMessage({ type: "logout" });
+}
+
+/**
+ * Registers a handler for one message type of the session channel.
+ *
+ * @param {string} type - Message type ("login" or "logout")
+ * @param {Function} handler - Called when the message arrives
+ */
+function onSessionMessage(type, handler) {
+  channel?.addEventListener("message", (event) => {
+    if (event.data?.type === type) handler();
+  });
+}
+
+/**
+ * Stores the time of the last activity. Writes are throttled unless forced.
+ *
+ * @param {boolean} [force=false] - Write even within the throttle interval
+ */
+function recordActivity(force = false) {
+  const now = Date.now();
+  if (!force && now - lastActivityWrite < ACTIVITY_WRITE_INTERVAL_MS) return;
+
+  lastActivityWrite = now;
+  localStorage.setItem(LAST_ACTIVITY_KEY, String(now));
+}
+
+/**
+ * Calculates the seconds left until the automatic logout.
+ *
+ * @param {number} lastActivity - Timestamp of the last activity in ms
+ * @param {number} [now] - Current timestamp in ms
+ * @returns {number} - Remaining whole seconds, 0 when the session expired
+ */
+function getRemainingSeconds(lastActivity, now = Date.now()) {
+  const timeoutMs = APP_CONFIG.SESSION_IDLE_TIMEOUT_MINUTES * 60 * 1000;
+  return Math.max(0, Math.ceil((lastActivity + timeoutMs - now) / 1000));
+}
+
+/**
+ * Checks whether the idle timeout passed since the last recorded activity.
+ *
+ * @returns {boolean} - True if a timeout is configured and has passed
+ */
+function isSessionExpired() {
+  const lastActivity = Number(localStorage.getItem(LAST_ACTIVITY_KEY));
+  return (
+    APP_CONFIG.SESSION_IDLE_TIMEOUT_MINUTES > 0 &&
+    lastActivity > 0 &&
+    getRemainingSeconds(lastActivity) === 0
+  );
+}
+
+/**
+ * Shows or hides the warning and logs out once the session expired.
+ */
+function checkIdleTime() {
+  const lastActivity = Number(localStorage.getItem(LAST_ACTIVITY_KEY));
+  if (!lastActivity) return;
+
+  const seconds = getRemainingSeconds(lastActivity);
+  if (seconds === 0) {
+    logoutForInactivity();
+  } else if (seconds <= APP_CONFIG.SESSION_WARNING_SECONDS) {
+    showIdleWarning(seconds);
+  } else {
+    hideIdleWarning();
+  }
+}
+
+/**
+ * Renders (once) and shows the warning with the remaining seconds.
+ *
+ * @param {number} seconds - Seconds until the logout
+ */
+function showIdleWarning(seconds) {
+  let modal = document.getElementById("sessionWarningModal");
+  if (!modal) {
+    document.body.insertAdjacentHTML("beforeend", getSessionWarningModalHTML());
+    modal = document.getElementById("sessionWarningModal");
+    setupWarningListeners();
+  }
+
+  document.getElementById("sessionWarningSeconds").textContent = seconds;
+  if (!modal.classList.contains("modal--visible")) showModal(modal);
+}
+
+/**
+ * Hides the warning, e.g. after activity in another tab.
+ */
+function hideIdleWarning() {
+  const modal = document.getElementById("sessionWarningModal");
+  if (modal?.classList.contains("modal--visible")) hideModal(modal);
+}
+
+/**
+ * Wires the buttons of the warning.
+ */
+function setupWarningListeners() {
+  document.getElementById("sessionStayBtn").addEventListener("click", () => {
+    recordActivity(true);
+    hideIdleWarning();
+  });
+  document
+    .getElementById("sessionLogoutBtn")
+    .addEventListener("click", logoutForInactivity);
+}
+
+/**
+ * Signs out, informs the other tabs and opens the login page, which
+ * returns to the current page after the next login.
+ */
+async function logoutForInactivity() {
+  clearInterval(idleTimer);
+  try {
+    await signOutUser();
+  } catch (error) {
+    console.error("[Session] Sign out failed:", error);
+  }
+  announceLogout();
+  redirectToLoginPage();
+}
+
+export { startSessionManager, watchForLogin, announceLogin, announceLogout };
@@ -5,6 +5,8 @@
  * @module js/shared/validators
  */
 
+import { checkPasswordRules } from "../../services/password.policy.js";
+
 /**
  * Validates an email address format.
  *
@@ -44,6 +46,32 @@ function validatePassword(password) {
   return { isValid: true, error: "" };
 }
 
+/**
+ * Validates a new password against the password policy (register, reset, profile).
+ * Existing passwords at login are only checked with validatePassword.
+ * The error lists every failed rule on its own line.
+ *
+ * @param {string} password - New password
+ * @param {Object} [context] - Name and email the password must not contain
+ * @returns {Object} - { isValid: boolean, error: string }
+ */
+function validateNewPassword(password, context = {}) {
+  if (!password || password.trim() === "") {
+    return { isValid: false, error: "Password is required" };
+  }
+
+  const failed = checkPasswordRules(password, context).filter(
+    (rule) => !rule.passed,
+  );
+  if (failed.length === 0) return { isValid: true, error: "" };
+
+  const reasons = failed.map((rule) => `• ${rule.message}`).join("\n");
+  return {
+    isValid: false,
+    error: `Password requirements not met:\n${reasons}`,
+  };
+}
+
 /**
  * Validates that two passwords match.
  *
@@ -142,9 +170,10 @@ function validateRequired(value, fieldName = "This field", minLength = 1) {
 
 /**
  * Validates a date field.
- * Date must be in the future or today.
+ * Date must be in the future or today. Dates are compared as local calendar
+ * days; ISO strings compare correctly as plain strings.
  *
- * @param {string} dateString - Date string to validate
+ * @param {string} dateString - Date string to validate (YYYY-MM-DD)
  * @returns {Object} - { isValid: boolean, error: string }
  */
 function validateDate(dateString) {
@@ -152,11 +181,8 @@ function validateDate(dateString) {
     return { isValid: false, error: "Date is required" };
   }
 
-  const selectedDate = new Date(dateString);
-  const today = new Date();
-  today.setHours(0, 0, 0, 0);
-
-  if (selectedDate < today) {
+  const today = new Date().toLocaleDateString("en-CA");
+  if (dateString < today) {
     return { isValid: false, error: "Date cannot be in the past" };
   }
 
@@ -165,12 +191,21 @@ function validateDate(dateString) {
 
 /**
  * Shows validation error message on a form field.
+ * Uses the element referenced by aria-describedby if the page provides one,
+ * otherwise inserts an error span right after the input.
  *
  * @param {HTMLElement} inputElement - Input element
  * @param {string} errorMessage - Error message to display
  */
 function showFieldError(inputElement, errorMessage) {
   inputElement.classList.add("input--error");
+  inputElement.setAttribute("aria-invalid", "true");
+
+  const describedBy = getDescribedByElement(inputElement);
+  if (describedBy) {
+    describedBy.textContent = errorMessage;
+    return;
+  }
 
   let errorElement = inputElement.nextElementSibling;
 
@@ -193,6 +228,13 @@ function showFieldError(inputElement, errorMessage) {
  */
 function clearFieldError(inputElement) {
   inputElement.classList.remove("input--error");
+  inputElement.removeAttribute("aria-invalid");
+
+  const describedBy = getDescribedByElement(inputElement);
+  if (describedBy) {
+    describedBy.textContent = "";
+    return;
+  }
 
   const errorElement = inputElement.nextElementSibling;
   if (errorElement && errorElement.classList.contains("input__error")) {
@@ -200,9 +242,34 @@ function clearFieldError(inputElement) {
   }
 }
 
+/**
+ * Shows or clears the error of a field from a validation result.
+ *
+ * @param {HTMLElement} inputElement - Input element
+ * @param {Object} check - Validation result ({ isValid, error })
+ * @returns {boolean} - True if valid
+ */
+function applyFieldCheck(inputElement, check) {
+  if (check.isValid) clearFieldError(inputElement);
+  else showFieldError(inputElement, check.error);
+  return check.isValid;
+}
+
+/**
+ * Gets the error element referenced by the input's aria-describedby.
+ *
+ * @param {HTMLElement} inputElement - Input element
+ * @returns {HTMLElement|null} - Error element or null
+ */
+function getDescribedByElement(inputElement) {
+  const id = inputElement.getAttribute("aria-describedby");
+  return id ? document.getElementById(id) : null;
+}
+
 export {
   validateEmail,
   validatePassword,
+  validateNewPassword,
   validatePasswordMatch,
   validateName,
   validatePhone,
@@ -211,4 +278,5 @@ export {
   validateDate,
   showFieldError,
   clearFieldError,
+  applyFieldCheck,
 };
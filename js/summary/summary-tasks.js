@@ -2,15 +2,27 @@
  * @fileoverview Summary Task Statistics Module
  * @description Handles loading, calculating, and displaying task statistics for the dashboard.
  *              Manages task counts by status, deadline tracking, and UI updates.
+ *              Stats can be loaded once or kept in sync via a live subscription.
  * @module summary/summary-tasks
  */
 
 import { getCurrentAuthUser } from "../../services/auth.service.js";
-import { getUserTasks } from "../../services/data.service.js";
+import {
+  getUserTasks,
+  getNextUrgentTask,
+  subscribeToUserTasks,
+} from "../../services/data.service.js";
+import { TASK_STATUS, TASK_PRIORITY } from "../../services/task.model.js";
+import { getErrorMessage } from "../../services/error.service.js";
+import { showToast } from "../shared/ui-helpers.js";
+
+let lastStats = null;
+let unsubscribeTaskStats = null;
+let statsRequestId = 0;
 
 /**
  * Loads current user's tasks and displays statistics.
- * Shows empty stats if user not authenticated or load fails.
+ * Shows empty stats if user not authenticated, and an error toast if the load fails.
  */
 async function loadTaskStats() {
   try {
@@ -21,47 +33,103 @@ async function loadTaskStats() {
     }
 
     const tasks = await getUserTasks(user.uid);
-    displayTaskStats(tasks);
+    await displayTaskStats(tasks);
   } catch (error) {
     console.error("[loadTaskStats] Error:", error);
+    handleTaskStatsError(error);
+  }
+}
+
+/**
+ * Subscribes to the current user's tasks and re-renders statistics on every change.
+ * Replaces any previous subscription, so it is safe to call on each auth change.
+ */
+function subscribeToTaskStats() {
+  unsubscribeFromTaskStats();
+
+  const user = getCurrentAuthUser();
+  if (!user) {
     displayTaskStats(null);
+    return;
+  }
+
+  unsubscribeTaskStats = subscribeToUserTasks(
+    user.uid,
+    displayTaskStats,
+    handleTaskStatsError,
+  );
+}
+
+/**
+ * Shows empty stats and tells the user why they could not be loaded.
+ *
+ * @param {Error} error - App-level error from the data service
+ */
+function handleTaskStatsError(error) {
+  displayTaskStats(null);
+  showToast(getErrorMessage(error), "error");
+}
+
+/**
+ * Stops the live task statistics subscription, if one is active.
+ */
+function unsubscribeFromTaskStats() {
+  statsRequestId += 1;
+  if (unsubscribeTaskStats) {
+    unsubscribeTaskStats();
+    unsubscribeTaskStats = null;
   }
 }
 
+/**
+ * Re-applies the most recent statistics to the UI.
+ * Used after the layout has been re-rendered and the stat elements were replaced.
+ */
+function renderLastTaskStats() {
+  if (lastStats) updateTaskStatsUI(lastStats);
+}
+
 /**
  * Displays task statistics or empty state.
+ * The upcoming urgent deadline is fetched with a dedicated query. Results of
+ * a call that was overtaken by a newer one (e.g. a later snapshot) are dropped,
+ * so a slow deadline query never renders stale stats.
  *
  * @param {Array|null} tasks - User tasks
  */
-function displayTaskStats(tasks) {
+async function displayTaskStats(tasks) {
+  const requestId = ++statsRequestId;
   const stats = calculateStats(tasks);
+  if (stats.total > 0) {
+    stats.urgentDeadline = await getNextUrgentDeadline();
+  }
+  if (requestId !== statsRequestId) return;
+
+  lastStats = stats;
   updateTaskStatsUI(stats);
 }
 
 /**
  * Calculates comprehensive task statistics.
+ * Expects normalized tasks (see services/task.model).
  * Returns empty stats if no tasks provided.
  *
- * @param {Array|null} tasks - User tasks
+ * @param {Array|null} tasks - Normalized user tasks
  * @returns {Object} - Statistics object with counts and deadline
  */
 function calculateStats(tasks) {
   if (!tasks || tasks.length === 0) return getEmptyStats();
 
+  const count = (field, value) =>
+    tasks.filter((t) => t[field] === value).length;
   return {
     total: tasks.length,
-    todo: tasks.filter((t) => t.status === "todo" || t.status === "to-do")
-      .length,
-    done: tasks.filter((t) => t.status === "done").length,
-    inProgress: tasks.filter(
-      (t) => t.status === "in-progress" || t.status === "progress",
-    ).length,
-    feedback: tasks.filter(
-      (t) => t.status === "awaiting-feedback" || t.status === "await",
-    ).length,
-    urgent: tasks.filter((t) => t.priority === "urgent" || t.prio === "Urgent")
-      .length,
-    urgentDeadline: getNextUrgentDeadline(tasks),
+    todo: count("status", TASK_STATUS.TODO),
+    done: count("status", TASK_STATUS.DONE),
+    inProgress: count("status", TASK_STATUS.IN_PROGRESS),
+    feedback: count("status", TASK_STATUS.AWAITING_FEEDBACK),
+    urgent: count("priority", TASK_PRIORITY.URGENT),
+    urgentDeadline: null,
   };
 }
 
@@ -114,27 +182,22 @@ function updateElement(id, value) {
 }
 
 /**
- * Gets next urgent task deadline (earliest date).
- * Filters for urgent tasks with valid dueDate that aren't done.
+ * Gets next urgent task deadline (earliest date) of the current user.
+ * Queries only the single earliest open urgent task instead of sorting all tasks.
  *
- * @param {Array} tasks - User tasks array
- * @returns {string|null} - ISO date string or null
+ * @returns {Promise<string|null>} - ISO date string or null
  */
-function getNextUrgentDeadline(tasks) {
-  const urgentTasks = tasks.filter(
-    (t) =>
-      (t.priority === "urgent" || t.prio === "Urgent") &&
-      t.dueDate &&
-      t.status !== "done",
-  );
-
-  if (urgentTasks.length === 0) return null;
-
-  const sorted = urgentTasks.sort(
-    (a, b) => new Date(a.dueDate) - new Date(b.dueDate),
-  );
+async function getNextUrgentDeadline() {
+  try {
+    const user = getCurrentAuthUser();
+    if (!user) return null;
 
-  return sorted[0].dueDate;
+    const task = await getNextUrgentTask(user.uid);
+    return task ? task.dueDate : null;
+  } catch (error) {
+    console.error("[getNextUrgentDeadline] Error:", error);
+    return null;
+  }
 }
 
 /**
@@ -156,6 +219,9 @@ function updateUrgentDeadline(date) {
 
 export {
   loadTaskStats,
+  subscribeToTaskStats,
+  unsubscribeFromTaskStats,
+  renderLastTaskStats,
   displayTaskStats,
   calculateStats,
   getNextUrgentDeadline,
@@ -8,11 +8,16 @@
 
 import { onAuthChange } from "../../services/auth.service.js";
 import { loadCurrentUserData } from "../../services/user-data.service.js";
-import { checkAuthentication } from "../shared/include-html.js";
+import { requireAuth } from "../shared/route-guard.js";
+import { startSessionManager } from "../shared/session-manager.js";
 import { initHeader } from "../header/header__init.js";
 import { initMenu } from "../layout/menu__navigation.js";
 import { fadeTransition } from "../shared/fade-service.js";
-import { loadTaskStats } from "./summary-tasks.js";
+import {
+  subscribeToTaskStats,
+  unsubscribeFromTaskStats,
+  renderLastTaskStats,
+} from "./summary-tasks.js";
 import { setupResizeListenerOnWidthChange } from "../shared/ui-helpers.js";
 import {
   buildSummaryLayoutHTML,
@@ -42,7 +47,8 @@ let currentUserData = null;
 async function initSummary() {
   try {
     showSplash();
-    checkAuthentication();
+    if (!(await requireAuth())) return;
+    startSessionManager();
     await setupInitialLayout();
     const greetingElements = hideGreetingElements();
 
@@ -76,6 +82,7 @@ function setupAuthChangeHandler(greetingElements) {
       if (user) {
         await handleAuthUserChange(greetingElements);
       } else {
+        unsubscribeFromTaskStats();
         showSplash();
       }
     } catch (error) {
@@ -86,7 +93,7 @@ function setupAuthChangeHandler(greetingElements) {
 
 /**
  * Processes authenticated user changes.
- * Loads and displays user data, updates header, and loads task stats.
+ * Loads and displays user data, updates header, and subscribes to live task stats.
  *
  * @param {Object} greetingElements - Element references for greeting display
  */
@@ -94,7 +101,7 @@ async function handleAuthUserChange(greetingElements) {
   await updateCurrentUserData();
   await displayGreeting(currentUserData);
   initHeader(currentUserData);
-  await loadTaskStats();
+  subscribeToTaskStats();
   showGreetingElements(greetingElements);
   hideSplashDelayed(800);
 }
@@ -161,6 +168,8 @@ function createLayoutUpdateCallback(container) {
       await displayGreeting(currentUserData);
       showLayoutElements();
     }
+
+    renderLastTaskStats();
   };
 }
 
@@ -0,0 +1,118 @@
+/**
+ * @fileoverview Trash List Module
+ * @description Loads, renders and handles actions (restore, delete forever) of the trash list.
+ * @module trash/trash-list
+ */
+
+import { getCurrentAuthUser } from "../../services/auth.service.js";
+import {
+  getTrashedItems,
+  restoreItem,
+  purgeItem,
+  purgeExpiredItems,
+  getPurgeDate,
+} from "../../services/trash.service.js";
+import { getTrashItemHTML } from "../../assets/templates/trash-content.js";
+import { showToast } from "../shared/ui-helpers.js";
+
+let trashedItems = [];
+
+/**
+ * Purges expired items, then loads and renders the current user's trash.
+ */
+async function loadTrash() {
+  try {
+    const user = getCurrentAuthUser();
+    if (!user) return;
+
+    await purgeExpiredItems(user.uid);
+    trashedItems = await getTrashedItems(user.uid);
+    renderTrashList();
+  } catch (error) {
+    console.error("[loadTrash] Error:", error);
+    showToast("Could not load the trash.", "error");
+  }
+}
+
+/**
+ * Renders the loaded items into the list (or the empty state).
+ * Safe to call after the layout was re-rendered.
+ */
+function renderTrashList() {
+  const list = document.getElementById("trashList");
+  const empty = document.getElementById("trashEmpty");
+  if (!list || !empty) return;
+
+  list.innerHTML = trashedItems
+    .map((item) => getTrashItemHTML(item, getPurgeDate(item)))
+    .join("");
+  empty.hidden = trashedItems.length > 0;
+  list.onclick = handleListClick;
+}
+
+/**
+ * Dispatches clicks on the restore and delete buttons of list items.
+ *
+ * @param {MouseEvent} event - Click event on the list
+ */
+async function handleListClick(event) {
+  const button = event.target.closest("[data-action]");
+  const itemElement = button?.closest(".trash__item");
+  if (!itemElement) return;
+
+  const { collection, id } = itemElement.dataset;
+  button.disabled = true;
+  if (button.dataset.action === "restore") await restore(collection, id);
+  else await purge(collection, id);
+  button.disabled = false;
+}
+
+/**
+ * Restores an item and removes it from the list.
+ *
+ * @param {string} collectionName - Collection of the item
+ * @param {string} id - Document ID
+ */
+async function restore(collectionName, id) {
+  try {
+    await restoreItem(collectionName, id);
+    removeFromList(id);
+    showToast("Item restored.", "success");
+  } catch (error) {
+    console.error("[restore] Error:", error);
+    showToast("Could not restore the item.", "error");
+  }
+}
+
+/**
+ * Permanently deletes an item after confirmation.
+ *
+ * @param {string} collectionName - Collection of the item
+ * @param {string} id - Document ID
+ */
+async function purge(collectionName, id) {
+  if (!window.confirm("Delete this item forever? This cannot be undone.")) {
+    return;
+  }
+
+  try {
+    await purgeItem(collectionName, id);
+    removeFromList(id);
+    showToast("Item deleted permanently.", "success");
+  } catch (error) {
+    console.error("[purge] Error:", error);
+    showToast("Could not delete the item.", "error");
+  }
+}
+
+/**
+ * Removes an item from the local list and re-renders it.
+ *
+ * @param {string} id - Document ID
+ */
+function removeFromList(id) {
+  trashedItems = trashedItems.filter((item) => item.id !== id);
+  renderTrashList();
+}
+
+export { loadTrash, renderTrashList };
@@ -0,0 +1,82 @@
+/**
+ * @fileoverview Trash Page Module
+ * @description Lists deleted tasks and contacts of the current user and lets them
+ *              be restored or deleted permanently. Expired items are purged on load.
+ * @module trash/trash__init
+ */
+
+import { onAuthChange } from "../../services/auth.service.js";
+import { loadCurrentUserData } from "../../services/user-data.service.js";
+import { APP_CONFIG } from "../../config/app.config.js";
+import { requireAuth } from "../shared/route-guard.js";
+import { startSessionManager } from "../shared/session-manager.js";
+import { setupResizeListenerOnWidthChange } from "../shared/ui-helpers.js";
+import { initHeader } from "../header/header__init.js";
+import { initMenu } from "../layout/menu__navigation.js";
+import { renderAppLayout } from "../layout/app-layout.js";
+import { getTrashContentHTML } from "../../assets/templates/trash-content.js";
+import { loadTrash, renderTrashList } from "./trash-list.js";
+import {
+  showSplash,
+  hideSplashDelayed,
+} from "../../services/splash.service.js";
+
+let currentUserData = null;
+
+/**
+ * Initializes the trash page.
+ */
+async function initTrash() {
+  try {
+    showSplash();
+    if (!(await requireAuth())) return;
+    startSessionManager();
+
+    await renderTrashLayout();
+    setupAuthChangeHandler();
+    setupResizeListenerOnWidthChange(renderTrashLayout, 500);
+  } catch (error) {
+    console.error("[initTrash] Error:", error);
+  }
+}
+
+/**
+ * Renders the page layout and re-applies header, menu and list.
+ */
+async function renderTrashLayout() {
+  const container = document.getElementById("trashMainContainer");
+  if (!container) return;
+
+  await renderAppLayout(
+    container,
+    getTrashContentHTML(APP_CONFIG.TRASH_RETENTION_DAYS),
+  );
+  initMenu();
+  if (currentUserData) initHeader(currentUserData);
+  renderTrashList();
+}
+
+/**
+ * Loads user data and the trash once the auth state is known.
+ */
+function setupAuthChangeHandler() {
+  onAuthChange(async (user) => {
+    if (!user) {
+      showSplash();
+      return;
+    }
+
+    currentUserData = await loadCurrentUserData();
+    initHeader(currentUserData);
+    await loadTrash();
+    hideSplashDelayed(400);
+  });
+}
+
+if (document.readyState === "loading") {
+  document.addEventListener("DOMContentLoaded", initTrash);
+} else {
+  initTrash();
+}
+
+export { initTrash };
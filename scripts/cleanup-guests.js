@@ -0,0 +1,218 @@
+/**
+ * @fileoverview Guest Cleanup Job
+ * @description Removes guest accounts older than APP_CONFIG.GUEST_RETENTION_DAYS:
+ *              the guest document, the guest's tasks, contacts and activity entries,
+ *              and the anonymous Firebase Auth user. Runs with the Firebase Admin SDK
+ *              and refuses to touch a real project unless --production is passed.
+ *
+ *              Usage (emulator):
+ *              FIRESTORE_EMULATOR_HOST=127.0.0.1:8080 FIREBASE_AUTH_EMULATOR_HOST=127.0.0.1:9099 \
+ *              npm run cleanup-guests -- --project=<project-id> [--days=7] [--dry-run]
+ * @module scripts/cleanup-guests
+ */
+
+import { initializeApp } from "firebase-admin/app";
+import { getFirestore } from "firebase-admin/firestore";
+import { getAuth } from "firebase-admin/auth";
+import { APP_CONFIG } from "../config/app.config.js";
+import { isGuestExpired, getGuestCutoff } from "../services/guest.policy.js";
+
+const MAX_BATCH_OPERATIONS = 500;
+const MAX_AUTH_LOOKUPS = 100;
+const MAX_AUTH_DELETIONS = 1000;
+
+/**
+ * Collections holding guest data, with the field that references the guest.
+ * @type {Array<{collectionName: string, field: string}>}
+ */
+const OWNED_COLLECTIONS = [
+  { collectionName: "tasks", field: "userId" },
+  { collectionName: "contacts", field: "userId" },
+  { collectionName: "activity", field: "actorId" },
+];
+
+/**
+ * Parses the command line options.
+ *
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {{projectId: string|undefined, retentionDays: number, dryRun: boolean, production: boolean}}
+ */
+function parseArgs(argv) {
+  const options = Object.fromEntries(
+    argv.map((arg) => {
+      const [key, value = "true"] = arg.replace(/^--/, "").split("=");
+      return [key, value];
+    }),
+  );
+
+  return {
+    projectId: options.project || process.env.GCLOUD_PROJECT,
+    retentionDays: Number(options.days ?? APP_CONFIG.GUEST_RETENTION_DAYS),
+    dryRun: options["dry-run"] === "true",
+    production: options.production === "true",
+  };
+}
+
+/**
+ * Stops the script unless it targets the emulators or --production was given.
+ *
+ * @param {Object} options - Parsed options
+ * @throws {Error} - If the emulator hosts are missing
+ */
+function assertSafeTarget(options) {
+  const usesEmulators =
+    process.env.FIRESTORE_EMULATOR_HOST &&
+    process.env.FIREBASE_AUTH_EMULATOR_HOST;
+  if (usesEmulators || options.production) return;
+
+  throw new Error(
+    "Set FIRESTORE_EMULATOR_HOST and FIREBASE_AUTH_EMULATOR_HOST, " +
+      "or pass --production to clean up a real project.",
+  );
+}
+
+/**
+ * Finds the IDs of all expired guests. Only guests created before the
+ * cutoff are read, not the whole collection.
+ *
+ * @param {Object} db - Admin Firestore instance
+ * @param {number} retentionDays - Days to keep guests
+ * @returns {Promise<string[]>} - Guest UIDs
+ */
+async function findExpiredGuests(db, retentionDays) {
+  const now = Date.now();
+  const snapshot = await db
+    .collection("guests")
+    .where("createdAt", "<", getGuestCutoff(now, retentionDays))
+    .get();
+
+  return snapshot.docs
+    .filter((doc) => isGuestExpired(doc.data(), now, retentionDays))
+    .map((doc) => doc.id);
+}
+
+/**
+ * Collects the references of a guest's document and all data it owns.
+ *
+ * @param {Object} db - Admin Firestore instance
+ * @param {string} uid - Guest UID
+ * @returns {Promise<Array>} - Document references
+ */
+async function collectGuestRefs(db, uid) {
+  const snapshots = await Promise.all(
+    OWNED_COLLECTIONS.map(({ collectionName, field }) =>
+      db.collection(collectionName).where(field, "==", uid).select().get(),
+    ),
+  );
+  const ownedRefs = snapshots.flatMap((snapshot) =>
+    snapshot.docs.map((doc) => doc.ref),
+  );
+
+  return [db.collection("guests").doc(uid), ...ownedRefs];
+}
+
+/**
+ * Deletes documents in batches of at most 500 operations.
+ *
+ * @param {Object} db - Admin Firestore instance
+ * @param {Array} refs - Document references
+ * @returns {Promise<void>}
+ */
+async function deleteDocuments(db, refs) {
+  for (let i = 0; i < refs.length; i += MAX_BATCH_OPERATIONS) {
+    const batch = db.batch();
+    refs.slice(i, i + MAX_BATCH_OPERATIONS).forEach((ref) => batch.delete(ref));
+    await batch.commit();
+  }
+}
+
+/**
+ * Keeps only UIDs whose auth user is still anonymous or no longer exists.
+ * Accounts that were linked to an email in the meantime keep their data,
+ * even if their profile was not yet moved out of "guests".
+ *
+ * @param {Object} auth - Admin Auth instance
+ * @param {string[]} uids - Guest UIDs
+ * @returns {Promise<string[]>} - UIDs that may be removed
+ */
+async function filterAnonymousUsers(auth, uids) {
+  const removable = [];
+
+  for (let i = 0; i < uids.length; i += MAX_AUTH_LOOKUPS) {
+    const chunk = uids.slice(i, i + MAX_AUTH_LOOKUPS).map((uid) => ({ uid }));
+    const { users, notFound } = await auth.getUsers(chunk);
+    users
+      .filter((user) => user.providerData.length === 0)
+      .forEach((user) => removable.push(user.uid));
+    notFound.forEach(({ uid }) => removable.push(uid));
+  }
+  return removable;
+}
+
+/**
+ * Deletes auth users in chunks of at most 1000.
+ *
+ * @param {Object} auth - Admin Auth instance
+ * @param {string[]} uids - UIDs to delete
+ * @returns {Promise<number>} - Number of deleted users
+ */
+async function deleteAuthUsers(auth, uids) {
+  let deleted = 0;
+
+  for (let i = 0; i < uids.length; i += MAX_AUTH_DELETIONS) {
+    const result = await auth.deleteUsers(
+      uids.slice(i, i + MAX_AUTH_DELETIONS),
+    );
+    result.errors.forEach(({ index, error }) =>
+      console.error(`[Cleanup] Auth user ${uids[i + index]}:`, error.message),
+    );
+    deleted += result.successCount;
+  }
+  return deleted;
+}
+
+/**
+ * Finds expired guests and removes their data and auth users.
+ *
+ * @param {Object} db - Admin Firestore instance
+ * @param {Object} auth - Admin Auth instance
+ * @param {Object} options - Parsed options
+ * @returns {Promise<void>}
+ */
+async function cleanupGuests(db, auth, options) {
+  const expiredUids = await findExpiredGuests(db, options.retentionDays);
+  const uids = await filterAnonymousUsers(auth, expiredUids);
+  const refs = (
+    await Promise.all(uids.map((uid) => collectGuestRefs(db, uid)))
+  ).flat();
+  console.log(
+    `[Cleanup] ${expiredUids.length} expired guests, ${uids.length} still ` +
+      `anonymous, ${refs.length} documents` +
+      (options.dryRun ? " (dry run, nothing deleted)" : ""),
+  );
+  if (options.dryRun) return;
+
+  await deleteDocuments(db, refs);
+  const deletedUsers = await deleteAuthUsers(auth, uids);
+  console.log(
+    `[Cleanup] Deleted ${refs.length} documents, ${deletedUsers} auth users`,
+  );
+}
+
+/**
+ * Entry point: parses options, checks the target and runs the cleanup.
+ *
+ * @returns {Promise<void>}
+ */
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  assertSafeTarget(options);
+
+  const app = initializeApp({ projectId: options.projectId });
+  await cleanupGuests(getFirestore(app), getAuth(app), options);
+}
+
+main().catch((error) => {
+  console.error("[Cleanup] Failed:", error.message);
+  process.exitCode = 1;
+});
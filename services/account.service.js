@@ -0,0 +1,303 @@
+/**
+ * @fileoverview Account Service
+ * @description Account lifecycle operations that span auth and data: turning a guest
+ *              session into a registered account and deleting an account with all
+ *              documents it owns.
+ * @module services/account.service
+ */
+
+import {
+  linkGuestWithEmail,
+  getCurrentAuthUser,
+  reauthenticateCurrentUser,
+  deleteCurrentUser,
+  signOutUser,
+} from "./auth.service.js";
+import {
+  getDocument,
+  queryDocuments,
+  runBatch,
+  runInTransaction,
+} from "./firestore.service.js";
+import { generateRandomColor } from "./badge.service.js";
+import { ERROR_TYPE, createAppError } from "./error.service.js";
+import { CURRENT_SCHEMA_VERSION } from "./migration.service.js";
+import {
+  ACTIVITY_ACTION,
+  logActivityInTransaction,
+} from "./activity.service.js";
+
+const MAX_BATCH_OPERATIONS = 500;
+
+/**
+ * localStorage key holding the registration data of a started guest upgrade,
+ * so the profile move can be finished later if it fails after linking.
+ * @type {string}
+ */
+const PENDING_UPGRADE_KEY = "pendingGuestUpgrade";
+
+/**
+ * localStorage key holding the UID of a started account deletion, so the
+ * deletion of the auth user can be retried if it fails after the data is gone.
+ * @type {string}
+ */
+const PENDING_DELETION_KEY = "pendingAccountDeletion";
+
+/**
+ * Collections holding a user's data, with the field that references the user.
+ * @type {Array<{collectionName: string, field: string}>}
+ */
+const OWNED_COLLECTIONS = [
+  { collectionName: "tasks", field: "userId" },
+  { collectionName: "contacts", field: "userId" },
+  { collectionName: "activity", field: "userId" },
+];
+
+/**
+ * Upgrades the signed-in guest to a registered account.
+ * Email and password are linked to the anonymous user, so the UID stays the same
+ * and the guest's tasks and contacts (stored by userId) keep their owner.
+ * The guest profile is then moved from "guests" to "users" and the
+ * localStorage session flags are updated. If the account was already linked
+ * by an earlier attempt whose profile move failed, only the move is retried.
+ *
+ * @param {Object} accountData - Registration data
+ * @param {string} accountData.name - Full name
+ * @param {string} accountData.email - Email address
+ * @param {string} accountData.password - Password
+ * @returns {Promise<Object>} - The new user document
+ * @throws {Error} - Auth errors from linking (e.g., auth/email-already-in-use)
+ */
+async function upgradeGuestAccount({ name, email, password }) {
+  localStorage.setItem(PENDING_UPGRADE_KEY, JSON.stringify({ name, email }));
+  const currentUser = getCurrentAuthUser();
+  const user =
+    currentUser && !currentUser.isAnonymous
+      ? currentUser
+      : await linkGuestWithEmail(email, password);
+
+  return await finishGuestUpgrade(user, { name, email: user.email });
+}
+
+/**
+ * Finishes an upgrade whose profile move failed after linking (e.g. offline):
+ * a registered user whose profile is still in "guests" is promoted now.
+ * Called on every protected page load; does nothing for other users.
+ *
+ * @param {Object|null} user - Signed-in auth user
+ * @returns {Promise<Object|null>} - The new user document, or null if nothing was pending
+ */
+async function resumeGuestUpgrade(user) {
+  if (!user || user.isAnonymous) return null;
+
+  const guest = await getDocument("guests", user.uid);
+  if (!guest) return null;
+
+  const pending = JSON.parse(localStorage.getItem(PENDING_UPGRADE_KEY));
+  return await finishGuestUpgrade(user, {
+    name: pending?.name || guest.name,
+    email: user.email,
+  });
+}
+
+/**
+ * Moves the guest profile and updates the localStorage session flags.
+ *
+ * @param {Object} user - Linked auth user
+ * @param {Object} profile - Registration data ({ name, email })
+ * @returns {Promise<Object>} - The user document
+ */
+async function finishGuestUpgrade(user, profile) {
+  const userDoc = await promoteGuestProfile(user.uid, profile);
+
+  localStorage.removeItem(PENDING_UPGRADE_KEY);
+  localStorage.setItem("currentUserId", user.uid);
+  localStorage.setItem("currentUserEmail", user.email);
+  localStorage.setItem("isGuest", "false");
+  return userDoc;
+}
+
+/**
+ * Moves a guest profile to the "users" collection in one transaction.
+ * Running it again after a successful promotion returns the existing user.
+ *
+ * @param {string} userId - Firebase Auth UID
+ * @param {Object} profile - Registration data ({ name, email })
+ * @returns {Promise<Object>} - The user document
+ */
+async function promoteGuestProfile(userId, profile) {
+  return await runInTransaction(async (tx) => {
+    const guest = await tx.get("guests", userId);
+    const existingUser = await tx.get("users", userId);
+    if (existingUser) return existingUser;
+
+    const user = buildPromotedUser(userId, guest, profile);
+    writePromotedUser(tx, user, guest);
+    return user;
+  });
+}
+
+/**
+ * Writes the new user document, removes the guest document and logs both.
+ *
+ * @param {Object} tx - Transaction helper from runInTransaction
+ * @param {Object} user - New user document
+ * @param {Object|null} guest - Previous guest document
+ */
+function writePromotedUser(tx, user, guest) {
+  const { CREATE, DELETE } = ACTIVITY_ACTION;
+  tx.set("users", user.id, user);
+  logActivityInTransaction(tx, CREATE, "users", user.id, null, user);
+  if (!guest) return;
+
+  tx.delete("guests", user.id);
+  logActivityInTransaction(tx, DELETE, "guests", user.id, guest, null);
+}
+
+/**
+ * Builds the user document for a promoted guest.
+ * Keeps the guest's color, creation date and schema version.
+ *
+ * @param {string} userId - Firebase Auth UID
+ * @param {Object|null} guest - Guest document
+ * @param {Object} profile - Registration data ({ name, email })
+ * @returns {Object} - User document
+ */
+function buildPromotedUser(userId, guest, profile) {
+  const now = new Date().toISOString();
+  return {
+    ...guest,
+    id: userId,
+    name: profile.name,
+    email: profile.email,
+    colorCode: guest?.colorCode || generateRandomColor(),
+    isGuest: false,
+    schemaVersion: guest?.schemaVersion ?? CURRENT_SCHEMA_VERSION,
+    createdAt: guest?.createdAt || now,
+    upgradedAt: now,
+  };
+}
+
+/**
+ * Deletes the signed-in account: all owned documents (profile, tasks and
+ * contacts including trashed ones, activity entries), then the auth user.
+ * Needs a connection, so nothing is deleted (or queued) while offline.
+ * Registered users confirm their password first, so Firebase's recent-login
+ * requirement is met before any data is removed. The UID is stored as a
+ * pending deletion before the data goes, so resumeAccountDeletion can finish
+ * a deletion whose last step failed. Ends with a sign-out.
+ * The deletion itself is not recorded in the activity log.
+ *
+ * @param {string} [password] - Current password (not needed for guests)
+ * @returns {Promise<number>} - Number of deleted documents
+ * @throws {Error} - Throws if no user is signed in, the browser is offline,
+ *                   the password is wrong or a deletion fails
+ */
+async function deleteAccount(password) {
+  const user = getCurrentAuthUser();
+  if (!user) throw new Error("No user is currently signed in");
+  assertOnline();
+  if (!user.isAnonymous) await reauthenticateCurrentUser(password);
+
+  localStorage.setItem(PENDING_DELETION_KEY, user.uid);
+  return await finishAccountDeletion(user.uid);
+}
+
+/**
+ * Finishes a deletion started by deleteAccount whose auth user still exists.
+ * If Firebase asks for a recent login, the user is signed out, so the next
+ * login retries it. Other failures leave the user signed in; the deletion is
+ * retried on the next page load.
+ * Called on every protected page load; does nothing for other users.
+ *
+ * @param {Object|null} user - Signed-in auth user
+ * @returns {Promise<boolean>} - True if a pending deletion was finished
+ * @throws {Error} - Throws if the deletion fails
+ */
+async function resumeAccountDeletion(user) {
+  if (!user || localStorage.getItem(PENDING_DELETION_KEY) !== user.uid) {
+    return false;
+  }
+
+  try {
+    assertOnline();
+    await finishAccountDeletion(user.uid);
+    return true;
+  } catch (error) {
+    if (error.code === "auth/requires-recent-login") await signOutUser();
+    throw error;
+  }
+}
+
+/**
+ * Deletes all documents of the user, then the auth user, and signs out.
+ * The batches bypass the offline queue and the connection is checked before
+ * each one, so a lost connection stops the deletion instead of leaving
+ * queued writes that can never run once the auth user is gone.
+ * Safe to run again: documents deleted by an earlier attempt are skipped.
+ *
+ * @param {string} userId - Firebase Auth UID
+ * @returns {Promise<number>} - Number of deleted documents
+ * @throws {Error} - Throws if the browser is offline or a deletion fails
+ */
+async function finishAccountDeletion(userId) {
+  const operations = await collectAccountDeletions(userId);
+  for (let i = 0; i < operations.length; i += MAX_BATCH_OPERATIONS) {
+    assertOnline();
+    await runBatch(operations.slice(i, i + MAX_BATCH_OPERATIONS), {
+      queue: false,
+    });
+  }
+
+  await deleteCurrentUser();
+  localStorage.removeItem(PENDING_DELETION_KEY);
+  await signOutUser();
+  return operations.length;
+}
+
+/**
+ * Throws an offline error while the browser reports being offline.
+ *
+ * @throws {Error} - App error of type Offline
+ */
+function assertOnline() {
+  if (navigator.onLine === false) {
+    throw createAppError(
+      ERROR_TYPE.OFFLINE,
+      "Account deletion needs a connection",
+    );
+  }
+}
+
+/**
+ * Builds delete operations for the profile and every document a user owns.
+ *
+ * @param {string} userId - Firebase Auth UID
+ * @returns {Promise<Array<import("./firestore.service.js").WriteOperation>>} - Delete operations
+ */
+async function collectAccountDeletions(userId) {
+  const owned = await Promise.all(
+    OWNED_COLLECTIONS.map(async ({ collectionName, field }) => {
+      const docs = await queryDocuments(collectionName, field, "==", userId);
+      return docs.map((doc) => ({
+        type: "delete",
+        collectionName,
+        docId: doc.id,
+      }));
+    }),
+  );
+
+  return [
+    { type: "delete", collectionName: "users", docId: userId },
+    { type: "delete", collectionName: "guests", docId: userId },
+    ...owned.flat(),
+  ];
+}
+
+export {
+  upgradeGuestAccount,
+  resumeGuestUpgrade,
+  promoteGuestProfile,
+  deleteAccount,
+  resumeAccountDeletion,
+};
@@ -0,0 +1,282 @@
+/**
+ * @fileoverview Activity Log Service
+ * @description Records who changed what and when. Each data change adds an entry to the
+ *              "activity" collection with actor, owner, action, collection, document ID
+ *              and a field diff. Entries are written in the same batch or transaction as
+ *              the change itself, so the log never misses or invents a write. The owner
+ *              (userId) lets security rules limit reads to the owner's own entries, so
+ *              every query filters on it.
+ * @module services/activity.service
+ */
+
+import {
+  queryDocuments,
+  runQuery,
+  runBatch,
+  getCursorValues,
+} from "./firestore.service.js";
+import { getCurrentAuthUser } from "./auth.service.js";
+
+const ACTIVITY_COLLECTION = "activity";
+
+/**
+ * Collections whose documents belong to the user with the same ID.
+ * @type {string[]}
+ */
+const PROFILE_COLLECTIONS = ["users", "guests"];
+
+/**
+ * Actions recorded in the activity log.
+ * @enum {string}
+ */
+const ACTIVITY_ACTION = Object.freeze({
+  CREATE: "create",
+  UPDATE: "update",
+  DELETE: "delete",
+  RESTORE: "restore",
+  PURGE: "purge",
+});
+
+/**
+ * Sort order of activity queries (newest first).
+ * @type {Array<Object>}
+ */
+const ACTIVITY_ORDER = [{ field: "createdAt", direction: "desc" }];
+
+/**
+ * @typedef {Object} ActivityEntry
+ * @property {string} actorId - UID of the user who made the change ("system" if none)
+ * @property {string} userId - UID of the user who owns the changed document
+ * @property {string} action - One of ACTIVITY_ACTION
+ * @property {string} collectionName - Collection of the changed document
+ * @property {string} docId - ID of the changed document
+ * @property {Object<string, {from: any, to: any}>} changes - Changed fields
+ * @property {string} createdAt - ISO timestamp
+ */
+
+/**
+ * Builds an activity entry for a change of a document.
+ *
+ * @param {string} action - One of ACTIVITY_ACTION
+ * @param {string} collectionName - Collection of the changed document
+ * @param {string} docId - ID of the changed document
+ * @param {Object|null} before - Document data before the change
+ * @param {Object|null} after - Document data after the change
+ * @returns {ActivityEntry} - Activity entry
+ */
+function createActivityEntry(action, collectionName, docId, before, after) {
+  const actorId = getCurrentAuthUser()?.uid || "system";
+  return {
+    actorId,
+    userId: getOwnerId(collectionName, docId, after || before, actorId),
+    action,
+    collectionName,
+    docId,
+    changes: diffFields(before, after),
+    createdAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * Works out the owner of a changed document: profiles belong to the user
+ * with the document ID, other documents name their owner in userId.
+ *
+ * @param {string} collectionName - Collection of the changed document
+ * @param {string} docId - ID of the changed document
+ * @param {Object|null} data - Document data (after the change, or before a deletion)
+ * @param {string} actorId - UID of the user who made the change (fallback)
+ * @returns {string} - Owner UID
+ */
+function getOwnerId(collectionName, docId, data, actorId) {
+  if (PROFILE_COLLECTIONS.includes(collectionName)) return docId;
+  return data?.userId || actorId;
+}
+
+/**
+ * Builds the batch write operation that stores an activity entry.
+ * Add it to the batch that performs the change.
+ *
+ * @param {string} action - One of ACTIVITY_ACTION
+ * @param {string} collectionName - Collection of the changed document
+ * @param {string} docId - ID of the changed document
+ * @param {Object|null} before - Document data before the change
+ * @param {Object|null} after - Document data after the change
+ * @returns {import("./firestore.service.js").WriteOperation} - "set" operation
+ */
+function createActivityOperation(action, collectionName, docId, before, after) {
+  return {
+    type: "set",
+    collectionName: ACTIVITY_COLLECTION,
+    docId: createActivityId(),
+    data: createActivityEntry(action, collectionName, docId, before, after),
+  };
+}
+
+/**
+ * Stores an activity entry inside a running transaction.
+ *
+ * @param {Object} tx - Transaction helper from runInTransaction
+ * @param {string} action - One of ACTIVITY_ACTION
+ * @param {string} collectionName - Collection of the changed document
+ * @param {string} docId - ID of the changed document
+ * @param {Object|null} before - Document data before the change
+ * @param {Object|null} after - Document data after the change
+ */
+function logActivityInTransaction(
+  tx,
+  action,
+  collectionName,
+  docId,
+  before,
+  after,
+) {
+  const entry = createActivityEntry(
+    action,
+    collectionName,
+    docId,
+    before,
+    after,
+  );
+  tx.set(ACTIVITY_COLLECTION, createActivityId(), entry);
+}
+
+/**
+ * Computes the changed fields between two versions of a document.
+ * Missing values are stored as null (Firestore does not accept undefined).
+ *
+ * @param {Object|null} before - Document data before the change
+ * @param {Object|null} after - Document data after the change
+ * @returns {Object<string, {from: any, to: any}>} - Changed fields
+ */
+function diffFields(before, after) {
+  const oldData = before || {};
+  const newData = after || {};
+  const fields = new Set([...Object.keys(oldData), ...Object.keys(newData)]);
+  const changes = {};
+
+  fields.forEach((field) => {
+    if (field === "id") return;
+    const from = oldData[field] ?? null;
+    const to = newData[field] ?? null;
+    if (JSON.stringify(from) !== JSON.stringify(to))
+      changes[field] = { from, to };
+  });
+  return changes;
+}
+
+/**
+ * Gets the history of a single document (e.g. a task) of a user, newest first.
+ *
+ * @param {string} userId - Owner UID
+ * @param {string} collectionName - Collection of the document
+ * @param {string} docId - Document ID
+ * @param {Object} [options] - Pagination options
+ * @param {number} [options.pageSize=20] - Entries per page
+ * @param {Array|null} [options.cursor] - nextCursor of the previous page
+ * @returns {Promise<{entries: Array, nextCursor: Array|null}>} - One page of entries
+ */
+async function getDocumentActivity(
+  userId,
+  collectionName,
+  docId,
+  options = {},
+) {
+  return await queryActivity(
+    [
+      { field: "userId", operator: "==", value: userId },
+      { field: "collectionName", operator: "==", value: collectionName },
+      { field: "docId", operator: "==", value: docId },
+    ],
+    options,
+  );
+}
+
+/**
+ * Gets all changes a user made to their own data, newest first.
+ *
+ * @param {string} userId - Owner and actor UID
+ * @param {Object} [options] - Pagination options (see getDocumentActivity)
+ * @returns {Promise<{entries: Array, nextCursor: Array|null}>} - One page of entries
+ */
+async function getUserActivity(userId, options = {}) {
+  return await queryActivity(
+    [
+      { field: "userId", operator: "==", value: userId },
+      { field: "actorId", operator: "==", value: userId },
+    ],
+    options,
+  );
+}
+
+/**
+ * Adds the owner to activity entries written before entries had one.
+ * Users only change their own data, so the actor is the owner.
+ *
+ * @param {string} userId - User ID
+ * @returns {Promise<number>} - Number of updated entries
+ */
+async function migrateActivityOwners(userId) {
+  const entries = await queryDocuments(
+    ACTIVITY_COLLECTION,
+    "actorId",
+    "==",
+    userId,
+  );
+  const operations = entries
+    .filter((entry) => !entry.userId)
+    .map((entry) => ({
+      type: "update",
+      collectionName: ACTIVITY_COLLECTION,
+      docId: entry.id,
+      data: { userId },
+    }));
+
+  for (let i = 0; i < operations.length; i += 500) {
+    await runBatch(operations.slice(i, i + 500));
+  }
+  return operations.length;
+}
+
+/**
+ * Runs a paginated activity query.
+ * Requires composite indexes on the filter fields plus createdAt (desc).
+ *
+ * @param {Array<Object>} filters - Query filters
+ * @param {Object} options - Pagination options
+ * @returns {Promise<{entries: Array, nextCursor: Array|null}>} - One page of entries
+ */
+async function queryActivity(filters, { pageSize = 20, cursor = null }) {
+  const entries = await runQuery(ACTIVITY_COLLECTION, {
+    filters,
+    orderBy: ACTIVITY_ORDER,
+    limit: pageSize,
+    startAfter: cursor,
+  });
+  const isLastPage = entries.length < pageSize;
+  const lastEntry = entries[entries.length - 1];
+
+  return {
+    entries,
+    nextCursor: isLastPage ? null : getCursorValues(lastEntry, ACTIVITY_ORDER),
+  };
+}
+
+/**
+ * Generates a unique ID for an activity entry.
+ *
+ * @returns {string} - Entry ID
+ */
+function createActivityId() {
+  return crypto.randomUUID();
+}
+
+export {
+  ACTIVITY_COLLECTION,
+  ACTIVITY_ACTION,
+  createActivityOperation,
+  logActivityInTransaction,
+  diffFields,
+  getDocumentActivity,
+  getUserActivity,
+  migrateActivityOwners,
+};
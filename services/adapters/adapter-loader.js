@@ -0,0 +1,54 @@
+/**
+ * @fileoverview Backend adapter loader
+ * @description Selects and lazily imports the storage and auth adapters for the
+ *              configured backend. Firebase modules are only imported when the
+ *              "firestore" backend is active, so local backends work without
+ *              a Firebase project or network access.
+ * @module services/adapters/adapter-loader
+ */
+
+import { APP_CONFIG, getStorageBackend } from "../../config/app.config.js";
+
+/**
+ * Loads the storage adapter for a backend.
+ *
+ * @param {string} [backend] - Backend name (defaults to the configured backend)
+ * @returns {Promise<Object>} - Storage adapter
+ */
+async function loadStorageAdapter(backend = getStorageBackend()) {
+  if (backend === "memory") {
+    const { createMemoryAdapter } = await import("./memory.adapter.js");
+    return createMemoryAdapter(window.sessionStorage);
+  }
+
+  if (backend === "indexeddb") {
+    const { createIndexedDbAdapter } = await import("./indexeddb.adapter.js");
+    return createIndexedDbAdapter(APP_CONFIG.LOCAL_DATABASE_NAME);
+  }
+
+  const { createFirestoreAdapter } = await import("./firestore.adapter.js");
+  return createFirestoreAdapter();
+}
+
+/**
+ * Loads the auth adapter for a backend.
+ * Local backends use a local account store: localStorage for "indexeddb",
+ * sessionStorage (kept until the tab is closed) for "memory".
+ *
+ * @param {string} [backend] - Backend name (defaults to the configured backend)
+ * @returns {Promise<Object>} - Auth adapter
+ */
+async function loadAuthAdapter(backend = getStorageBackend()) {
+  if (backend === "firestore") {
+    const { createFirebaseAuthAdapter } =
+      await import("./firebase-auth.adapter.js");
+    return createFirebaseAuthAdapter();
+  }
+
+  const { createLocalAuthAdapter } = await import("./local-auth.adapter.js");
+  const storage =
+    backend === "memory" ? window.sessionStorage : window.localStorage;
+  return createLocalAuthAdapter(storage);
+}
+
+export { loadStorageAdapter, loadAuthAdapter };
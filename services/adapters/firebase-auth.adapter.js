@@ -0,0 +1,72 @@
+/**
+ * @fileoverview Firebase Auth adapter
+ * @description Implements the auth adapter interface used by auth.service
+ *              on top of the Firebase Auth SDK. This is the production backend.
+ * @module services/adapters/firebase-auth.adapter
+ */
+
+import { auth } from "../../config/firebase.config.js";
+import {
+  createUserWithEmailAndPassword,
+  signInWithEmailAndPassword,
+  signInAnonymously,
+  signOut,
+  onAuthStateChanged,
+  deleteUser,
+  linkWithCredential,
+  reauthenticateWithCredential,
+  EmailAuthProvider,
+  sendPasswordResetEmail,
+  verifyPasswordResetCode,
+  confirmPasswordReset,
+  sendEmailVerification,
+  applyActionCode,
+  reload,
+  verifyBeforeUpdateEmail,
+  updatePassword,
+} from "firebase/auth";
+
+/**
+ * Creates the Firebase Auth adapter.
+ *
+ * @returns {Object} - Auth adapter (see services/auth.service for the interface)
+ */
+function createFirebaseAuthAdapter() {
+  return {
+    name: "firebase",
+    getCurrentUser: () => auth.currentUser,
+    register: async (email, password) =>
+      (await createUserWithEmailAndPassword(auth, email, password)).user,
+    signIn: async (email, password) =>
+      (await signInWithEmailAndPassword(auth, email, password)).user,
+    signInAnonymously: async () => (await signInAnonymously(auth)).user,
+    signOut: () => signOut(auth),
+    onAuthStateChanged: (callback) => onAuthStateChanged(auth, callback),
+    deleteUser: (user) => deleteUser(user),
+    linkWithEmail: async (user, email, password) => {
+      const credential = EmailAuthProvider.credential(email, password);
+      return (await linkWithCredential(user, credential)).user;
+    },
+    reauthenticate: async (user, password) => {
+      const credential = EmailAuthProvider.credential(user.email, password);
+      await reauthenticateWithCredential(user, credential);
+    },
+    sendPasswordReset: (email, continueUrl) =>
+      sendPasswordResetEmail(auth, email, { url: continueUrl }),
+    verifyPasswordResetCode: (code) => verifyPasswordResetCode(auth, code),
+    confirmPasswordReset: (code, newPassword) =>
+      confirmPasswordReset(auth, code, newPassword),
+    sendEmailVerification: (user, continueUrl) =>
+      sendEmailVerification(user, { url: continueUrl }),
+    applyActionCode: (code) => applyActionCode(auth, code),
+    reloadUser: async (user) => {
+      await reload(user);
+      return auth.currentUser;
+    },
+    verifyBeforeUpdateEmail: (user, email, continueUrl) =>
+      verifyBeforeUpdateEmail(user, email, { url: continueUrl }),
+    updatePassword: (user, password) => updatePassword(user, password),
+  };
+}
+
+export { createFirebaseAuthAdapter };
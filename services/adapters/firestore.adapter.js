@@ -0,0 +1,346 @@
+/**
+ * @fileoverview Firestore storage adapter
+ * @description Implements the storage adapter interface used by firestore.service
+ *              on top of the Firebase Firestore SDK. This is the production backend.
+ * @module services/adapters/firestore.adapter
+ */
+
+import { db } from "../../config/firebase.config.js";
+import {
+  collection,
+  doc,
+  getDoc,
+  getDocs,
+  setDoc,
+  updateDoc,
+  deleteDoc,
+  query,
+  where,
+  addDoc,
+  onSnapshot,
+  orderBy,
+  limit,
+  limitToLast,
+  startAfter,
+  endBefore,
+  writeBatch,
+  runTransaction,
+  deleteField,
+} from "firebase/firestore";
+
+/**
+ * Maximum number of operations Firestore accepts in one batch.
+ * @type {number}
+ */
+const MAX_BATCH_OPERATIONS = 500;
+
+/**
+ * Creates the Firestore storage adapter.
+ *
+ * @returns {Object} - Storage adapter (see services/firestore.service for the interface)
+ */
+function createFirestoreAdapter() {
+  return {
+    name: "firestore",
+    setDocument,
+    getDocument,
+    getAllDocuments,
+    updateDocument,
+    deleteDocument,
+    addDocument,
+    runQuery,
+    runBatch,
+    runInTransaction,
+    subscribeToDocument,
+    subscribeToCollection,
+    subscribeToQuery,
+  };
+}
+
+/**
+ * Creates or updates a document, merging with existing fields.
+ *
+ * @param {string} collectionName - The name of the collection
+ * @param {string} docId - The document ID
+ * @param {Object} data - The data to set
+ * @returns {Promise<void>}
+ */
+async function setDocument(collectionName, docId, data) {
+  await setDoc(doc(db, collectionName, docId), data, { merge: true });
+}
+
+/**
+ * Gets a single document.
+ *
+ * @param {string} collectionName - The name of the collection
+ * @param {string} docId - The document ID
+ * @returns {Promise<Object|null>} - The document data with ID or null if not found
+ */
+async function getDocument(collectionName, docId) {
+  const docSnap = await getDoc(doc(db, collectionName, docId));
+  return snapshotToDocument(docSnap);
+}
+
+/**
+ * Gets all documents of a collection.
+ *
+ * @param {string} collectionName - The name of the collection
+ * @returns {Promise<Array>} - Array of documents with IDs
+ */
+async function getAllDocuments(collectionName) {
+  const querySnapshot = await getDocs(collection(db, collectionName));
+  return snapshotToDocuments(querySnapshot);
+}
+
+/**
+ * Updates fields of an existing document.
+ *
+ * @param {string} collectionName - The name of the collection
+ * @param {string} docId - The document ID
+ * @param {Object} data - The fields to update
+ * @returns {Promise<void>}
+ */
+async function updateDocument(collectionName, docId, data) {
+  await updateDoc(doc(db, collectionName, docId), data);
+}
+
+/**
+ * Deletes a document.
+ *
+ * @param {string} collectionName - The name of the collection
+ * @param {string} docId - The document ID
+ * @returns {Promise<void>}
+ */
+async function deleteDocument(collectionName, docId) {
+  await deleteDoc(doc(db, collectionName, docId));
+}
+
+/**
+ * Adds a document with an auto-generated ID.
+ *
+ * @param {string} collectionName - The name of the collection
+ * @param {Object} data - The data to add
+ * @returns {Promise<string>} - The new document ID
+ */
+async function addDocument(collectionName, data) {
+  const docRef = await addDoc(collection(db, collectionName), data);
+  return docRef.id;
+}
+
+/**
+ * Runs a query built from query options.
+ *
+ * @param {string} collectionName - The name of the collection
+ * @param {Object} options - Query options (filters, orderBy, limit, cursors)
+ * @returns {Promise<Array>} - Array of matching documents with IDs
+ */
+async function runQuery(collectionName, options) {
+  const querySnapshot = await getDocs(buildQuery(collectionName, options));
+  return snapshotToDocuments(querySnapshot);
+}
+
+/**
+ * Builds a Firestore query from query options.
+ *
+ * @param {string} collectionName - The name of the collection
+ * @param {Object} options - Query options
+ * @returns {Object} - Firestore Query
+ */
+function buildQuery(collectionName, options) {
+  const filters = (options.filters || []).map((filter) =>
+    where(filter.field, filter.operator, filter.value),
+  );
+  const order = (options.orderBy || []).map((entry) =>
+    orderBy(entry.field, entry.direction || "asc"),
+  );
+
+  return query(
+    collection(db, collectionName),
+    ...filters,
+    ...order,
+    ...buildPaginationConstraints(options),
+  );
+}
+
+/**
+ * Builds cursor and limit constraints from query options.
+ *
+ * @param {Object} options - Query options
+ * @returns {Array} - Firestore query constraints
+ */
+function buildPaginationConstraints(options) {
+  const constraints = [];
+  const isBackwards = options.endBefore && !options.startAfter;
+
+  if (options.startAfter) constraints.push(startAfter(...options.startAfter));
+  if (options.endBefore) constraints.push(endBefore(...options.endBefore));
+  if (options.limit) {
+    constraints.push(
+      isBackwards ? limitToLast(options.limit) : limit(options.limit),
+    );
+  }
+
+  return constraints;
+}
+
+/**
+ * Applies several write operations atomically.
+ *
+ * @param {Array<Object>} operations - Write operations ({ type, collectionName, docId, data })
+ * @returns {Promise<void>}
+ * @throws {Error} - Throws error if the batch is too large
+ */
+async function runBatch(operations) {
+  if (operations.length > MAX_BATCH_OPERATIONS) {
+    throw new Error(`Batch exceeds ${MAX_BATCH_OPERATIONS} operations`);
+  }
+
+  const batch = writeBatch(db);
+  operations.forEach((operation) => applyBatchOperation(batch, operation));
+  await batch.commit();
+}
+
+/**
+ * Adds a single write operation to a Firestore batch.
+ *
+ * @param {Object} batch - Firestore WriteBatch
+ * @param {Object} operation - Write operation to add
+ * @throws {Error} - Throws error for unknown operation types
+ */
+function applyBatchOperation(batch, operation) {
+  const { type, collectionName, docId } = operation;
+  const docRef = doc(db, collectionName, docId);
+  const data = withDeletedFields(operation.data, operation.deleteFields);
+
+  if (type === "set") batch.set(docRef, data, { merge: true });
+  else if (type === "replace") batch.set(docRef, data);
+  else if (type === "update") batch.update(docRef, data);
+  else if (type === "delete") batch.delete(docRef);
+  else throw new Error(`Unknown batch operation type: ${type}`);
+}
+
+/**
+ * Adds deleteField() sentinels for the fields a write should remove.
+ *
+ * @param {Object} [data] - The data to write
+ * @param {string[]} [fields] - Fields to remove
+ * @returns {Object|undefined} - Data including the delete sentinels
+ */
+function withDeletedFields(data, fields = []) {
+  if (fields.length === 0) return data;
+  return {
+    ...data,
+    ...Object.fromEntries(fields.map((field) => [field, deleteField()])),
+  };
+}
+
+/**
+ * Runs an update function inside a Firestore transaction.
+ *
+ * @param {Function} updateFunction - Async function receiving the transaction helper
+ * @returns {Promise<any>} - The value returned by the update function
+ */
+async function runInTransaction(updateFunction) {
+  return await runTransaction(db, (transaction) =>
+    updateFunction(createTransactionHelper(transaction)),
+  );
+}
+
+/**
+ * Wraps a Firestore transaction with collection/ID based helpers.
+ *
+ * @param {Object} transaction - Firestore Transaction
+ * @returns {Object} - Helper with get, set, update and delete methods
+ */
+function createTransactionHelper(transaction) {
+  const ref = (collectionName, docId) => doc(db, collectionName, docId);
+
+  return {
+    get: async (collectionName, docId) =>
+      snapshotToDocument(await transaction.get(ref(collectionName, docId))),
+    set: (collectionName, docId, data) =>
+      transaction.set(ref(collectionName, docId), data, { merge: true }),
+    update: (collectionName, docId, data) =>
+      transaction.update(ref(collectionName, docId), data),
+    delete: (collectionName, docId) =>
+      transaction.delete(ref(collectionName, docId)),
+  };
+}
+
+/**
+ * Subscribes to a single document.
+ *
+ * @param {string} collectionName - The name of the collection
+ * @param {string} docId - The document ID
+ * @param {Function} onChange - Receives the document or null
+ * @param {Function} onError - Receives listener errors
+ * @returns {Function} - Unsubscribe function
+ */
+function subscribeToDocument(collectionName, docId, onChange, onError) {
+  return onSnapshot(
+    doc(db, collectionName, docId),
+    (docSnap) => onChange(snapshotToDocument(docSnap)),
+    onError,
+  );
+}
+
+/**
+ * Subscribes to all documents of a collection.
+ *
+ * @param {string} collectionName - The name of the collection
+ * @param {Function} onChange - Receives the array of documents
+ * @param {Function} onError - Receives listener errors
+ * @returns {Function} - Unsubscribe function
+ */
+function subscribeToCollection(collectionName, onChange, onError) {
+  return onSnapshot(
+    collection(db, collectionName),
+    (querySnapshot) => onChange(snapshotToDocuments(querySnapshot)),
+    onError,
+  );
+}
+
+/**
+ * Subscribes to the documents matching query options.
+ *
+ * @param {string} collectionName - The name of the collection
+ * @param {Object} options - Query options
+ * @param {Function} onChange - Receives the array of matching documents
+ * @param {Function} onError - Receives listener errors
+ * @returns {Function} - Unsubscribe function
+ */
+function subscribeToQuery(collectionName, options, onChange, onError) {
+  return onSnapshot(
+    buildQuery(collectionName, options),
+    (querySnapshot) => onChange(snapshotToDocuments(querySnapshot)),
+    onError,
+  );
+}
+
+/**
+ * Converts a document snapshot into a plain document with ID.
+ *
+ * @param {Object} docSnap - Firestore DocumentSnapshot
+ * @returns {Object|null} - Document with ID or null if it does not exist
+ */
+function snapshotToDocument(docSnap) {
+  return docSnap.exists() ? { id: docSnap.id, ...docSnap.data() } : null;
+}
+
+/**
+ * Converts a query snapshot into an array of plain documents with IDs.
+ *
+ * @param {Object} querySnapshot - Firestore QuerySnapshot
+ * @returns {Array} - Array of documents with IDs
+ */
+function snapshotToDocuments(querySnapshot) {
+  const documents = [];
+
+  querySnapshot.forEach((docSnap) => {
+    documents.push({ id: docSnap.id, ...docSnap.data() });
+  });
+
+  return documents;
+}
+
+export { createFirestoreAdapter };
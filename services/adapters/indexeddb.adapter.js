@@ -0,0 +1,128 @@
+/**
+ * @fileoverview IndexedDB storage adapter
+ * @description Stores all documents in a local IndexedDB database so the app can run
+ *              fully offline during development. Documents of all collections live in
+ *              one object store, keyed by "collection/id" and indexed by collection.
+ * @module services/adapters/indexeddb.adapter
+ */
+
+import { createLocalAdapter } from "./local.adapter.js";
+
+const STORE_NAME = "documents";
+const COLLECTION_INDEX = "collection";
+
+/**
+ * Creates the IndexedDB storage adapter.
+ * Changes are broadcast to other tabs using the same database.
+ *
+ * @param {string} dbName - IndexedDB database name
+ * @returns {Object} - Storage adapter
+ */
+function createIndexedDbAdapter(dbName) {
+  return createLocalAdapter(createIndexedDbStore(dbName), {
+    name: "indexeddb",
+    channelName: `${dbName}-changes`,
+  });
+}
+
+/**
+ * Creates a record store backed by IndexedDB.
+ * The database is opened lazily on first access.
+ *
+ * @param {string} dbName - IndexedDB database name
+ * @returns {Object} - Record store (get, list, applyWrites)
+ */
+function createIndexedDbStore(dbName) {
+  let dbPromise = null;
+  const open = () => (dbPromise = dbPromise || openDatabase(dbName));
+
+  return {
+    get: async (collectionName, docId) => {
+      const store = (await open())
+        .transaction(STORE_NAME)
+        .objectStore(STORE_NAME);
+      const record = await promisifyRequest(
+        store.get(toPath(collectionName, docId)),
+      );
+      return record ? record.data : null;
+    },
+    list: async (collectionName) => {
+      const store = (await open())
+        .transaction(STORE_NAME)
+        .objectStore(STORE_NAME);
+      const index = store.index(COLLECTION_INDEX);
+      const records = await promisifyRequest(index.getAll(collectionName));
+      return records.map((record) => ({ ...record.data, id: record.id }));
+    },
+    applyWrites: async (writes) => applyWrites(await open(), writes),
+  };
+}
+
+/**
+ * Opens (and if needed creates) the documents database.
+ *
+ * @param {string} dbName - IndexedDB database name
+ * @returns {Promise<IDBDatabase>} - Database instance
+ */
+function openDatabase(dbName) {
+  const request = indexedDB.open(dbName, 1);
+
+  request.onupgradeneeded = () => {
+    const store = request.result.createObjectStore(STORE_NAME, {
+      keyPath: "path",
+    });
+    store.createIndex(COLLECTION_INDEX, "collection");
+  };
+
+  return promisifyRequest(request);
+}
+
+/**
+ * Applies record writes in a single readwrite transaction.
+ *
+ * @param {IDBDatabase} db - Database instance
+ * @param {Array<Object>} writes - Record writes ({ type, collectionName, docId, data })
+ * @returns {Promise<void>} - Resolves when the transaction completes
+ */
+function applyWrites(db, writes) {
+  const transaction = db.transaction(STORE_NAME, "readwrite");
+  const store = transaction.objectStore(STORE_NAME);
+
+  writes.forEach(({ type, collectionName, docId, data }) => {
+    const path = toPath(collectionName, docId);
+    if (type === "delete") store.delete(path);
+    else store.put({ path, collection: collectionName, id: docId, data });
+  });
+
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+/**
+ * Wraps an IDBRequest in a Promise.
+ *
+ * @param {IDBRequest} request - IndexedDB request
+ * @returns {Promise<any>} - Request result
+ */
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Builds the record key of a document.
+ *
+ * @param {string} collectionName - The name of the collection
+ * @param {string} docId - The document ID
+ * @returns {string} - Record key ("collection/id")
+ */
+function toPath(collectionName, docId) {
+  return `${collectionName}/${docId}`;
+}
+
+export { createIndexedDbAdapter };
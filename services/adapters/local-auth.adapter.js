@@ -0,0 +1,531 @@
+/**
+ * @fileoverview Local auth adapter
+ * @description Emulates the subset of Firebase Auth used by the app for the offline
+ *              backends. Accounts and the current session are kept in a key-value store
+ *              (localStorage, or sessionStorage for the memory backend). Passwords are
+ *              stored as SHA-256 hashes. Error codes match Firebase ("auth/...").
+ *              Password reset, email verification and email change links are logged
+ *              to the console instead of being emailed.
+ *              Meant for development and automated tests only - not a security boundary.
+ * @module services/adapters/local-auth.adapter
+ */
+
+import { generateDocumentId } from "./local.adapter.js";
+
+const ACCOUNTS_KEY = "joinLocalAuthAccounts";
+const SESSION_KEY = "joinLocalAuthSession";
+const RESET_CODES_KEY = "joinLocalAuthResetCodes";
+const RESET_CODE_TTL_MS = 60 * 60 * 1000;
+const VERIFY_CODES_KEY = "joinLocalAuthVerifyCodes";
+
+/**
+ * Creates the local auth adapter.
+ * When backed by localStorage, sign-in and sign-out in other tabs are picked up.
+ *
+ * @param {Storage|Object} storage - Key-value store with getItem/setItem/removeItem
+ * @returns {Object} - Auth adapter
+ */
+function createLocalAuthAdapter(storage) {
+  const context = { storage, listeners: new Set(), currentUser: null };
+  context.currentUser = restoreSession(context);
+  watchOtherTabs(context);
+
+  return {
+    name: "local",
+    getCurrentUser: () => context.currentUser,
+    register: (email, password) => register(context, email, password),
+    signIn: (email, password) => signIn(context, email, password),
+    signInAnonymously: async () =>
+      startSession(context, saveAccount(context, createAccount(null, null))),
+    signOut: async () => setCurrentUser(context, null),
+    onAuthStateChanged: (callback) => addAuthListener(context, callback),
+    deleteUser: async (user) => {
+      removeAccount(context, user.uid);
+      setCurrentUser(context, null);
+    },
+    linkWithEmail: (user, email, password) =>
+      linkWithEmail(context, user, email, password),
+    reauthenticate: (user, password) => reauthenticate(context, user, password),
+    sendPasswordReset: async (email, continueUrl) =>
+      sendPasswordReset(context, email, continueUrl),
+    verifyPasswordResetCode: async (code) =>
+      readAccounts(context)[readResetCode(context, code).uid].email,
+    confirmPasswordReset: (code, newPassword) =>
+      confirmPasswordReset(context, code, newPassword),
+    sendEmailVerification: async (user, continueUrl) =>
+      sendEmailVerification(context, user, continueUrl),
+    applyActionCode: async (code) => applyVerificationCode(context, code),
+    reloadUser: async (user) => {
+      const account = readAccounts(context)[user.uid];
+      if (account) setCurrentUser(context, toUser(account));
+      return context.currentUser;
+    },
+    verifyBeforeUpdateEmail: async (user, email, continueUrl) =>
+      requestEmailChange(context, user, email, continueUrl),
+    updatePassword: (user, password) => updatePassword(context, user, password),
+  };
+}
+
+/**
+ * Creates an account for an email address and signs it in.
+ *
+ * @param {Object} context - Adapter context
+ * @param {string} email - Email address
+ * @param {string} password - Password (min 6 characters)
+ * @returns {Promise<Object>} - Signed-in user
+ * @throws {Error} - auth/invalid-email, auth/weak-password, auth/email-already-in-use
+ */
+async function register(context, email, password) {
+  assertNewCredentials(context, email, password);
+  const account = createAccount(email, await hashPassword(password));
+  return startSession(context, saveAccount(context, account));
+}
+
+/**
+ * Confirms the password of the signed-in user without changing the session.
+ *
+ * @param {Object} context - Adapter context
+ * @param {Object} user - Signed-in user
+ * @param {string} password - Password
+ * @returns {Promise<void>}
+ * @throws {Error} - auth/invalid-credential if the password is wrong
+ */
+async function reauthenticate(context, user, password) {
+  const account = readAccounts(context)[user.uid];
+  const passwordHash = await hashPassword(password || "");
+
+  if (!account || account.passwordHash !== passwordHash) {
+    throw createAuthError("auth/invalid-credential", "Invalid credentials");
+  }
+}
+
+/**
+ * Adds email and password to an anonymous account, keeping its UID.
+ *
+ * @param {Object} context - Adapter context
+ * @param {Object} user - Signed-in anonymous user
+ * @param {string} email - Email address
+ * @param {string} password - Password (min 6 characters)
+ * @returns {Promise<Object>} - The upgraded user
+ * @throws {Error} - auth/provider-already-linked if the account is not anonymous,
+ *                   plus the validation errors of register
+ */
+async function linkWithEmail(context, user, email, password) {
+  const account = readAccounts(context)[user.uid];
+  if (!account || !account.isAnonymous) {
+    throw createAuthError("auth/provider-already-linked", "Already linked");
+  }
+  assertNewCredentials(context, email, password);
+
+  const passwordHash = await hashPassword(password);
+  const linked = { ...account, email, passwordHash, isAnonymous: false };
+  return startSession(context, saveAccount(context, linked));
+}
+
+/**
+ * Validates email and password for a new email account.
+ *
+ * @param {Object} context - Adapter context
+ * @param {string} email - Email address
+ * @param {string} password - Password
+ * @throws {Error} - auth/invalid-email, auth/weak-password, auth/email-already-in-use
+ */
+function assertNewCredentials(context, email, password) {
+  assertValidEmail(email);
+  assertStrongPassword(password);
+  if (findAccountByEmail(context, email)) {
+    throw createAuthError("auth/email-already-in-use", "Email already in use");
+  }
+}
+
+/**
+ * Validates the format of an email address.
+ *
+ * @param {string} email - Email address
+ * @throws {Error} - auth/invalid-email
+ */
+function assertValidEmail(email) {
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email || "")) {
+    throw createAuthError("auth/invalid-email", "Invalid email address");
+  }
+}
+
+/**
+ * Validates the minimum password length.
+ *
+ * @param {string} password - Password
+ * @throws {Error} - auth/weak-password
+ */
+function assertStrongPassword(password) {
+  if (!password || password.length < 6) {
+    throw createAuthError("auth/weak-password", "Password is too weak");
+  }
+}
+
+/**
+ * Signs in with email and password.
+ *
+ * @param {Object} context - Adapter context
+ * @param {string} email - Email address
+ * @param {string} password - Password
+ * @returns {Promise<Object>} - Signed-in user
+ * @throws {Error} - auth/invalid-credential if email or password is wrong
+ */
+async function signIn(context, email, password) {
+  const account = findAccountByEmail(context, email);
+  const passwordHash = await hashPassword(password || "");
+
+  if (!account || account.passwordHash !== passwordHash) {
+    throw createAuthError("auth/invalid-credential", "Invalid credentials");
+  }
+
+  return startSession(context, account);
+}
+
+/**
+ * Creates a one-time reset code and logs the reset link.
+ * Unknown emails are ignored silently, so the result does not reveal accounts.
+ *
+ * @param {Object} context - Adapter context
+ * @param {string} email - Email address
+ * @param {string} continueUrl - URL of the reset page
+ */
+function sendPasswordReset(context, email, continueUrl) {
+  const account = findAccountByEmail(context, email);
+  if (!account) return;
+
+  const code = generateDocumentId();
+  const codes = JSON.parse(context.storage.getItem(RESET_CODES_KEY) || "{}");
+  codes[code] = { uid: account.uid, expiresAt: Date.now() + RESET_CODE_TTL_MS };
+  context.storage.setItem(RESET_CODES_KEY, JSON.stringify(codes));
+  console.info(
+    `[Local Auth] Password reset link: ${continueUrl}?oobCode=${code}`,
+  );
+}
+
+/**
+ * Reads a valid reset code.
+ *
+ * @param {Object} context - Adapter context
+ * @param {string} code - Reset code from the link
+ * @returns {{uid: string, expiresAt: number}} - Code record
+ * @throws {Error} - auth/invalid-action-code or auth/expired-action-code
+ */
+function readResetCode(context, code) {
+  const codes = JSON.parse(context.storage.getItem(RESET_CODES_KEY) || "{}");
+  const record = codes[code];
+
+  if (!record || !readAccounts(context)[record.uid]) {
+    throw createAuthError("auth/invalid-action-code", "Invalid reset code");
+  }
+  if (record.expiresAt < Date.now()) {
+    throw createAuthError("auth/expired-action-code", "Reset code expired");
+  }
+  return record;
+}
+
+/**
+ * Sets a new password with a reset code and invalidates the code.
+ *
+ * @param {Object} context - Adapter context
+ * @param {string} code - Reset code from the link
+ * @param {string} newPassword - New password (min 6 characters)
+ * @returns {Promise<void>}
+ * @throws {Error} - auth/weak-password plus the errors of readResetCode
+ */
+async function confirmPasswordReset(context, code, newPassword) {
+  const { uid } = readResetCode(context, code);
+  assertStrongPassword(newPassword);
+
+  const account = readAccounts(context)[uid];
+  const passwordHash = await hashPassword(newPassword);
+  saveAccount(context, { ...account, passwordHash });
+
+  const codes = JSON.parse(context.storage.getItem(RESET_CODES_KEY));
+  delete codes[code];
+  context.storage.setItem(RESET_CODES_KEY, JSON.stringify(codes));
+}
+
+/**
+ * Creates a verification code and logs the verification link.
+ *
+ * @param {Object} context - Adapter context
+ * @param {Object} user - Signed-in user
+ * @param {string} continueUrl - URL of the verification page
+ */
+function sendEmailVerification(context, user, continueUrl) {
+  const code = generateDocumentId();
+  const codes = JSON.parse(context.storage.getItem(VERIFY_CODES_KEY) || "{}");
+  codes[code] = { uid: user.uid };
+  context.storage.setItem(VERIFY_CODES_KEY, JSON.stringify(codes));
+  console.info(
+    `[Local Auth] Email verification link: ${continueUrl}?oobCode=${code}`,
+  );
+}
+
+/**
+ * Applies a verification code: marks the account as verified, or switches it
+ * to the new address of an email change (which is verified by opening the link).
+ *
+ * @param {Object} context - Adapter context
+ * @param {string} code - Verification code from the link
+ * @throws {Error} - auth/invalid-action-code if the code is unknown or used,
+ *                   auth/email-already-in-use if the new address was taken meanwhile
+ */
+function applyVerificationCode(context, code) {
+  const codes = JSON.parse(context.storage.getItem(VERIFY_CODES_KEY) || "{}");
+  const { uid, email } = codes[code] || {};
+  const account = readAccounts(context)[uid];
+  if (!account) {
+    throw createAuthError(
+      "auth/invalid-action-code",
+      "Invalid verification code",
+    );
+  }
+  if (email) assertEmailAvailable(context, uid, email);
+
+  saveAccount(context, {
+    ...account,
+    email: email || account.email,
+    emailVerified: true,
+  });
+  delete codes[code];
+  context.storage.setItem(VERIFY_CODES_KEY, JSON.stringify(codes));
+}
+
+/**
+ * Sends a link to a new email address. The address of the account only changes
+ * once the link is opened (see applyVerificationCode).
+ *
+ * @param {Object} context - Adapter context
+ * @param {Object} user - Signed-in user
+ * @param {string} email - New email address
+ * @param {string} continueUrl - URL of the verification page
+ * @throws {Error} - auth/invalid-email, auth/email-already-in-use
+ */
+function requestEmailChange(context, user, email, continueUrl) {
+  assertValidEmail(email);
+  assertEmailAvailable(context, user.uid, email);
+
+  const code = generateDocumentId();
+  const codes = JSON.parse(context.storage.getItem(VERIFY_CODES_KEY) || "{}");
+  codes[code] = { uid: user.uid, email };
+  context.storage.setItem(VERIFY_CODES_KEY, JSON.stringify(codes));
+  console.info(
+    `[Local Auth] Email change link for ${email}: ${continueUrl}?oobCode=${code}`,
+  );
+}
+
+/**
+ * Ensures no other account uses an email address.
+ *
+ * @param {Object} context - Adapter context
+ * @param {string} uid - UID of the account that wants the address
+ * @param {string} email - Email address
+ * @throws {Error} - auth/email-already-in-use
+ */
+function assertEmailAvailable(context, uid, email) {
+  const owner = findAccountByEmail(context, email);
+  if (owner && owner.uid !== uid) {
+    throw createAuthError("auth/email-already-in-use", "Email already in use");
+  }
+}
+
+/**
+ * Changes the password of an account.
+ *
+ * @param {Object} context - Adapter context
+ * @param {Object} user - Signed-in user
+ * @param {string} password - New password
+ * @throws {Error} - auth/weak-password
+ */
+async function updatePassword(context, user, password) {
+  assertStrongPassword(password);
+  const account = readAccounts(context)[user.uid];
+  const passwordHash = await hashPassword(password);
+  saveAccount(context, { ...account, passwordHash });
+}
+
+/**
+ * Builds a new account record.
+ *
+ * @param {string|null} email - Email address (null for anonymous accounts)
+ * @param {string|null} passwordHash - Password hash (null for anonymous accounts)
+ * @returns {Object} - Account record
+ */
+function createAccount(email, passwordHash) {
+  return {
+    uid: generateDocumentId(),
+    email,
+    passwordHash,
+    isAnonymous: !email,
+    emailVerified: false,
+    createdAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * Signs an account in and notifies listeners.
+ *
+ * @param {Object} context - Adapter context
+ * @param {Object} account - Account record
+ * @returns {Object} - Signed-in user
+ */
+function startSession(context, account) {
+  setCurrentUser(context, toUser(account));
+  return context.currentUser;
+}
+
+/**
+ * Stores the current user and notifies all auth listeners.
+ *
+ * @param {Object} context - Adapter context
+ * @param {Object|null} user - User or null when signing out
+ */
+function setCurrentUser(context, user) {
+  context.currentUser = user;
+  if (user) context.storage.setItem(SESSION_KEY, user.uid);
+  else context.storage.removeItem(SESSION_KEY);
+  context.listeners.forEach((listener) => listener(user));
+}
+
+/**
+ * Restores the signed-in user from the stored session.
+ *
+ * @param {Object} context - Adapter context
+ * @returns {Object|null} - User or null
+ */
+function restoreSession(context) {
+  const uid = context.storage.getItem(SESSION_KEY);
+  const account = uid ? readAccounts(context)[uid] : null;
+  return account ? toUser(account) : null;
+}
+
+/**
+ * Registers an auth state listener.
+ * Like Firebase, the listener is called asynchronously with the current user first.
+ *
+ * @param {Object} context - Adapter context
+ * @param {Function} callback - Receives the user or null
+ * @returns {Function} - Unsubscribe function
+ */
+function addAuthListener(context, callback) {
+  context.listeners.add(callback);
+  setTimeout(() => {
+    if (context.listeners.has(callback)) callback(context.currentUser);
+  }, 0);
+  return () => context.listeners.delete(callback);
+}
+
+/**
+ * Syncs the session when another tab signs in or out (localStorage only).
+ *
+ * @param {Object} context - Adapter context
+ */
+function watchOtherTabs(context) {
+  if (typeof window === "undefined" || context.storage !== window.localStorage)
+    return;
+
+  window.addEventListener("storage", (event) => {
+    if (event.key !== SESSION_KEY) return;
+    context.currentUser = restoreSession(context);
+    context.listeners.forEach((listener) => listener(context.currentUser));
+  });
+}
+
+/**
+ * Reads all accounts keyed by UID.
+ *
+ * @param {Object} context - Adapter context
+ * @returns {Object<string, Object>} - Accounts by UID
+ */
+function readAccounts(context) {
+  return JSON.parse(context.storage.getItem(ACCOUNTS_KEY) || "{}");
+}
+
+/**
+ * Saves an account record.
+ *
+ * @param {Object} context - Adapter context
+ * @param {Object} account - Account record
+ * @returns {Object} - The saved account
+ */
+function saveAccount(context, account) {
+  const accounts = readAccounts(context);
+  accounts[account.uid] = account;
+  context.storage.setItem(ACCOUNTS_KEY, JSON.stringify(accounts));
+  return account;
+}
+
+/**
+ * Removes an account record.
+ *
+ * @param {Object} context - Adapter context
+ * @param {string} uid - Account UID
+ */
+function removeAccount(context, uid) {
+  const accounts = readAccounts(context);
+  delete accounts[uid];
+  context.storage.setItem(ACCOUNTS_KEY, JSON.stringify(accounts));
+}
+
+/**
+ * Finds an account by email address (case-insensitive).
+ *
+ * @param {Object} context - Adapter context
+ * @param {string} email - Email address
+ * @returns {Object|null} - Account record or null
+ */
+function findAccountByEmail(context, email) {
+  const normalized = (email || "").trim().toLowerCase();
+  const accounts = Object.values(readAccounts(context));
+  return (
+    accounts.find((account) => account.email?.toLowerCase() === normalized) ||
+    null
+  );
+}
+
+/**
+ * Converts an account record into a user object shaped like a Firebase user.
+ *
+ * @param {Object} account - Account record
+ * @returns {Object} - User ({ uid, email, isAnonymous, emailVerified, metadata })
+ */
+function toUser(account) {
+  return {
+    uid: account.uid,
+    email: account.email,
+    isAnonymous: account.isAnonymous,
+    emailVerified: account.emailVerified,
+    metadata: { creationTime: account.createdAt },
+  };
+}
+
+/**
+ * Hashes a password with SHA-256.
+ *
+ * @param {string} password - Plain password
+ * @returns {Promise<string>} - Hex encoded hash
+ */
+async function hashPassword(password) {
+  const bytes = new TextEncoder().encode(password);
+  const digest = await crypto.subtle.digest("SHA-256", bytes);
+  return Array.from(new Uint8Array(digest), (byte) =>
+    byte.toString(16).padStart(2, "0"),
+  ).join("");
+}
+
+/**
+ * Creates an error with a Firebase Auth style code.
+ *
+ * @param {string} code - Error code (e.g. "auth/invalid-credential")
+ * @param {string} message - Error message
+ * @returns {Error} - Error with code property
+ */
+function createAuthError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+export { createLocalAuthAdapter };
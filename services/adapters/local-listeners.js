@@ -0,0 +1,65 @@
+/**
+ * @fileoverview Change listener registry for the local backends
+ * @description Keeps track of subscriptions per collection and notifies them after writes.
+ *              When a channel name is given, changes are also broadcast to other tabs
+ *              via BroadcastChannel so their subscriptions refresh as well.
+ * @module services/adapters/local-listeners
+ */
+
+/**
+ * Creates a listener registry.
+ *
+ * @param {string} [channelName] - BroadcastChannel name for cross-tab notifications
+ * @returns {Object} - Registry with subscribe and notify methods
+ */
+function createListenerRegistry(channelName) {
+  const listeners = new Map();
+  const channel = openChannel(channelName);
+  const notifyLocal = (collectionNames) =>
+    collectionNames.forEach((name) =>
+      (listeners.get(name) || new Set()).forEach((listener) => listener()),
+    );
+
+  if (channel) {
+    channel.onmessage = (event) => notifyLocal(event.data.collectionNames);
+  }
+
+  return {
+    subscribe: (collectionName, listener) =>
+      addListener(listeners, collectionName, listener),
+    notify: (collectionNames) => {
+      notifyLocal(collectionNames);
+      if (channel) channel.postMessage({ collectionNames });
+    },
+  };
+}
+
+/**
+ * Registers a listener for a collection.
+ *
+ * @param {Map<string, Set<Function>>} listeners - Listeners by collection name
+ * @param {string} collectionName - Collection to listen to
+ * @param {Function} listener - Called after every write to the collection
+ * @returns {Function} - Function that removes the listener again
+ */
+function addListener(listeners, collectionName, listener) {
+  if (!listeners.has(collectionName)) {
+    listeners.set(collectionName, new Set());
+  }
+
+  listeners.get(collectionName).add(listener);
+  return () => listeners.get(collectionName).delete(listener);
+}
+
+/**
+ * Opens a BroadcastChannel if a name is given and the API is available.
+ *
+ * @param {string} [channelName] - Channel name
+ * @returns {BroadcastChannel|null} - Channel or null
+ */
+function openChannel(channelName) {
+  if (!channelName || typeof BroadcastChannel === "undefined") return null;
+  return new BroadcastChannel(channelName);
+}
+
+export { createListenerRegistry };
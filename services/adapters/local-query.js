@@ -0,0 +1,179 @@
+/**
+ * @fileoverview Local query evaluation
+ * @description Evaluates query options (filters, orderBy, limit, cursors) against plain
+ *              document arrays, mirroring Firestore semantics for the local backends.
+ * @module services/adapters/local-query
+ */
+
+/**
+ * Comparison functions for the supported Firestore operators.
+ * Missing fields never match, like in Firestore.
+ * @type {Object<string, Function>}
+ */
+const OPERATORS = {
+  "==": (a, b) => isEqual(a, b),
+  "!=": (a, b) => a !== undefined && !isEqual(a, b),
+  "<": (a, b) => isComparable(a) && a < b,
+  "<=": (a, b) => isComparable(a) && a <= b,
+  ">": (a, b) => isComparable(a) && a > b,
+  ">=": (a, b) => isComparable(a) && a >= b,
+  in: (a, b) => b.some((value) => isEqual(a, value)),
+  "not-in": (a, b) => a !== undefined && !b.some((value) => isEqual(a, value)),
+  "array-contains": (a, b) =>
+    Array.isArray(a) && a.some((value) => isEqual(value, b)),
+  "array-contains-any": (a, b) =>
+    Array.isArray(a) && a.some((value) => b.some((v) => isEqual(value, v))),
+};
+
+/**
+ * Applies query options to an array of documents.
+ *
+ * @param {Array} documents - Documents with IDs
+ * @param {Object} [options] - Query options (filters, orderBy, limit, startAfter, endBefore)
+ * @returns {Array} - Matching documents in query order
+ */
+function applyQueryOptions(documents, options = {}) {
+  const order = options.orderBy || [];
+  const filtered = documents.filter(
+    (document) =>
+      matchesFilters(document, options.filters || []) &&
+      order.every(({ field }) => getField(document, field) !== undefined),
+  );
+  const sorted = filtered.sort((a, b) => compareDocuments(a, b, order));
+  return applyLimit(applyCursors(sorted, order, options), options);
+}
+
+/**
+ * Checks whether a document matches all filters.
+ *
+ * @param {Object} document - Document with ID
+ * @param {Array} filters - Filters ({ field, operator, value })
+ * @returns {boolean} - True if every filter matches
+ * @throws {Error} - Throws error for unsupported operators
+ */
+function matchesFilters(document, filters) {
+  return filters.every(({ field, operator, value }) => {
+    const compare = OPERATORS[operator];
+    if (!compare) throw new Error(`Unsupported query operator: ${operator}`);
+    return compare(getField(document, field), value);
+  });
+}
+
+/**
+ * Reads a (possibly dotted) field path from a document.
+ *
+ * @param {Object} document - Document with ID
+ * @param {string} path - Field path (e.g. "address.city")
+ * @returns {any} - Field value or undefined
+ */
+function getField(document, path) {
+  return path
+    .split(".")
+    .reduce((value, key) => (value == null ? undefined : value[key]), document);
+}
+
+/**
+ * Compares two documents by the sort order, falling back to the document ID.
+ *
+ * @param {Object} a - First document
+ * @param {Object} b - Second document
+ * @param {Array} order - Sort order ({ field, direction })
+ * @returns {number} - Negative, zero or positive
+ */
+function compareDocuments(a, b, order) {
+  const valuesA = order.map(({ field }) => getField(a, field));
+  const valuesB = order.map(({ field }) => getField(b, field));
+  const result = compareTuples(valuesA, valuesB, order);
+  return result !== 0 ? result : compareValues(a.id, b.id);
+}
+
+/**
+ * Compares two value tuples field by field, honoring sort directions.
+ *
+ * @param {Array} valuesA - Values of the first tuple
+ * @param {Array} valuesB - Values of the second tuple
+ * @param {Array} order - Sort order ({ field, direction })
+ * @returns {number} - Negative, zero or positive
+ */
+function compareTuples(valuesA, valuesB, order) {
+  for (let i = 0; i < order.length; i++) {
+    const result = compareValues(valuesA[i], valuesB[i]);
+    if (result !== 0) return order[i].direction === "desc" ? -result : result;
+  }
+  return 0;
+}
+
+/**
+ * Compares two scalar values (null sorts first).
+ *
+ * @param {any} a - First value
+ * @param {any} b - Second value
+ * @returns {number} - Negative, zero or positive
+ */
+function compareValues(a, b) {
+  if (a === b) return 0;
+  if (a === null || a === undefined) return -1;
+  if (b === null || b === undefined) return 1;
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+/**
+ * Drops documents outside the startAfter/endBefore cursors.
+ *
+ * @param {Array} documents - Sorted documents
+ * @param {Array} order - Sort order the cursors refer to
+ * @param {Object} options - Query options
+ * @returns {Array} - Documents between the cursors
+ */
+function applyCursors(documents, order, options) {
+  const valuesOf = (document) =>
+    order.map(({ field }) => getField(document, field));
+
+  return documents.filter(
+    (document) =>
+      (!options.startAfter ||
+        compareTuples(valuesOf(document), options.startAfter, order) > 0) &&
+      (!options.endBefore ||
+        compareTuples(valuesOf(document), options.endBefore, order) < 0),
+  );
+}
+
+/**
+ * Applies the limit; counts from the end when paging backwards (endBefore only).
+ *
+ * @param {Array} documents - Documents between the cursors
+ * @param {Object} options - Query options
+ * @returns {Array} - Limited documents
+ */
+function applyLimit(documents, options) {
+  if (!options.limit) return documents;
+  const isBackwards = options.endBefore && !options.startAfter;
+  return isBackwards
+    ? documents.slice(-options.limit)
+    : documents.slice(0, options.limit);
+}
+
+/**
+ * Deep equality for query values (primitives, arrays, plain objects).
+ *
+ * @param {any} a - First value
+ * @param {any} b - Second value
+ * @returns {boolean} - True if equal
+ */
+function isEqual(a, b) {
+  if (a === b) return true;
+  if (typeof a !== "object" || typeof b !== "object" || !a || !b) return false;
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Checks whether a value takes part in range comparisons.
+ *
+ * @param {any} value - Field value
+ * @returns {boolean} - True if the value is neither null nor missing
+ */
+function isComparable(value) {
+  return value !== undefined && value !== null;
+}
+
+export { applyQueryOptions, matchesFilters, getField };
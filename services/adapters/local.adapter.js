@@ -0,0 +1,262 @@
+/**
+ * @fileoverview Generic local storage adapter
+ * @description Builds the full storage adapter interface (CRUD, queries, batches,
+ *              transactions, subscriptions) on top of a minimal record store.
+ *              Used by the IndexedDB and in-memory backends.
+ *
+ *              A record store provides three async methods:
+ *              - get(collectionName, docId) → stored data or null
+ *              - list(collectionName) → array of documents with IDs
+ *              - applyWrites(writes) → atomically applies
+ *                { type: "put" | "delete", collectionName, docId, data } entries
+ * @module services/adapters/local.adapter
+ */
+
+import { applyQueryOptions } from "./local-query.js";
+import { createListenerRegistry } from "./local-listeners.js";
+
+/**
+ * Characters used for generated document IDs (same alphabet as Firestore).
+ * @type {string}
+ */
+const ID_ALPHABET =
+  "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789";
+
+/**
+ * Creates a storage adapter on top of a record store.
+ * Writes and transactions are serialized, so a transaction always sees
+ * a consistent state within the current tab.
+ *
+ * @param {Object} store - Record store (get, list, applyWrites)
+ * @param {Object} [options] - Adapter options
+ * @param {string} [options.name="local"] - Backend name
+ * @param {string} [options.channelName] - BroadcastChannel for cross-tab change events
+ * @returns {Object} - Storage adapter
+ */
+function createLocalAdapter(store, options = {}) {
+  const context = {
+    store,
+    listeners: createListenerRegistry(options.channelName),
+    queue: Promise.resolve(),
+  };
+  const write = (type, collectionName, docId, data) =>
+    commitOperations(context, [{ type, collectionName, docId, data }]);
+  const listQuery = async (collectionName, queryOptions) =>
+    applyQueryOptions(await store.list(collectionName), queryOptions);
+
+  return {
+    name: options.name || "local",
+    setDocument: (collectionName, docId, data) =>
+      write("set", collectionName, docId, data),
+    getDocument: (collectionName, docId) =>
+      readDocument(store, collectionName, docId),
+    getAllDocuments: (collectionName) => store.list(collectionName),
+    updateDocument: (collectionName, docId, data) =>
+      write("update", collectionName, docId, data),
+    deleteDocument: (collectionName, docId) =>
+      write("delete", collectionName, docId),
+    addDocument: async (collectionName, data) => {
+      const docId = generateDocumentId();
+      await write("set", collectionName, docId, data);
+      return docId;
+    },
+    runQuery: listQuery,
+    runBatch: (operations) => commitOperations(context, operations),
+    runInTransaction: (updateFunction) =>
+      runSerialized(context, () => runTransaction(context, updateFunction)),
+    subscribeToDocument: (collectionName, docId, onChange, onError) =>
+      subscribe(context, collectionName, onChange, onError, () =>
+        readDocument(store, collectionName, docId),
+      ),
+    subscribeToCollection: (collectionName, onChange, onError) =>
+      subscribe(context, collectionName, onChange, onError, () =>
+        store.list(collectionName),
+      ),
+    subscribeToQuery: (collectionName, queryOptions, onChange, onError) =>
+      subscribe(context, collectionName, onChange, onError, () =>
+        listQuery(collectionName, queryOptions),
+      ),
+  };
+}
+
+/**
+ * Reads a single document including its ID.
+ *
+ * @param {Object} store - Record store
+ * @param {string} collectionName - The name of the collection
+ * @param {string} docId - The document ID
+ * @returns {Promise<Object|null>} - Document with ID or null
+ */
+async function readDocument(store, collectionName, docId) {
+  const data = await store.get(collectionName, docId);
+  return data ? { ...data, id: docId } : null;
+}
+
+/**
+ * Applies write operations atomically, serialized with other writes.
+ *
+ * @param {Object} context - Adapter context
+ * @param {Array<Object>} operations - Write operations ({ type, collectionName, docId, data })
+ * @returns {Promise<void>}
+ */
+function commitOperations(context, operations) {
+  return runSerialized(context, () => applyOperations(context, operations));
+}
+
+/**
+ * Resolves operations into record writes, applies them and notifies listeners.
+ *
+ * @param {Object} context - Adapter context
+ * @param {Array<Object>} operations - Write operations
+ * @returns {Promise<void>}
+ */
+async function applyOperations(context, operations) {
+  const staged = new Map();
+  for (const operation of operations) {
+    await stageOperation(context.store, staged, operation);
+  }
+
+  const writes = [...staged.values()];
+  await context.store.applyWrites(writes);
+  context.listeners.notify([
+    ...new Set(writes.map((entry) => entry.collectionName)),
+  ]);
+}
+
+/**
+ * Turns one operation into a record write, merging with earlier staged writes.
+ * "set" merges into existing data, "replace" overwrites the whole document,
+ * "update" requires the document to exist. Fields listed in deleteFields
+ * are removed after merging.
+ *
+ * @param {Object} store - Record store
+ * @param {Map<string, Object>} staged - Staged writes by document path
+ * @param {Object} operation - Write operation
+ * @throws {Error} - Throws not-found for updates of missing documents
+ */
+async function stageOperation(store, staged, operation) {
+  const { type, collectionName, docId, data } = operation;
+  const path = `${collectionName}/${docId}`;
+  if (type === "delete" || type === "replace") {
+    staged.set(path, toRecordWrite(type, collectionName, docId, data));
+    return;
+  }
+  if (type !== "set" && type !== "update") {
+    throw new Error(`Unknown batch operation type: ${type}`);
+  }
+
+  const current = staged.has(path)
+    ? staged.get(path).data
+    : await store.get(collectionName, docId);
+  if (type === "update" && !current) throw createNotFoundError(path);
+  const merged = { ...current, ...data };
+  (operation.deleteFields || []).forEach((field) => delete merged[field]);
+  staged.set(path, toRecordWrite("put", collectionName, docId, merged));
+}
+
+/**
+ * Builds a record write for the store ("replace" becomes a plain "put").
+ *
+ * @param {string} type - Operation type
+ * @param {string} collectionName - The name of the collection
+ * @param {string} docId - The document ID
+ * @param {Object} [data] - Document data
+ * @returns {Object} - Record write ({ type, collectionName, docId, data })
+ */
+function toRecordWrite(type, collectionName, docId, data) {
+  return type === "delete"
+    ? { type, collectionName, docId }
+    : { type: "put", collectionName, docId, data };
+}
+
+/**
+ * Runs an update function with a buffering transaction helper.
+ * Reads go straight to the store, writes are committed together at the end.
+ *
+ * @param {Object} context - Adapter context
+ * @param {Function} updateFunction - Async function receiving the transaction helper
+ * @returns {Promise<any>} - The value returned by the update function
+ */
+async function runTransaction(context, updateFunction) {
+  const operations = [];
+  const stage = (type) => (collectionName, docId, data) =>
+    operations.push({ type, collectionName, docId, data });
+
+  const result = await updateFunction({
+    get: (collectionName, docId) =>
+      readDocument(context.store, collectionName, docId),
+    set: stage("set"),
+    update: stage("update"),
+    delete: stage("delete"),
+  });
+
+  await applyOperations(context, operations);
+  return result;
+}
+
+/**
+ * Queues a task behind all previously started writes and transactions.
+ *
+ * @param {Object} context - Adapter context
+ * @param {Function} task - Async task
+ * @returns {Promise<any>} - Result of the task
+ */
+function runSerialized(context, task) {
+  const result = context.queue.then(task);
+  context.queue = result.catch(() => {});
+  return result;
+}
+
+/**
+ * Subscribes to a collection and re-reads the watched value after every change.
+ * The first value is delivered asynchronously right after subscribing.
+ *
+ * @param {Object} context - Adapter context
+ * @param {string} collectionName - Collection to watch
+ * @param {Function} onChange - Receives the current value
+ * @param {Function} [onError] - Receives read errors
+ * @param {Function} read - Async function producing the current value
+ * @returns {Function} - Unsubscribe function
+ */
+function subscribe(context, collectionName, onChange, onError, read) {
+  let isActive = true;
+  const emit = () =>
+    read()
+      .then((value) => isActive && onChange(value))
+      .catch((error) => isActive && onError && onError(error));
+
+  const removeListener = context.listeners.subscribe(collectionName, emit);
+  emit();
+
+  return () => {
+    isActive = false;
+    removeListener();
+  };
+}
+
+/**
+ * Generates a random 20 character document ID.
+ *
+ * @returns {string} - Document ID
+ */
+function generateDocumentId() {
+  const bytes = crypto.getRandomValues(new Uint8Array(20));
+  return Array.from(
+    bytes,
+    (byte) => ID_ALPHABET[byte % ID_ALPHABET.length],
+  ).join("");
+}
+
+/**
+ * Creates an error matching Firestore's not-found error code.
+ *
+ * @param {string} path - Document path
+ * @returns {Error} - Error with code "not-found"
+ */
+function createNotFoundError(path) {
+  const error = new Error(`No document to update: ${path}`);
+  error.code = "not-found";
+  return error;
+}
+
+export { createLocalAdapter, generateDocumentId };
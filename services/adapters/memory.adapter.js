@@ -0,0 +1,109 @@
+/**
+ * @fileoverview In-memory storage adapter
+ * @description Keeps all documents in memory, with a copy in sessionStorage so the
+ *              data survives page navigation within the tab. Closing the tab (or a
+ *              new browser context) starts empty, which makes this backend suited
+ *              for automated tests.
+ * @module services/adapters/memory.adapter
+ */
+
+import { createLocalAdapter } from "./local.adapter.js";
+
+/**
+ * Storage key of the saved collections.
+ * @type {string}
+ */
+const STORAGE_KEY = "joinMemoryStore";
+
+/**
+ * Creates the in-memory storage adapter.
+ *
+ * @param {Storage|null} [storage] - Key-value store that keeps the data across
+ *                                   page loads (e.g. sessionStorage), or null
+ * @returns {Object} - Storage adapter
+ */
+function createMemoryAdapter(storage = null) {
+  return createLocalAdapter(createMemoryStore(storage), { name: "memory" });
+}
+
+/**
+ * Creates a record store backed by nested Maps (collection → id → data).
+ * Data is cloned on the way in and out, like a real database. With a storage,
+ * the collections are restored from it and saved after every write.
+ *
+ * @param {Storage|null} [storage] - Key-value store for the saved collections
+ * @returns {Object} - Record store (get, list, applyWrites)
+ */
+function createMemoryStore(storage = null) {
+  const collections = restoreCollections(storage);
+  const getCollection = (name) => {
+    if (!collections.has(name)) collections.set(name, new Map());
+    return collections.get(name);
+  };
+
+  return {
+    get: async (collectionName, docId) =>
+      structuredClone(getCollection(collectionName).get(docId) ?? null),
+    list: async (collectionName) =>
+      [...getCollection(collectionName)].map(([id, data]) => ({
+        ...structuredClone(data),
+        id,
+      })),
+    applyWrites: async (writes) => {
+      writes.forEach((entry) => applyWrite(getCollection, entry));
+      saveCollections(storage, collections);
+    },
+  };
+}
+
+/**
+ * Reads the saved collections.
+ *
+ * @param {Storage|null} storage - Key-value store
+ * @returns {Map<string, Map<string, Object>>} - Collections by name
+ */
+function restoreCollections(storage) {
+  const saved = JSON.parse(storage?.getItem(STORAGE_KEY) || "{}");
+  return new Map(
+    Object.entries(saved).map(([name, documents]) => [
+      name,
+      new Map(Object.entries(documents)),
+    ]),
+  );
+}
+
+/**
+ * Saves all collections, if a storage is used.
+ *
+ * @param {Storage|null} storage - Key-value store
+ * @param {Map<string, Map<string, Object>>} collections - Collections by name
+ */
+function saveCollections(storage, collections) {
+  if (!storage) return;
+
+  const data = Object.fromEntries(
+    [...collections].map(([name, documents]) => [
+      name,
+      Object.fromEntries(documents),
+    ]),
+  );
+  storage.setItem(STORAGE_KEY, JSON.stringify(data));
+}
+
+/**
+ * Applies a single record write to the in-memory collections.
+ *
+ * @param {Function} getCollection - Returns the Map of a collection
+ * @param {Object} entry - Record write ({ type, collectionName, docId, data })
+ */
+function applyWrite(getCollection, entry) {
+  const documents = getCollection(entry.collectionName);
+
+  if (entry.type === "delete") {
+    documents.delete(entry.docId);
+  } else {
+    documents.set(entry.docId, structuredClone(entry.data));
+  }
+}
+
+export { createMemoryAdapter, createMemoryStore };
@@ -2,18 +2,18 @@
  * @fileoverview Firebase Authentication Service
  * @description Handles user authentication with Firebase Auth including registration,
  *              login, logout, guest access, and auth state management.
+ *              With a local storage backend, a local account store replaces Firebase Auth.
  * @module services/auth.service
  */
 
-import { auth } from "../config/firebase.config.js";
-import {
-  createUserWithEmailAndPassword,
-  signInWithEmailAndPassword,
-  signInAnonymously,
-  signOut,
-  onAuthStateChanged,
-  deleteUser,
-} from "firebase/auth";
+import { loadAuthAdapter } from "./adapters/adapter-loader.js";
+
+/**
+ * Active auth adapter (Firebase Auth or local accounts for offline backends).
+ * Selected from config/app.config.js together with the storage backend.
+ * @type {Object}
+ */
+const authAdapter = await loadAuthAdapter();
 
 /**
  * Registers a new user with email and password using Firebase Authentication.
@@ -25,12 +25,7 @@ import {
  */
 async function registerWithAuth(email, password) {
   try {
-    const userCredential = await createUserWithEmailAndPassword(
-      auth,
-      email,
-      password,
-    );
-    return userCredential.user;
+    return await authAdapter.register(email, password);
   } catch (error) {
     console.error("Registration error:", error.code, error.message);
     throw error;
@@ -47,12 +42,7 @@ async function registerWithAuth(email, password) {
  */
 async function signInWithAuth(email, password) {
   try {
-    const userCredential = await signInWithEmailAndPassword(
-      auth,
-      email,
-      password,
-    );
-    return userCredential.user;
+    return await authAdapter.signIn(email, password);
   } catch (error) {
     console.error("Sign in error:", error.code, error.message);
     throw error;
@@ -61,21 +51,149 @@ async function signInWithAuth(email, password) {
 
 /**
  * Signs in anonymously as a guest user.
- * Guest users can test all features but data may be cleared.
+ * Guest users can test all features, but guests and their data are removed
+ * after APP_CONFIG.GUEST_RETENTION_DAYS by scripts/cleanup-guests.js.
  *
  * @returns {Promise<Object>} - Firebase user object with isAnonymous: true
  * @throws {Error} - Firebase auth error
  */
 async function signInAnonymouslyAsGuest() {
   try {
-    const userCredential = await signInAnonymously(auth);
-    return userCredential.user;
+    return await authAdapter.signInAnonymously();
   } catch (error) {
     console.error("Guest sign in error:", error.code, error.message);
     throw error;
   }
 }
 
+/**
+ * Links email and password credentials to the signed-in guest.
+ * The anonymous user becomes a regular account and keeps its UID,
+ * so all data stored under that UID stays accessible.
+ *
+ * @param {string} email - User's email address
+ * @param {string} password - User's password (min 6 characters)
+ * @returns {Promise<Object>} - Upgraded Firebase user object
+ * @throws {Error} - Throws if no guest is signed in or linking fails
+ *                   (e.g., email-already-in-use, credential-already-in-use)
+ */
+async function linkGuestWithEmail(email, password) {
+  try {
+    const currentUser = authAdapter.getCurrentUser();
+
+    if (!currentUser?.isAnonymous) {
+      throw new Error("No guest is currently signed in");
+    }
+
+    return await authAdapter.linkWithEmail(currentUser, email, password);
+  } catch (error) {
+    console.error("Link guest error:", error.code, error.message);
+    throw error;
+  }
+}
+
+/**
+ * Sends a password reset email.
+ * The link in the email opens reset-password.html with the action code.
+ *
+ * @param {string} email - User's email address
+ * @returns {Promise<void>}
+ * @throws {Error} - Firebase auth error (e.g., invalid-email, too-many-requests)
+ */
+async function sendPasswordReset(email) {
+  try {
+    const continueUrl = new URL("./reset-password.html", window.location.href);
+    await authAdapter.sendPasswordReset(email, continueUrl.href);
+  } catch (error) {
+    console.error("Password reset error:", error.code, error.message);
+    throw error;
+  }
+}
+
+/**
+ * Checks a password reset code from an email link.
+ *
+ * @param {string} code - Action code (oobCode URL parameter)
+ * @returns {Promise<string>} - Email address of the account
+ * @throws {Error} - Firebase auth error (e.g., invalid-action-code, expired-action-code)
+ */
+async function verifyPasswordResetCode(code) {
+  try {
+    return await authAdapter.verifyPasswordResetCode(code);
+  } catch (error) {
+    console.error("Reset code error:", error.code, error.message);
+    throw error;
+  }
+}
+
+/**
+ * Sets a new password using a password reset code.
+ *
+ * @param {string} code - Action code (oobCode URL parameter)
+ * @param {string} newPassword - New password (min 6 characters)
+ * @returns {Promise<void>}
+ * @throws {Error} - Firebase auth error (e.g., expired-action-code, weak-password)
+ */
+async function confirmPasswordReset(code, newPassword) {
+  try {
+    await authAdapter.confirmPasswordReset(code, newPassword);
+  } catch (error) {
+    console.error("Confirm reset error:", error.code, error.message);
+    throw error;
+  }
+}
+
+/**
+ * Sends a verification email to the signed-in user.
+ * The link in the email leads back to verify-email.html.
+ *
+ * @returns {Promise<void>}
+ * @throws {Error} - Throws if no user is signed in or sending fails (e.g., too-many-requests)
+ */
+async function sendVerificationEmail() {
+  try {
+    const currentUser = authAdapter.getCurrentUser();
+
+    if (!currentUser) {
+      throw new Error("No user is currently signed in");
+    }
+
+    const continueUrl = new URL("./verify-email.html", window.location.href);
+    await authAdapter.sendEmailVerification(currentUser, continueUrl.href);
+  } catch (error) {
+    console.error("Verification email error:", error.code, error.message);
+    throw error;
+  }
+}
+
+/**
+ * Applies an email verification code from a verification link.
+ *
+ * @param {string} code - Action code (oobCode URL parameter)
+ * @returns {Promise<void>}
+ * @throws {Error} - Firebase auth error (e.g., invalid-action-code, expired-action-code)
+ */
+async function applyVerificationCode(code) {
+  try {
+    await authAdapter.applyActionCode(code);
+  } catch (error) {
+    console.error("Apply verification code error:", error.code, error.message);
+    throw error;
+  }
+}
+
+/**
+ * Reloads the signed-in user from the auth backend, e.g. to pick up
+ * a verification completed in another tab or device.
+ *
+ * @returns {Promise<Object|null>} - Refreshed user or null if not authenticated
+ */
+async function reloadCurrentUser() {
+  const currentUser = authAdapter.getCurrentUser();
+  if (!currentUser) return null;
+  return await authAdapter.reloadUser(currentUser);
+}
+
 /**
  * Signs out the current user from Firebase Authentication.
  * Also clears localStorage to remove session data.
@@ -85,7 +203,7 @@ async function signInAnonymouslyAsGuest() {
  */
 async function signOutUser() {
   try {
-    await signOut(auth);
+    await authAdapter.signOut();
     localStorage.removeItem("currentUserId");
     localStorage.removeItem("currentUserEmail");
     localStorage.removeItem("isGuest");
@@ -101,7 +219,7 @@ async function signOutUser() {
  * @returns {Object|null} - Current Firebase user object or null if not authenticated
  */
 function getCurrentAuthUser() {
-  return auth.currentUser;
+  return authAdapter.getCurrentUser();
 }
 
 /**
@@ -120,11 +238,91 @@ function getCurrentAuthUser() {
  * });
  */
 function onAuthChange(callback) {
-  return onAuthStateChanged(auth, callback);
+  return authAdapter.onAuthStateChanged(callback);
+}
+
+/**
+ * Confirms the current user's password.
+ * Firebase requires a recent sign-in before sensitive operations
+ * such as deleting the account.
+ *
+ * @param {string} password - Current password
+ * @returns {Promise<void>}
+ * @throws {Error} - Throws if no user is signed in or the password is wrong
+ *                   (e.g., invalid-credential, wrong-password)
+ */
+async function reauthenticateCurrentUser(password) {
+  try {
+    const currentUser = authAdapter.getCurrentUser();
+
+    if (!currentUser) {
+      throw new Error("No user is currently signed in");
+    }
+
+    await authAdapter.reauthenticate(currentUser, password);
+  } catch (error) {
+    console.error("Reauthentication error:", error.code, error.message);
+    throw error;
+  }
+}
+
+/**
+ * Sends a confirmation link to a new email address of the signed-in user.
+ * The address only changes once the link is opened, so a typo cannot lock
+ * the user out. The link leads back to verify-email.html.
+ * Firebase requires a recent sign-in - call reauthenticateCurrentUser first.
+ *
+ * @param {string} email - New email address
+ * @returns {Promise<void>}
+ * @throws {Error} - Firebase auth error (e.g., email-already-in-use, requires-recent-login)
+ */
+async function requestEmailChange(email) {
+  try {
+    const currentUser = authAdapter.getCurrentUser();
+
+    if (!currentUser) {
+      throw new Error("No user is currently signed in");
+    }
+
+    const continueUrl = new URL("./verify-email.html", window.location.href);
+    await authAdapter.verifyBeforeUpdateEmail(
+      currentUser,
+      email,
+      continueUrl.href,
+    );
+  } catch (error) {
+    console.error("Email change error:", error.code, error.message);
+    throw error;
+  }
+}
+
+/**
+ * Changes the password of the signed-in user.
+ * Firebase requires a recent sign-in - call reauthenticateCurrentUser first.
+ *
+ * @param {string} password - New password
+ * @returns {Promise<void>}
+ * @throws {Error} - Firebase auth error (e.g., weak-password, requires-recent-login)
+ */
+async function updateUserPassword(password) {
+  try {
+    const currentUser = authAdapter.getCurrentUser();
+
+    if (!currentUser) {
+      throw new Error("No user is currently signed in");
+    }
+
+    await authAdapter.updatePassword(currentUser, password);
+  } catch (error) {
+    console.error("Update password error:", error.code, error.message);
+    throw error;
+  }
 }
 
 /**
  * Deletes the currently authenticated user from Firebase Auth.
+ * Only removes the auth user - use deleteAccount in account.service
+ * to remove the user's documents as well.
  * WARNING: This is permanent and cannot be undone.
  *
  * @returns {Promise<void>}
@@ -132,15 +330,16 @@ function onAuthChange(callback) {
  */
 async function deleteCurrentUser() {
   try {
-    const currentUser = auth.currentUser;
+    const currentUser = authAdapter.getCurrentUser();
 
     if (!currentUser) {
       throw new Error("No user is currently signed in");
     }
 
-    await deleteUser(currentUser);
+    await authAdapter.deleteUser(currentUser);
     localStorage.removeItem("currentUserId");
     localStorage.removeItem("currentUserEmail");
+    localStorage.removeItem("isGuest");
   } catch (error) {
     console.error("Delete user error:", error.code, error.message);
     throw error;
@@ -153,16 +352,26 @@ async function deleteCurrentUser() {
  * @returns {boolean} - True if user is authenticated, false otherwise
  */
 function isUserAuthenticated() {
-  return auth.currentUser !== null;
+  return authAdapter.getCurrentUser() !== null;
 }
 
 export {
   registerWithAuth,
   signInWithAuth,
   signInAnonymouslyAsGuest,
+  linkGuestWithEmail,
+  sendPasswordReset,
+  verifyPasswordResetCode,
+  confirmPasswordReset,
+  sendVerificationEmail,
+  applyVerificationCode,
+  reloadCurrentUser,
   signOutUser,
   getCurrentAuthUser,
   onAuthChange,
+  reauthenticateCurrentUser,
+  requestEmailChange,
+  updateUserPassword,
   deleteCurrentUser,
   isUserAuthenticated,
 };
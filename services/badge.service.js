@@ -5,6 +5,29 @@
  * @module services/badge.service
  */
 
+/**
+ * The 16 badge colors defined in CSS variables (--color-badge-1 to --color-badge-16).
+ * @type {string[]}
+ */
+const BADGE_COLORS = [
+  "#ff7a00", // --color-badge-1
+  "#9327ff", // --color-badge-2
+  "#6e52ff", // --color-badge-3
+  "#fc71ff", // --color-badge-4
+  "#ffbb2b", // --color-badge-5
+  "#1fd7c1", // --color-badge-6
+  "#462f8a", // --color-badge-7
+  "#ff4646", // --color-badge-8
+  "#00bee8", // --color-badge-9
+  "#ffe62b", // --color-badge-10
+  "#c3ff2b", // --color-badge-11
+  "#0038ff", // --color-badge-12
+  "#ffc701", // --color-badge-13
+  "#ff745e", // --color-badge-14
+  "#ffa35e", // --color-badge-15
+  "#ff5eb3", // --color-badge-16
+];
+
 /**
  * Simple hash function to generate consistent number from string.
  *
@@ -28,11 +51,25 @@ function hashString(str) {
  * @param {HTMLElement} profileBtn - Profile button element
  */
 function assignUserBadge(user, profileBtn) {
-  const userId = user.uid || user.email;
-  const badgeNumber = (hashString(userId) % 16) + 1;
+  const badgeNumber = getBadgeNumber(user);
   profileBtn.classList.add(`header__profile-btn--badge-${badgeNumber}`);
 }
 
+/**
+ * Gets the badge number (1-16) of a user.
+ * Uses the chosen colorCode if it is a badge color, otherwise a hash of the user ID.
+ *
+ * @param {Object} user - User object
+ * @returns {number} - Badge number
+ */
+function getBadgeNumber(user) {
+  const colorIndex = BADGE_COLORS.indexOf(user.colorCode);
+  if (colorIndex !== -1) return colorIndex + 1;
+
+  const userId = user.uid || user.email;
+  return (hashString(userId) % 16) + 1;
+}
+
 /**
  * Assigns random badge color for guest users.
  *
@@ -50,25 +87,7 @@ function assignRandomBadge(profileBtn) {
  * @returns {string} - Random hex color (e.g., "#ff7a00")
  */
 function generateRandomColor() {
-  const colors = [
-    "#ff7a00", // --color-badge-1
-    "#9327ff", // --color-badge-2
-    "#6e52ff", // --color-badge-3
-    "#fc71ff", // --color-badge-4
-    "#ffbb2b", // --color-badge-5
-    "#1fd7c1", // --color-badge-6
-    "#462f8a", // --color-badge-7
-    "#ff4646", // --color-badge-8
-    "#00bee8", // --color-badge-9
-    "#ffe62b", // --color-badge-10
-    "#c3ff2b", // --color-badge-11
-    "#0038ff", // --color-badge-12
-    "#ffc701", // --color-badge-13
-    "#ff745e", // --color-badge-14
-    "#ffa35e", // --color-badge-15
-    "#ff5eb3", // --color-badge-16
-  ];
-  return colors[Math.floor(Math.random() * colors.length)];
+  return BADGE_COLORS[Math.floor(Math.random() * BADGE_COLORS.length)];
 }
 
 /**
@@ -91,8 +110,10 @@ function getUserInitials(name) {
 }
 
 export {
+  BADGE_COLORS,
   hashString,
   assignUserBadge,
+  getBadgeNumber,
   assignRandomBadge,
   generateRandomColor,
   getUserInitials,
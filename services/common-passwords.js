@@ -0,0 +1,83 @@
+/**
+ * @fileoverview Common Passwords
+ * @description Local list of frequently used passwords, rejected by the password
+ *              policy. Lowercase; trailing digits and symbols are stripped before
+ *              the lookup, so "Password123!" matches "password".
+ * @module services/common-passwords
+ */
+
+/**
+ * Frequently used passwords and password stems.
+ * @type {Set<string>}
+ */
+const COMMON_PASSWORDS = new Set([
+  "123456",
+  "12345678",
+  "123456789",
+  "1234567890",
+  "111111",
+  "000000",
+  "654321",
+  "password",
+  "passwort",
+  "passw0rd",
+  "qwerty",
+  "qwertz",
+  "qwertyuiop",
+  "asdfgh",
+  "asdfghjkl",
+  "yxcvbnm",
+  "zxcvbnm",
+  "abc",
+  "abcdef",
+  "abcdefgh",
+  "iloveyou",
+  "letmein",
+  "welcome",
+  "willkommen",
+  "admin",
+  "administrator",
+  "login",
+  "master",
+  "monkey",
+  "dragon",
+  "football",
+  "fussball",
+  "baseball",
+  "superman",
+  "batman",
+  "sunshine",
+  "princess",
+  "shadow",
+  "michael",
+  "jennifer",
+  "hallo",
+  "hello",
+  "secret",
+  "geheim",
+  "trustno1",
+  "starwars",
+  "pokemon",
+  "freedom",
+  "whatever",
+  "computer",
+  "internet",
+  "summer",
+  "sommer",
+  "winter",
+  "schatz",
+  "killer",
+  "charlie",
+  "thomas",
+  "hunter",
+  "ashley",
+  "soccer",
+  "changeme",
+  "default",
+  "test",
+  "guest",
+  "join",
+  "kanban",
+]);
+
+export { COMMON_PASSWORDS };
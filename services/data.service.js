@@ -7,76 +7,318 @@
 
 import {
   getDocument,
-  setDocument,
   getAllDocuments,
-  updateDocument,
   queryDocuments,
-  deleteDocument,
+  runQuery,
+  getCursorValues,
+  runBatch,
+  runInTransaction,
+  registerTransaction,
+  runRegisteredTransaction,
+  subscribeToDocument,
+  subscribeToQuery,
 } from "./firestore.service.js";
 
 import { generateRandomColor } from "./badge.service.js";
+import {
+  TASK_PRIORITY,
+  OPEN_TASK_STATUSES,
+  normalizeTask,
+  createTaskData,
+} from "./task.model.js";
+import {
+  CURRENT_SCHEMA_VERSION,
+  ensureUserMigrations,
+} from "./migration.service.js";
+import {
+  isTrashCollection,
+  isNotDeleted,
+  createTrashOperation,
+} from "./trash.service.js";
+import {
+  ACTIVITY_ACTION,
+  logActivityInTransaction,
+} from "./activity.service.js";
+import { assertWriteAccess } from "./verification.policy.js";
+import { ERROR_TYPE } from "./error.service.js";
+import {
+  sortByPosition,
+  getAppendChanges,
+  getPositionOperations,
+} from "./task-order.service.js";
+
+/**
+ * Sort order used for paginated task lists.
+ * @type {Array<Object>}
+ */
+const TASK_PAGE_ORDER = [{ field: "createdAt", direction: "asc" }];
+
+registerTransaction("setItem", setItemInTransaction);
+registerTransaction("updateItem", updateItemInTransaction);
+registerTransaction("deleteItem", deleteItemInTransaction);
+registerTransaction("createGuest", createGuestInTransaction);
+registerTransaction("createUser", createUserInTransaction);
 
 /**
  * Updates or creates an item in Firestore.
  * If the item exists, merges new data with existing data.
+ * Read, merge and write run in one transaction, so a concurrent change
+ * to the same document causes a retry instead of being overwritten.
+ * The change and any related writes are recorded in the same transaction as
+ * the activity log entry. While offline the write is queued and merged with
+ * the current document once the network returns.
  *
  * @param {string} collectionName - Collection name (e.g., "users", "tasks", "contacts")
  * @param {string} id - Document ID
  * @param {Object} data - Data to update or create
+ * @param {Array<import("./firestore.service.js").WriteOperation>} [relatedWrites=[]] - Writes
+ *        that must succeed or fail together with this one (e.g., renumbered position keys)
  * @returns {Promise<Object>} - Updated or created data object
+ *                              (only the given data while the write is queued)
  */
-async function setItem(collectionName, id, data) {
-  const existingData = await getItem(collectionName, id);
+async function setItem(collectionName, id, data, relatedWrites = []) {
+  assertWriteAccess(collectionName, id);
+  const result = await runRegisteredTransaction("setItem", {
+    collectionName,
+    id,
+    data,
+    relatedWrites,
+  });
+  return result ?? { id, ...data };
+}
+
+/**
+ * Transaction of setItem: merges the data into the current document and
+ * stages the related writes.
+ *
+ * @param {Object} tx - Transaction helper from runInTransaction
+ * @param {Object} payload - collectionName, id, data and relatedWrites of setItem
+ * @returns {Promise<Object>} - Updated or created data object
+ */
+async function setItemInTransaction(
+  tx,
+  { collectionName, id, data, relatedWrites = [] },
+) {
+  const existingData = await tx.get(collectionName, id);
   const mergedData = existingData
     ? { ...existingData, ...data }
     : { id, ...data };
 
-  await setDocument(collectionName, id, mergedData);
+  relatedWrites.forEach((operation) => stageWrite(tx, operation));
+  tx.set(collectionName, id, mergedData);
+  logActivityInTransaction(
+    tx,
+    existingData ? ACTIVITY_ACTION.UPDATE : ACTIVITY_ACTION.CREATE,
+    collectionName,
+    id,
+    existingData,
+    mergedData,
+  );
   return mergedData;
 }
 
 /**
  * Retrieves a single item from Firestore.
+ * Items in the trash are treated as not found.
  *
  * @param {string} collectionName - Collection name
  * @param {string} id - Document ID
  * @returns {Promise<Object|null>} - Document data or null if not found
  */
 async function getItem(collectionName, id) {
-  return await getDocument(collectionName, id);
+  const item = await getDocument(collectionName, id);
+  return isNotDeleted(item) ? item : null;
 }
 
 /**
- * Retrieves all items from a Firestore collection.
+ * Retrieves all items from a Firestore collection, excluding trashed items.
  *
  * @param {string} collectionName - Collection name
  * @returns {Promise<Array>} - Array of all documents
  */
 async function getAllItems(collectionName) {
-  return await getAllDocuments(collectionName);
+  const items = await getAllDocuments(collectionName);
+  return items.filter(isNotDeleted);
 }
 
 /**
  * Updates specific fields in a document.
+ * The update, its activity log entry and any related writes are written in
+ * one transaction, which also reads the logged previous state. While offline
+ * the write is queued and runs against the current document later.
  *
  * @param {string} collectionName - Collection name
  * @param {string} id - Document ID
  * @param {Object} updates - Fields to update
+ * @param {Array<import("./firestore.service.js").WriteOperation>} [relatedWrites=[]] - Writes
+ *        that must succeed or fail together with the update (e.g., renumbered position keys)
  * @returns {Promise<void>}
  */
-async function updateItem(collectionName, id, updates) {
-  await updateDocument(collectionName, id, updates);
+async function updateItem(collectionName, id, updates, relatedWrites = []) {
+  assertWriteAccess(collectionName, id);
+  await runRegisteredTransaction("updateItem", {
+    collectionName,
+    id,
+    updates,
+    relatedWrites,
+  });
+}
+
+/**
+ * Transaction of updateItem: reads the document, then writes the update,
+ * the related writes and the activity entry.
+ *
+ * @param {Object} tx - Transaction helper from runInTransaction
+ * @param {Object} payload - collectionName, id, updates and relatedWrites of updateItem
+ * @returns {Promise<void>}
+ */
+async function updateItemInTransaction(
+  tx,
+  { collectionName, id, updates, relatedWrites = [] },
+) {
+  const before = await tx.get(collectionName, id);
+
+  relatedWrites.forEach((operation) => stageWrite(tx, operation));
+  tx.update(collectionName, id, updates);
+  logActivityInTransaction(
+    tx,
+    ACTIVITY_ACTION.UPDATE,
+    collectionName,
+    id,
+    before,
+    { ...before, ...updates },
+  );
 }
 
 /**
  * Deletes an item from Firestore.
+ * Tasks and contacts are moved to the trash (see trash.service) and can be
+ * restored until they are purged; other items are deleted permanently.
+ * The deletion and its activity log entry are written in one transaction.
+ * While offline the deletion is queued.
  *
  * @param {string} collectionName - Collection name
  * @param {string} id - Document ID
  * @returns {Promise<void>}
  */
 async function deleteItem(collectionName, id) {
-  await deleteDocument(collectionName, id);
+  assertWriteAccess(collectionName, id);
+  await runRegisteredTransaction("deleteItem", { collectionName, id });
+}
+
+/**
+ * Transaction of deleteItem: reads the document, then trashes or deletes it
+ * and writes the activity entry.
+ *
+ * @param {Object} tx - Transaction helper from runInTransaction
+ * @param {{collectionName: string, id: string}} payload - Item to delete
+ * @returns {Promise<void>}
+ */
+async function deleteItemInTransaction(tx, { collectionName, id }) {
+  const before = await tx.get(collectionName, id);
+  const operation = isTrashCollection(collectionName)
+    ? createTrashOperation(collectionName, id)
+    : { type: "delete", collectionName, docId: id };
+
+  stageWrite(tx, operation);
+  logActivityInTransaction(
+    tx,
+    ACTIVITY_ACTION.DELETE,
+    collectionName,
+    id,
+    before,
+    operation.data ? { ...before, ...operation.data } : null,
+  );
+}
+
+/**
+ * Stages a write operation (as used by runBatch) in a transaction.
+ *
+ * @param {Object} tx - Transaction helper from runInTransaction
+ * @param {import("./firestore.service.js").WriteOperation} operation - Write to stage
+ */
+function stageWrite(tx, { type, collectionName, docId, data }) {
+  if (type === "delete") tx.delete(collectionName, docId);
+  else tx[type](collectionName, docId, data);
+}
+
+/**
+ * Moves a contact to the trash and removes it from the assignees of all tasks.
+ * All changes are applied in one transaction, so tasks are never left
+ * pointing at a deleted contact. Restoring the contact does not re-assign it.
+ * Every changed document gets an activity log entry.
+ *
+ * @param {string} contactId - Contact document ID
+ * @returns {Promise<void>}
+ */
+async function deleteContactAndUnassign(contactId) {
+  assertWriteAccess();
+  const assignedTasks = await queryDocuments(
+    "tasks",
+    "assignedTo",
+    "array-contains",
+    contactId,
+  );
+
+  await runInTransaction(async (tx) => {
+    const tasks = await readTasksInTransaction(tx, assignedTasks);
+    const contact = await tx.get("contacts", contactId);
+    tasks.forEach((task) => unassignInTransaction(tx, task, contactId));
+
+    const { data } = createTrashOperation("contacts", contactId);
+    tx.update("contacts", contactId, data);
+    logActivityInTransaction(
+      tx,
+      ACTIVITY_ACTION.DELETE,
+      "contacts",
+      contactId,
+      contact,
+      { ...contact, ...data },
+    );
+  });
+}
+
+/**
+ * Removes a contact from a task's assignees inside a transaction.
+ *
+ * @param {Object} tx - Transaction helper from runInTransaction
+ * @param {Object} task - Current task document
+ * @param {string} contactId - Contact to remove
+ */
+function unassignInTransaction(tx, task, contactId) {
+  const assignedTo = task.assignedTo.filter((id) => id !== contactId);
+  tx.update("tasks", task.id, { assignedTo });
+  logActivityInTransaction(tx, ACTIVITY_ACTION.UPDATE, "tasks", task.id, task, {
+    ...task,
+    assignedTo,
+  });
+}
+
+/**
+ * Re-reads tasks inside a transaction so concurrent edits are detected.
+ * Tasks deleted in the meantime or without assignees are skipped.
+ *
+ * @param {Object} tx - Transaction helper from runInTransaction
+ * @param {Array} tasks - Tasks found by a previous query
+ * @returns {Promise<Array>} - Current task documents
+ */
+async function readTasksInTransaction(tx, tasks) {
+  const current = [];
+  for (const task of tasks) {
+    const fresh = await tx.get("tasks", task.id);
+    if (fresh && Array.isArray(fresh.assignedTo)) current.push(fresh);
+  }
+  return current;
+}
+
+/**
+ * Applies several item writes atomically.
+ *
+ * @param {Array<import("./firestore.service.js").WriteOperation>} operations - Writes to apply
+ * @returns {Promise<void>}
+ */
+async function writeItems(operations) {
+  await runBatch(operations);
 }
 
 /**
@@ -91,27 +333,226 @@ async function findUserByEmail(email) {
 }
 
 /**
- * Gets all tasks for a specific user.
+ * Gets a single task in canonical form.
+ *
+ * @param {string} taskId - Task document ID
+ * @returns {Promise<Object|null>} - Normalized task or null if not found or trashed
+ */
+async function getTask(taskId) {
+  const task = await getDocument("tasks", taskId);
+  return isNotDeleted(task) ? normalizeTask(task) : null;
+}
+
+/**
+ * Gets all tasks for a specific user in canonical form, excluding trashed tasks.
+ * Tasks are sorted by their position key (manual board order).
  *
  * @param {string} userId - User ID
- * @returns {Promise<Array>} - Array of user's tasks
+ * @returns {Promise<Array>} - Array of user's normalized tasks
  */
 async function getUserTasks(userId) {
-  return await queryDocuments("tasks", "userId", "==", userId);
+  const tasks = await queryDocuments("tasks", "userId", "==", userId);
+  return sortByPosition(tasks.filter(isNotDeleted).map(normalizeTask));
+}
+
+/**
+ * Creates a task in canonical form at the end of its board column.
+ * The task, its activity log entry and the renumbered keys of the column
+ * (if the new key would be too long) are written together through setItem.
+ *
+ * @param {string} userId - Owner's user ID
+ * @param {Object} input - Task fields (title, description, dueDate, priority, ...)
+ * @returns {Promise<Object>} - Created task with ID
+ */
+async function createTask(userId, input) {
+  const task = createTaskData(userId, input);
+  const id = crypto.randomUUID();
+  const changes = await getColumnAppendChanges(userId, task.status, id);
+  task.position = changes.find((change) => change.id === id)?.position ?? null;
+
+  const renumbered = changes.filter((change) => change.id !== id);
+  return await setItem("tasks", id, task, getPositionOperations(renumbered));
+}
+
+/**
+ * Works out the position keys for a new task after the last task of a
+ * board column. While offline the column cannot be read; the task then gets
+ * no key, which sorts it last until the column is reordered.
+ *
+ * @param {string} userId - Owner's user ID
+ * @param {string} status - Column status
+ * @param {string} taskId - ID of the new task
+ * @returns {Promise<Array<{id: string, position: string}>>} - Key changes
+ *          (empty while offline)
+ */
+async function getColumnAppendChanges(userId, status, taskId) {
+  try {
+    const tasks = await getUserTasks(userId);
+    const columnTasks = tasks.filter((task) => task.status === status);
+    return getAppendChanges(columnTasks, taskId);
+  } catch (error) {
+    if (error.type !== ERROR_TYPE.OFFLINE) throw error;
+    return [];
+  }
 }
 
 /**
- * Gets all contacts for a specific user.
+ * Gets all contacts for a specific user, excluding trashed contacts.
  *
  * @param {string} userId - User ID
  * @returns {Promise<Array>} - Array of user's contacts
  */
 async function getUserContacts(userId) {
-  return await queryDocuments("contacts", "userId", "==", userId);
+  const contacts = await queryDocuments("contacts", "userId", "==", userId);
+  return contacts.filter(isNotDeleted);
+}
+
+/**
+ * Queries items with multiple filters, ordering, limit and cursors.
+ * Returns raw documents: add a deletedAt == null filter to skip trashed items.
+ *
+ * @param {string} collectionName - Collection name
+ * @param {import("./firestore.service.js").QueryOptions} options - Query options
+ * @returns {Promise<Array>} - Array of matching documents
+ */
+async function queryItems(collectionName, options) {
+  return await runQuery(collectionName, options);
+}
+
+/**
+ * Gets open urgent tasks of a user, sorted by due date (earliest first).
+ * Tasks without a due date are not included: the dueDate > "" filter skips
+ * missing and null dates, which Firestore would otherwise sort first.
+ * Requires a composite index on userId, priority, status, deletedAt and dueDate.
+ * Pending migrations run first: the deletedAt == null filter only matches
+ * tasks that have the field, which migration v2 adds to older tasks.
+ *
+ * @param {string} userId - User ID
+ * @param {Object} [options] - Pagination options
+ * @param {number} [options.pageSize] - Maximum number of tasks to return
+ * @param {Array} [options.startAfter] - Cursor values from getCursorValues
+ * @returns {Promise<Array>} - Array of open urgent tasks (normalized)
+ */
+async function getOpenUrgentTasks(userId, options = {}) {
+  await ensureUserMigrations(userId);
+  const tasks = await runQuery("tasks", {
+    filters: [
+      { field: "userId", operator: "==", value: userId },
+      { field: "priority", operator: "==", value: TASK_PRIORITY.URGENT },
+      { field: "status", operator: "in", value: OPEN_TASK_STATUSES },
+      { field: "deletedAt", operator: "==", value: null },
+      { field: "dueDate", operator: ">", value: "" },
+    ],
+    orderBy: [{ field: "dueDate", direction: "asc" }],
+    limit: options.pageSize,
+    startAfter: options.startAfter,
+  });
+  return tasks.map(normalizeTask);
+}
+
+/**
+ * Gets the open urgent task with the earliest due date.
+ *
+ * @param {string} userId - User ID
+ * @returns {Promise<Object|null>} - Task or null if there is none
+ */
+async function getNextUrgentTask(userId) {
+  const tasks = await getOpenUrgentTasks(userId, { pageSize: 1 });
+  return tasks.length > 0 ? tasks[0] : null;
+}
+
+/**
+ * Gets one page of a user's tasks, ordered by creation date (trashed tasks excluded).
+ * Like getOpenUrgentTasks, this runs pending migrations before querying.
+ * Pass the returned nextCursor to fetch the following page,
+ * or prevCursor together with direction "prev" for the previous one.
+ *
+ * @param {string} userId - User ID
+ * @param {Object} [options] - Pagination options
+ * @param {number} [options.pageSize=20] - Number of tasks per page
+ * @param {Array|null} [options.cursor] - Cursor from a previous page
+ * @param {string} [options.direction="next"] - "next" or "prev"
+ * @returns {Promise<Object>} - { tasks, nextCursor, prevCursor } with normalized tasks
+ */
+async function getUserTasksPage(userId, options = {}) {
+  const { pageSize = 20, cursor = null, direction = "next" } = options;
+  await ensureUserMigrations(userId);
+  const tasks = await runQuery("tasks", {
+    filters: [
+      { field: "userId", operator: "==", value: userId },
+      { field: "deletedAt", operator: "==", value: null },
+    ],
+    orderBy: TASK_PAGE_ORDER,
+    limit: pageSize,
+    startAfter: direction === "next" ? cursor : null,
+    endBefore: direction === "prev" ? cursor : null,
+  });
+
+  return {
+    tasks: tasks.map(normalizeTask),
+    nextCursor: getCursorValues(tasks[tasks.length - 1], TASK_PAGE_ORDER),
+    prevCursor: getCursorValues(tasks[0], TASK_PAGE_ORDER),
+  };
+}
+
+/**
+ * Subscribes to live updates of a single item.
+ *
+ * @param {string} collectionName - Collection name
+ * @param {string} id - Document ID
+ * @param {Function} callback - Receives the item or null whenever it changes
+ * @param {Function} [onError] - Optional callback that receives listener errors
+ * @returns {Function} - Unsubscribe function
+ */
+function subscribeToItem(collectionName, id, callback, onError) {
+  return subscribeToDocument(collectionName, id, callback, onError);
+}
+
+/**
+ * Live counterpart of getUserTasks.
+ * Invokes the callback with all tasks of the user on every change,
+ * including changes made in other tabs or on other devices.
+ *
+ * @param {string} userId - User ID
+ * @param {Function} callback - Receives the array of user's normalized tasks
+ * @param {Function} [onError] - Optional callback that receives listener errors
+ * @returns {Function} - Unsubscribe function
+ */
+function subscribeToUserTasks(userId, callback, onError) {
+  return subscribeToQuery(
+    "tasks",
+    "userId",
+    "==",
+    userId,
+    (tasks) =>
+      callback(sortByPosition(tasks.filter(isNotDeleted).map(normalizeTask))),
+    onError,
+  );
+}
+
+/**
+ * Live counterpart of getUserContacts (trashed contacts are excluded).
+ *
+ * @param {string} userId - User ID
+ * @param {Function} callback - Receives the array of user's contacts
+ * @param {Function} [onError] - Optional callback that receives listener errors
+ * @returns {Function} - Unsubscribe function
+ */
+function subscribeToUserContacts(userId, callback, onError) {
+  return subscribeToQuery(
+    "contacts",
+    "userId",
+    "==",
+    userId,
+    (contacts) => callback(contacts.filter(isNotDeleted)),
+    onError,
+  );
 }
 
 /**
  * Creates a new guest document in Firestore (guests collection).
+ * The guest document and its activity log entry are written in one transaction.
+ * While offline the write is queued.
  *
  * @param {string} guestId - Firebase Auth UID
  * @param {Object} guestData - Guest data (name, email, etc.)
@@ -126,30 +567,109 @@ async function createGuest(guestId, guestData) {
     createdAt: new Date().toISOString(),
     ...guestData,
   };
-  await setDocument("guests", guestId, newGuest);
+
+  await runRegisteredTransaction("createGuest", { guestId, newGuest });
   return newGuest;
 }
 
+/**
+ * Transaction of createGuest: writes the guest and logs a create or update.
+ *
+ * @param {Object} tx - Transaction helper from runInTransaction
+ * @param {{guestId: string, newGuest: Object}} payload - Guest to write
+ * @returns {Promise<void>}
+ */
+async function createGuestInTransaction(tx, { guestId, newGuest }) {
+  const existingGuest = await tx.get("guests", guestId);
+
+  tx.set("guests", guestId, newGuest);
+  logActivityInTransaction(
+    tx,
+    existingGuest ? ACTIVITY_ACTION.UPDATE : ACTIVITY_ACTION.CREATE,
+    "guests",
+    guestId,
+    existingGuest,
+    { ...existingGuest, ...newGuest },
+  );
+}
+
 /**
  * Creates a new user document in Firestore.
+ * Runs as a transaction: if the document already exists (e.g. created
+ * concurrently in another tab), the existing createdAt and colorCode are kept
+ * and only the given fields are merged in. The change is recorded in the activity log.
+ * While offline the write is queued and runs once the network returns.
  *
  * @param {string} userId - Firebase Auth UID
  * @param {Object} userData - User data (name, email, etc.)
  * @returns {Promise<Object>} - Created user object
  */
 async function createUser(userId, userData) {
-  const newUser = {
+  const newUser = buildNewUser(userId, userData);
+  const user = await runRegisteredTransaction("createUser", {
+    userId,
+    userData,
+    newUser,
+  });
+  return user ?? newUser;
+}
+
+/**
+ * Transaction of createUser: writes the new user or merges into an existing one.
+ * Defaults are built beforehand, so a queued write keeps its creation time.
+ *
+ * @param {Object} tx - Transaction helper from runInTransaction
+ * @param {{userId: string, userData: Object, newUser: Object}} payload - Write
+ * @returns {Promise<Object>} - Written user object
+ */
+async function createUserInTransaction(tx, { userId, userData, newUser }) {
+  const existingUser = await tx.get("users", userId);
+  const user = existingUser ? { ...existingUser, ...userData } : newUser;
+
+  tx.set("users", userId, user);
+  logActivityInTransaction(
+    tx,
+    existingUser ? ACTIVITY_ACTION.UPDATE : ACTIVITY_ACTION.CREATE,
+    "users",
+    userId,
+    existingUser,
+    user,
+  );
+  return user;
+}
+
+/**
+ * Runs pending schema migrations for a user's data.
+ * Runs once per page and user; returns quickly when the
+ * profile is already at the current schema version.
+ *
+ * @param {string} userId - Firebase Auth UID
+ * @param {Function} [onProgress] - Receives progress info before each step
+ * @returns {Promise<import("./migration.service.js").MigrationReport>} - Migration report
+ */
+async function migrateUserData(userId, onProgress) {
+  return await ensureUserMigrations(userId, onProgress);
+}
+
+/**
+ * Builds the initial user document with defaults.
+ * New accounts have no legacy data and start at the current schema version.
+ *
+ * @param {string} userId - Firebase Auth UID
+ * @param {Object} userData - User data (name, email, etc.)
+ * @returns {Object} - New user object
+ */
+function buildNewUser(userId, userData) {
+  return {
     id: userId,
     name: userData.name || "",
     email: userData.email || "",
     colorCode: generateRandomColor(),
     isGuest: userData.isGuest || false,
+    schemaVersion: CURRENT_SCHEMA_VERSION,
     createdAt: new Date().toISOString(),
     ...userData,
   };
-
-  await setDocument("users", userId, newUser);
-  return newUser;
 }
 
 export {
@@ -158,9 +678,21 @@ export {
   getAllItems,
   updateItem,
   deleteItem,
+  deleteContactAndUnassign,
+  writeItems,
   findUserByEmail,
+  getTask,
   getUserTasks,
+  createTask,
   getUserContacts,
+  queryItems,
+  getOpenUrgentTasks,
+  getNextUrgentTask,
+  getUserTasksPage,
+  subscribeToItem,
+  subscribeToUserTasks,
+  subscribeToUserContacts,
   createUser,
   createGuest,
+  migrateUserData,
 };
@@ -0,0 +1,195 @@
+/**
+ * @fileoverview Error Service
+ * @description App-level error types for storage errors, friendly messages for the UI,
+ *              and retries with exponential backoff for transient failures.
+ *              Errors keep the original Firebase code and the raw error as cause,
+ *              so existing code checks (e.g. error.code === "unavailable") still work.
+ * @module services/error.service
+ */
+
+/**
+ * App-level error types. Stored in error.name and error.type.
+ * @enum {string}
+ */
+const ERROR_TYPE = Object.freeze({
+  NOT_FOUND: "NotFound",
+  PERMISSION_DENIED: "PermissionDenied",
+  OFFLINE: "Offline",
+  CONFLICT: "Conflict",
+  UNVERIFIED: "Unverified",
+  UNKNOWN: "Unknown",
+});
+
+/**
+ * Firestore error codes mapped to app-level error types.
+ * @type {Object<string, string>}
+ */
+const TYPE_BY_CODE = {
+  "not-found": ERROR_TYPE.NOT_FOUND,
+  "permission-denied": ERROR_TYPE.PERMISSION_DENIED,
+  unauthenticated: ERROR_TYPE.PERMISSION_DENIED,
+  unavailable: ERROR_TYPE.OFFLINE,
+  "deadline-exceeded": ERROR_TYPE.OFFLINE,
+  aborted: ERROR_TYPE.CONFLICT,
+  "already-exists": ERROR_TYPE.CONFLICT,
+  "failed-precondition": ERROR_TYPE.CONFLICT,
+};
+
+/**
+ * User-facing messages per error type.
+ * @type {Object<string, string>}
+ */
+const ERROR_MESSAGES = {
+  [ERROR_TYPE.NOT_FOUND]: "This item no longer exists.",
+  [ERROR_TYPE.PERMISSION_DENIED]: "You don't have permission to do that.",
+  [ERROR_TYPE.OFFLINE]: "You are offline. Please check your connection.",
+  [ERROR_TYPE.CONFLICT]:
+    "This item was changed elsewhere. Please reload and try again.",
+  [ERROR_TYPE.UNVERIFIED]: "Please verify your email address to make changes.",
+  [ERROR_TYPE.UNKNOWN]: "Something went wrong. Please try again.",
+};
+
+/**
+ * Error codes worth retrying: the request may succeed a moment later.
+ * @type {string[]}
+ */
+const TRANSIENT_CODES = [
+  "unavailable",
+  "deadline-exceeded",
+  "resource-exhausted",
+];
+
+/**
+ * @typedef {Object} RetryOptions
+ * @property {number} [retries=3] - Retries after the first attempt
+ * @property {number} [baseDelayMs=200] - Delay cap of the first retry
+ * @property {number} [maxDelayMs=3000] - Upper bound of any delay
+ */
+
+/**
+ * Creates an app-level error.
+ *
+ * @param {string} type - One of ERROR_TYPE
+ * @param {string} message - Technical message for logs
+ * @param {Error} [cause] - Original error
+ * @returns {Error} - Error with name, type, code and cause
+ */
+function createAppError(type, message, cause) {
+  const error = new Error(message, { cause });
+  error.name = type;
+  error.type = type;
+  error.code = cause?.code;
+  return error;
+}
+
+/**
+ * Wraps any error into an app-level error. App errors are returned unchanged.
+ * While the browser is offline every failure is reported as Offline.
+ *
+ * @param {Error} error - Original error
+ * @returns {Error} - App-level error
+ */
+function toAppError(error) {
+  if (error?.type && Object.values(ERROR_TYPE).includes(error.type)) {
+    return error;
+  }
+  const type = isBrowserOffline()
+    ? ERROR_TYPE.OFFLINE
+    : TYPE_BY_CODE[error?.code] || ERROR_TYPE.UNKNOWN;
+  return createAppError(type, error?.message || String(error), error);
+}
+
+/**
+ * Checks whether an error is an app-level error of the given type.
+ *
+ * @param {Error} error - Error to check
+ * @param {string} type - One of ERROR_TYPE
+ * @returns {boolean} - True if the type matches
+ */
+function isErrorType(error, type) {
+  return error?.type === type;
+}
+
+/**
+ * Returns a friendly message for any error, suitable for a toast.
+ *
+ * @param {Error} error - Error thrown by a service
+ * @returns {string} - User-facing message
+ */
+function getErrorMessage(error) {
+  return ERROR_MESSAGES[toAppError(error).type];
+}
+
+/**
+ * Runs an async operation and retries transient failures with exponential
+ * backoff and full jitter. Other errors, and any error while the browser is
+ * offline, are rethrown immediately.
+ *
+ * @param {Function} operation - Async function to run
+ * @param {RetryOptions} [options] - Retry options
+ * @returns {Promise<any>} - Result of the operation
+ * @throws {Error} - The last error if all attempts fail
+ */
+async function withRetry(operation, options = {}) {
+  const { retries = 3, baseDelayMs = 200, maxDelayMs = 3000 } = options;
+
+  for (let attempt = 0; ; attempt += 1) {
+    try {
+      return await operation();
+    } catch (error) {
+      if (attempt >= retries || !isTransientError(error)) throw error;
+      await wait(getBackoffDelay(attempt, baseDelayMs, maxDelayMs));
+    }
+  }
+}
+
+/**
+ * Calculates a random delay between 0 and the exponential cap (full jitter).
+ *
+ * @param {number} attempt - Zero-based number of the failed attempt
+ * @param {number} baseDelayMs - Delay cap of the first retry
+ * @param {number} maxDelayMs - Upper bound of any delay
+ * @returns {number} - Delay in ms
+ */
+function getBackoffDelay(attempt, baseDelayMs, maxDelayMs) {
+  const cap = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+  return Math.random() * cap;
+}
+
+/**
+ * Checks whether an error is transient and the browser is online.
+ *
+ * @param {Error} error - Error to check
+ * @returns {boolean} - True if a retry may succeed
+ */
+function isTransientError(error) {
+  return TRANSIENT_CODES.includes(error?.code) && !isBrowserOffline();
+}
+
+/**
+ * Checks whether the browser reports being offline.
+ *
+ * @returns {boolean} - True if offline
+ */
+function isBrowserOffline() {
+  return typeof navigator !== "undefined" && navigator.onLine === false;
+}
+
+/**
+ * Resolves after the given time.
+ *
+ * @param {number} ms - Delay in ms
+ * @returns {Promise<void>}
+ */
+function wait(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+export {
+  ERROR_TYPE,
+  createAppError,
+  toAppError,
+  isErrorType,
+  getErrorMessage,
+  withRetry,
+};
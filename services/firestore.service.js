@@ -1,47 +1,127 @@
 /**
  * @fileoverview CRUD operations for Firestore (Cloud Firestore)
  * @description This module provides functions to create, read, update, and delete documents
- *              in a Firestore database. It uses the Firebase Firestore SDK to interact with
- *              the database and handles common operations such as setting, getting, updating,
- *              and deleting documents, as well as querying collections.
+ *              in the configured storage backend. It delegates to a storage adapter
+ *              (Firestore in production, IndexedDB or in-memory for offline development
+ *              and tests) and handles common operations such as setting, getting, updating,
+ *              and deleting documents, as well as querying collections (multiple filters,
+ *              ordering and cursor-based pagination) and subscribing to real-time
+ *              updates of documents, collections and queries. Multi-document changes
+ *              can be applied atomically with batched writes and transactions.
+ *              Writes that fail for lack of network are queued (offline-queue.service).
+ *              Transient failures are retried with backoff, and all errors are thrown
+ *              as app-level error types (error.service).
  * @module services/firestore.service
  */
 
-import { db } from "../config/firebase.config.js";
+import { loadStorageAdapter } from "./adapters/adapter-loader.js";
 import {
-  collection,
-  doc,
-  getDoc,
-  getDocs,
-  setDoc,
-  updateDoc,
-  deleteDoc,
-  query,
-  where,
-  addDoc,
-} from "firebase/firestore";
+  registerTransaction,
+  runOrQueue,
+  setupReplayTriggers,
+} from "./offline-queue.service.js";
+import { withRetry, toAppError } from "./error.service.js";
+
+/**
+ * Active storage adapter (Firestore, IndexedDB or in-memory).
+ * Selected from config/app.config.js when the module is first loaded.
+ * @type {Object}
+ */
+let adapter = await loadStorageAdapter();
+
+setupReplayTriggers(() => adapter);
+
+/**
+ * @typedef {Object} StorageAdapter
+ * @property {string} name - Backend name ("firestore", "indexeddb", "memory")
+ * @property {Function} setDocument - (collectionName, docId, data) → Promise<void>, merges
+ * @property {Function} getDocument - (collectionName, docId) → Promise<Object|null>
+ * @property {Function} getAllDocuments - (collectionName) → Promise<Array>
+ * @property {Function} updateDocument - (collectionName, docId, data) → Promise<void>
+ * @property {Function} deleteDocument - (collectionName, docId) → Promise<void>
+ * @property {Function} addDocument - (collectionName, data) → Promise<string>
+ * @property {Function} runQuery - (collectionName, QueryOptions) → Promise<Array>
+ * @property {Function} runBatch - (Array<WriteOperation>) → Promise<void>
+ * @property {Function} runInTransaction - (updateFunction) → Promise<any>
+ * @property {Function} subscribeToDocument - (collectionName, docId, onChange, onError) → unsubscribe
+ * @property {Function} subscribeToCollection - (collectionName, onChange, onError) → unsubscribe
+ * @property {Function} subscribeToQuery - (collectionName, QueryOptions, onChange, onError) → unsubscribe
+ */
+
+/**
+ * Replaces the active storage adapter.
+ * Intended for automated tests that inject a fresh in-memory backend.
+ *
+ * @param {StorageAdapter} nextAdapter - Adapter to use from now on
+ */
+function setStorageAdapter(nextAdapter) {
+  adapter = nextAdapter;
+}
+
+/**
+ * Returns the name of the active storage backend.
+ *
+ * @returns {string} - Backend name ("firestore", "indexeddb", "memory")
+ */
+function getStorageBackendName() {
+  return adapter.name;
+}
+
+/**
+ * Runs a storage operation with retries for transient errors.
+ * Failures are logged and rethrown as app-level errors
+ * (NotFound, PermissionDenied, Offline, Conflict or Unknown).
+ *
+ * @param {string} label - Log message prefix describing the operation
+ * @param {Function} operation - Async function calling the adapter
+ * @returns {Promise<any>} - Result of the operation
+ * @throws {Error} - App-level error (see services/error.service)
+ */
+async function execute(label, operation) {
+  try {
+    return await withRetry(operation);
+  } catch (error) {
+    console.error(label, error);
+    throw toAppError(error);
+  }
+}
+
+/**
+ * Runs a write through the offline queue, which retries transient errors
+ * and queues the write once the retries are used up.
+ *
+ * @param {string} label - Log message prefix describing the operation
+ * @param {string} method - Adapter method name
+ * @param {Array} args - Arguments for the adapter method
+ * @returns {Promise<any>} - Result of the write, or undefined if it was queued
+ * @throws {Error} - App-level error (see services/error.service)
+ */
+async function executeWrite(label, method, args) {
+  try {
+    return await runOrQueue(adapter, method, args);
+  } catch (error) {
+    console.error(label, error);
+    throw toAppError(error);
+  }
+}
 
 /**
  * Creates or updates a document in a Firestore collection.
  * Uses merge to avoid overwriting existing fields.
+ * While offline the write is queued and synced once the network returns.
  *
  * @param {string} collectionName - The name of the collection (e.g., "users", "tasks")
  * @param {string} docId - The document ID
  * @param {Object} data - The data to set
  * @returns {Promise<void>}
- * @throws {Error} - Throws error if write operation fails
+ * @throws {Error} - App-level error if the write fails
  */
 async function setDocument(collectionName, docId, data) {
-  try {
-    const docRef = doc(db, collectionName, docId);
-    await setDoc(docRef, data, { merge: true });
-  } catch (error) {
-    console.error(
-      `Error writing document ${docId} to ${collectionName}:`,
-      error,
-    );
-    throw error;
-  }
+  await executeWrite(
+    `Error writing document ${docId} to ${collectionName}:`,
+    "setDocument",
+    [collectionName, docId, data],
+  );
 }
 
 /**
@@ -50,25 +130,13 @@ async function setDocument(collectionName, docId, data) {
  * @param {string} collectionName - The name of the collection
  * @param {string} docId - The document ID
  * @returns {Promise<Object|null>} - The document data with ID or null if not found
- * @throws {Error} - Throws error if read operation fails
+ * @throws {Error} - App-level error if the read fails
  */
 async function getDocument(collectionName, docId) {
-  try {
-    const docRef = doc(db, collectionName, docId);
-    const docSnap = await getDoc(docRef);
-
-    if (docSnap.exists()) {
-      return { id: docSnap.id, ...docSnap.data() };
-    }
-
-    return null;
-  } catch (error) {
-    console.error(
-      `Error getting document ${docId} from ${collectionName}:`,
-      error,
-    );
-    throw error;
-  }
+  return await execute(
+    `Error getting document ${docId} from ${collectionName}:`,
+    () => adapter.getDocument(collectionName, docId),
+  );
 }
 
 /**
@@ -76,66 +144,48 @@ async function getDocument(collectionName, docId) {
  *
  * @param {string} collectionName - The name of the collection
  * @returns {Promise<Array>} - Array of documents with IDs
- * @throws {Error} - Throws error if read operation fails
+ * @throws {Error} - App-level error if the read fails
  */
 async function getAllDocuments(collectionName) {
-  try {
-    const querySnapshot = await getDocs(collection(db, collectionName));
-    const documents = [];
-
-    querySnapshot.forEach((doc) => {
-      documents.push({ id: doc.id, ...doc.data() });
-    });
-
-    return documents;
-  } catch (error) {
-    console.error(`Error getting documents from ${collectionName}:`, error);
-    throw error;
-  }
+  return await execute(`Error getting documents from ${collectionName}:`, () =>
+    adapter.getAllDocuments(collectionName),
+  );
 }
 
 /**
  * Updates specific fields in a document.
  * Only updates the fields provided, leaves other fields unchanged.
+ * While offline the update is queued and synced once the network returns.
  *
  * @param {string} collectionName - The name of the collection
  * @param {string} docId - The document ID
  * @param {Object} data - The fields to update
  * @returns {Promise<void>}
- * @throws {Error} - Throws error if update operation fails
+ * @throws {Error} - App-level error if the update fails
  */
 async function updateDocument(collectionName, docId, data) {
-  try {
-    const docRef = doc(db, collectionName, docId);
-    await updateDoc(docRef, data);
-  } catch (error) {
-    console.error(
-      `Error updating document ${docId} in ${collectionName}:`,
-      error,
-    );
-    throw error;
-  }
+  await executeWrite(
+    `Error updating document ${docId} in ${collectionName}:`,
+    "updateDocument",
+    [collectionName, docId, data],
+  );
 }
 
 /**
  * Deletes a document from a Firestore collection.
+ * While offline the delete is queued and synced once the network returns.
  *
  * @param {string} collectionName - The name of the collection
  * @param {string} docId - The document ID
  * @returns {Promise<void>}
- * @throws {Error} - Throws error if delete operation fails
+ * @throws {Error} - App-level error if the delete fails
  */
 async function deleteDocument(collectionName, docId) {
-  try {
-    const docRef = doc(db, collectionName, docId);
-    await deleteDoc(docRef);
-  } catch (error) {
-    console.error(
-      `Error deleting document ${docId} from ${collectionName}:`,
-      error,
-    );
-    throw error;
-  }
+  await executeWrite(
+    `Error deleting document ${docId} from ${collectionName}:`,
+    "deleteDocument",
+    [collectionName, docId],
+  );
 }
 
 /**
@@ -144,16 +194,12 @@ async function deleteDocument(collectionName, docId) {
  * @param {string} collectionName - The name of the collection
  * @param {Object} data - The data to add
  * @returns {Promise<string>} - The new document ID
- * @throws {Error} - Throws error if add operation fails
+ * @throws {Error} - App-level error if the add fails
  */
 async function addDocument(collectionName, data) {
-  try {
-    const docRef = await addDoc(collection(db, collectionName), data);
-    return docRef.id;
-  } catch (error) {
-    console.error(`Error adding document to ${collectionName}:`, error);
-    throw error;
-  }
+  return await execute(`Error adding document to ${collectionName}:`, () =>
+    adapter.addDocument(collectionName, data),
+  );
 }
 
 /**
@@ -164,26 +210,70 @@ async function addDocument(collectionName, data) {
  * @param {string} operator - The comparison operator (==, !=, <, <=, >, >=)
  * @param {any} value - The value to compare
  * @returns {Promise<Array>} - Array of matching documents with IDs
- * @throws {Error} - Throws error if query fails
+ * @throws {Error} - App-level error if the query fails
  */
 async function queryDocuments(collectionName, field, operator, value) {
-  try {
-    const q = query(
-      collection(db, collectionName),
-      where(field, operator, value),
-    );
-    const querySnapshot = await getDocs(q);
-    const documents = [];
-
-    querySnapshot.forEach((doc) => {
-      documents.push({ id: doc.id, ...doc.data() });
-    });
-
-    return documents;
-  } catch (error) {
-    console.error(`Error querying ${collectionName}:`, error);
-    throw error;
-  }
+  return await runQuery(collectionName, {
+    filters: [{ field, operator, value }],
+  });
+}
+
+/**
+ * @typedef {Object} QueryFilter
+ * @property {string} field - The field to filter on
+ * @property {string} operator - Firestore operator (==, !=, <, <=, >, >=, in, not-in,
+ *                               array-contains, array-contains-any)
+ * @property {any} value - The value to compare
+ */
+
+/**
+ * @typedef {Object} QueryOrder
+ * @property {string} field - The field to order by
+ * @property {string} [direction="asc"] - Sort direction ("asc" or "desc")
+ */
+
+/**
+ * @typedef {Object} QueryOptions
+ * @property {Array<QueryFilter>} [filters] - Filters combined with AND
+ * @property {Array<QueryOrder>} [orderBy] - Sort order, applied in the given sequence
+ * @property {number} [limit] - Maximum number of documents to return
+ * @property {Array} [startAfter] - Cursor values (one per orderBy field) to start after
+ * @property {Array} [endBefore] - Cursor values (one per orderBy field) to end before
+ */
+
+/**
+ * Runs a query composed of several filters, ordering, limit and cursors.
+ * When only endBefore is given, the limit applies to the last documents
+ * so that the previous page is returned.
+ *
+ * @param {string} collectionName - The name of the collection
+ * @param {QueryOptions} [options] - Query options
+ * @returns {Promise<Array>} - Array of matching documents with IDs
+ * @throws {Error} - App-level error if the query fails
+ * @example
+ * const page = await runQuery("tasks", {
+ *   filters: [{ field: "userId", operator: "==", value: uid }],
+ *   orderBy: [{ field: "dueDate" }],
+ *   limit: 10,
+ * });
+ */
+async function runQuery(collectionName, options = {}) {
+  return await execute(`Error querying ${collectionName}:`, () =>
+    adapter.runQuery(collectionName, options),
+  );
+}
+
+/**
+ * Extracts the cursor values of a document for the given sort order.
+ * Pass the result as startAfter (next page) or endBefore (previous page).
+ *
+ * @param {Object} document - Document returned by runQuery
+ * @param {Array<QueryOrder>} [order] - Sort order used by the query
+ * @returns {Array|null} - Cursor values or null if no document is given
+ */
+function getCursorValues(document, order = []) {
+  if (!document) return null;
+  return order.map(({ field }) => document[field]);
 }
 
 /**
@@ -195,16 +285,170 @@ async function queryDocuments(collectionName, field, operator, value) {
  */
 async function documentExists(collectionName, docId) {
   try {
-    const docRef = doc(db, collectionName, docId);
-    const docSnap = await getDoc(docRef);
-    return docSnap.exists();
+    return (await adapter.getDocument(collectionName, docId)) !== null;
   } catch (error) {
     console.error(`Error checking if document ${docId} exists:`, error);
     return false;
   }
 }
 
+/**
+ * @typedef {Object} WriteOperation
+ * @property {string} type - "set" (merge), "replace" (overwrite), "update" or "delete"
+ * @property {string} collectionName - The name of the collection
+ * @property {string} docId - The document ID
+ * @property {Object} [data] - The data for set/update operations
+ * @property {string[]} [deleteFields] - Fields to remove in set/update operations
+ */
+
+/**
+ * Applies several write operations atomically.
+ * Either all operations succeed or none is applied.
+ * While offline the whole batch is queued and replayed as one batch,
+ * unless queueing is turned off: then the batch fails with an Offline error.
+ *
+ * @param {Array<WriteOperation>} operations - Write operations to apply
+ * @param {Object} [options] - Batch options
+ * @param {boolean} [options.queue=true] - Queue the batch while offline
+ * @returns {Promise<void>}
+ * @throws {Error} - App-level error if the batch is too large or the commit fails
+ */
+async function runBatch(operations, { queue = true } = {}) {
+  if (queue) {
+    await executeWrite("Error committing batch:", "runBatch", [operations]);
+    return;
+  }
+  await execute("Error committing batch:", () => adapter.runBatch(operations));
+}
+
+/**
+ * Runs a read-modify-write sequence as a transaction.
+ * The update function receives a helper with get/set/update/delete methods
+ * that take collection names and document IDs. All reads must happen before
+ * the first write. Firestore retries the function when a read document was
+ * changed concurrently, so it must not have side effects outside the helper.
+ *
+ * @param {Function} updateFunction - Async function receiving the transaction helper
+ * @returns {Promise<any>} - The value returned by the update function
+ * @throws {Error} - App-level error if the transaction fails
+ * @example
+ * await runInTransaction(async (tx) => {
+ *   const task = await tx.get("tasks", taskId);
+ *   tx.update("tasks", taskId, { title: task.title.trim() });
+ * });
+ */
+async function runInTransaction(updateFunction) {
+  return await execute("Error running transaction:", () =>
+    adapter.runInTransaction(updateFunction),
+  );
+}
+
+/**
+ * Runs a transaction registered with registerTransaction.
+ * Unlike runInTransaction, it is queued while offline and runs with fresh
+ * reads once the network returns.
+ *
+ * @param {string} name - Registered transaction name
+ * @param {Object} payload - Serializable input for the transaction
+ * @returns {Promise<any>} - Result of the transaction, or undefined if it was queued
+ * @throws {Error} - App-level error if the transaction fails
+ * @example
+ * registerTransaction("renameTask", async (tx, { taskId, title }) => {
+ *   if (await tx.get("tasks", taskId)) tx.update("tasks", taskId, { title });
+ * });
+ * await runRegisteredTransaction("renameTask", { taskId, title: "New" });
+ */
+async function runRegisteredTransaction(name, payload) {
+  return await executeWrite(
+    `Error running transaction ${name}:`,
+    "runTransaction",
+    [name, payload],
+  );
+}
+
+/**
+ * Creates the error handler passed to subscription listeners.
+ * Logs the error and forwards it as an app-level error to the optional caller callback.
+ *
+ * @param {string} label - Description of the subscription for logging
+ * @param {Function} [onError] - Optional callback that receives the error
+ * @returns {Function} - Error handler for the listener
+ */
+function createSnapshotErrorHandler(label, onError) {
+  return (error) => {
+    console.error(`Error listening to ${label}:`, error);
+    if (onError) onError(toAppError(error));
+  };
+}
+
+/**
+ * Subscribes to real-time updates of a single document.
+ * The callback fires immediately with the current state and on every change.
+ *
+ * @param {string} collectionName - The name of the collection
+ * @param {string} docId - The document ID
+ * @param {Function} onChange - Receives the document data with ID or null if it does not exist
+ * @param {Function} [onError] - Optional callback that receives listener errors
+ * @returns {Function} - Unsubscribe function to stop listening
+ */
+function subscribeToDocument(collectionName, docId, onChange, onError) {
+  return adapter.subscribeToDocument(
+    collectionName,
+    docId,
+    onChange,
+    createSnapshotErrorHandler(
+      `document ${docId} in ${collectionName}`,
+      onError,
+    ),
+  );
+}
+
+/**
+ * Subscribes to real-time updates of all documents in a collection.
+ *
+ * @param {string} collectionName - The name of the collection
+ * @param {Function} onChange - Receives the array of documents with IDs
+ * @param {Function} [onError] - Optional callback that receives listener errors
+ * @returns {Function} - Unsubscribe function to stop listening
+ */
+function subscribeToCollection(collectionName, onChange, onError) {
+  return adapter.subscribeToCollection(
+    collectionName,
+    onChange,
+    createSnapshotErrorHandler(`collection ${collectionName}`, onError),
+  );
+}
+
+/**
+ * Subscribes to real-time updates of documents matching a single field filter.
+ *
+ * @param {string} collectionName - The name of the collection
+ * @param {string} field - The field to filter on
+ * @param {string} operator - The comparison operator (==, !=, <, <=, >, >=)
+ * @param {any} value - The value to compare
+ * @param {Function} onChange - Receives the array of matching documents with IDs
+ * @param {Function} [onError] - Optional callback that receives listener errors
+ * @returns {Function} - Unsubscribe function to stop listening
+ */
+function subscribeToQuery(
+  collectionName,
+  field,
+  operator,
+  value,
+  onChange,
+  onError,
+) {
+  return adapter.subscribeToQuery(
+    collectionName,
+    { filters: [{ field, operator, value }] },
+    onChange,
+    createSnapshotErrorHandler(`query on ${collectionName}`, onError),
+  );
+}
+
 export {
+  setStorageAdapter,
+  getStorageBackendName,
   setDocument,
   getDocument,
   getAllDocuments,
@@ -212,5 +456,14 @@ export {
   deleteDocument,
   addDocument,
   queryDocuments,
+  runQuery,
+  getCursorValues,
   documentExists,
+  runBatch,
+  runInTransaction,
+  registerTransaction,
+  runRegisteredTransaction,
+  subscribeToDocument,
+  subscribeToCollection,
+  subscribeToQuery,
 };
@@ -0,0 +1,63 @@
+/**
+ * @fileoverview Guest Expiry Policy
+ * @description Decides when a guest account is stale. Guests expire
+ *              APP_CONFIG.GUEST_RETENTION_DAYS after the createdAt timestamp set by
+ *              createGuest. Pure functions without browser globals, shared by the
+ *              client and scripts/cleanup-guests.js.
+ * @module services/guest.policy
+ */
+
+import { APP_CONFIG } from "../config/app.config.js";
+
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Calculates the date on which a guest expires.
+ * Guests without a valid createdAt are treated as expired.
+ *
+ * @param {Object} guest - Guest document
+ * @param {number} [retentionDays] - Days to keep guests (default from APP_CONFIG)
+ * @returns {Date|null} - Expiry date, or null if createdAt is missing or invalid
+ */
+function getGuestExpiryDate(
+  guest,
+  retentionDays = APP_CONFIG.GUEST_RETENTION_DAYS,
+) {
+  const createdAt = Date.parse(guest?.createdAt);
+  if (Number.isNaN(createdAt)) return null;
+  return new Date(createdAt + retentionDays * DAY_IN_MS);
+}
+
+/**
+ * Checks whether a guest has exceeded the retention period.
+ *
+ * @param {Object} guest - Guest document
+ * @param {number} [now] - Reference time in ms (default: current time)
+ * @param {number} [retentionDays] - Days to keep guests (default from APP_CONFIG)
+ * @returns {boolean} - True if the guest and their data should be removed
+ */
+function isGuestExpired(
+  guest,
+  now = Date.now(),
+  retentionDays = APP_CONFIG.GUEST_RETENTION_DAYS,
+) {
+  const expiryDate = getGuestExpiryDate(guest, retentionDays);
+  return !expiryDate || expiryDate.getTime() <= now;
+}
+
+/**
+ * Returns the createdAt cutoff for querying expired guests.
+ * Guests created before this ISO timestamp are expired.
+ *
+ * @param {number} [now] - Reference time in ms (default: current time)
+ * @param {number} [retentionDays] - Days to keep guests (default from APP_CONFIG)
+ * @returns {string} - ISO timestamp
+ */
+function getGuestCutoff(
+  now = Date.now(),
+  retentionDays = APP_CONFIG.GUEST_RETENTION_DAYS,
+) {
+  return new Date(now - retentionDays * DAY_IN_MS).toISOString();
+}
+
+export { getGuestExpiryDate, isGuestExpired, getGuestCutoff };
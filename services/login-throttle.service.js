@@ -0,0 +1,127 @@
+/**
+ * @fileoverview Login Throttle Service
+ * @description Slows down repeated failed logins per email address on the client.
+ *              After APP_CONFIG.LOGIN_THROTTLE_FREE_ATTEMPTS failures every further
+ *              failure locks the login for a doubling delay, up to
+ *              APP_CONFIG.LOGIN_THROTTLE_MAX_DELAY_SECONDS. The state is kept in
+ *              localStorage, so reloading the page does not reset it.
+ *              This is user feedback, not a security boundary - Firebase Auth
+ *              enforces its own limits on the server.
+ * @module services/login-throttle.service
+ */
+
+import { APP_CONFIG } from "../config/app.config.js";
+
+const THROTTLE_KEY = "joinLoginThrottle";
+
+/**
+ * Auth error codes caused by wrong credentials. Other failures
+ * (e.g. network errors) are not counted.
+ * @type {string[]}
+ */
+const COUNTED_ERROR_CODES = [
+  "auth/invalid-credential",
+  "auth/invalid-login-credentials",
+  "auth/wrong-password",
+  "auth/user-not-found",
+  "auth/too-many-requests",
+];
+
+/**
+ * Calculates the lockout after a number of consecutive failures.
+ *
+ * @param {number} failures - Consecutive failed logins
+ * @returns {number} - Lockout in seconds, 0 while attempts are free
+ */
+function getThrottleDelaySeconds(failures) {
+  const throttled = failures - APP_CONFIG.LOGIN_THROTTLE_FREE_ATTEMPTS;
+  if (throttled < 0) return 0;
+
+  const delay = APP_CONFIG.LOGIN_THROTTLE_BASE_DELAY_SECONDS * 2 ** throttled;
+  return Math.min(delay, APP_CONFIG.LOGIN_THROTTLE_MAX_DELAY_SECONDS);
+}
+
+/**
+ * Gets the seconds until the next login with this email is allowed.
+ *
+ * @param {string} email - Email address
+ * @param {number} [now] - Current timestamp in ms
+ * @returns {number} - Remaining whole seconds, 0 if a login is allowed
+ */
+function getLockoutSeconds(email, now = Date.now()) {
+  const entry = readThrottleState()[normalizeEmail(email)];
+  if (!entry?.lockedUntil) return 0;
+  return Math.max(0, Math.ceil((entry.lockedUntil - now) / 1000));
+}
+
+/**
+ * Records a failed login. Errors that are not caused by wrong
+ * credentials are ignored.
+ *
+ * @param {string} email - Email address
+ * @param {Error} error - Auth error of the failed login
+ * @param {number} [now] - Current timestamp in ms
+ * @returns {number} - Lockout in seconds that starts now
+ */
+function recordLoginFailure(email, error, now = Date.now()) {
+  if (!COUNTED_ERROR_CODES.includes(error?.code)) return 0;
+
+  const state = readThrottleState();
+  const key = normalizeEmail(email);
+  const failures = (state[key]?.failures || 0) + 1;
+  const delaySeconds = getThrottleDelaySeconds(failures);
+
+  state[key] = { failures, lockedUntil: now + delaySeconds * 1000 };
+  writeThrottleState(state);
+  return delaySeconds;
+}
+
+/**
+ * Clears the failures of an email, after a successful login or password reset.
+ *
+ * @param {string} email - Email address
+ */
+function resetLoginThrottle(email) {
+  const state = readThrottleState();
+  delete state[normalizeEmail(email)];
+  writeThrottleState(state);
+}
+
+/**
+ * Normalizes an email address for use as key.
+ *
+ * @param {string} email - Email address
+ * @returns {string} - Trimmed, lowercase email
+ */
+function normalizeEmail(email) {
+  return (email || "").trim().toLowerCase();
+}
+
+/**
+ * Reads the stored throttle state.
+ *
+ * @returns {Object<string, {failures: number, lockedUntil: number}>} - State by email
+ */
+function readThrottleState() {
+  try {
+    return JSON.parse(localStorage.getItem(THROTTLE_KEY)) || {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Stores the throttle state.
+ *
+ * @param {Object} state - State by email
+ */
+function writeThrottleState(state) {
+  localStorage.setItem(THROTTLE_KEY, JSON.stringify(state));
+}
+
+export {
+  getThrottleDelaySeconds,
+  getLockoutSeconds,
+  recordLoginFailure,
+  resetLoginThrottle,
+};
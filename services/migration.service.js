@@ -0,0 +1,183 @@
+/**
+ * @fileoverview Data Migration Runner
+ * @description Runs ordered, idempotent schema migrations per user. The schema version
+ *              reached is stored on the user's profile document (users or guests), so each
+ *              step runs once per account. Add new steps to the end of MIGRATIONS.
+ * @module services/migration.service
+ */
+
+import { getDocument, setDocument } from "./firestore.service.js";
+import { migrateLegacyTasks } from "./task.model.js";
+import { migrateTaskPositions } from "./task-order.service.js";
+import { migrateActivityOwners } from "./activity.service.js";
+
+/**
+ * @typedef {Object} MigrationStep
+ * @property {number} version - Schema version reached after this step (ascending, no gaps)
+ * @property {string} description - Human-readable summary for logs and reports
+ * @property {Function} run - Async function (userId) => number of changed documents.
+ *                            Must be idempotent: a step may run again after a failure.
+ */
+
+/**
+ * @typedef {Object} MigrationReport
+ * @property {number} fromVersion - Schema version before the run
+ * @property {number} toVersion - Schema version after the run
+ * @property {Array<{version: number, changed: number}>} applied - Steps that completed
+ * @property {{version: number, message: string}|null} failure - Step that failed, if any
+ */
+
+/**
+ * Ordered list of migration steps.
+ * @type {MigrationStep[]}
+ */
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: "Rewrite legacy task documents in canonical form",
+    run: migrateLegacyTasks,
+  },
+  {
+    version: 2,
+    description: "Add the deletedAt marker (null) to all tasks",
+    run: migrateLegacyTasks,
+  },
+  {
+    version: 3,
+    description: "Give every task a position key within its board column",
+    run: migrateTaskPositions,
+  },
+  {
+    version: 4,
+    description: "Add the owner (userId) to activity log entries",
+    run: migrateActivityOwners,
+  },
+];
+
+/**
+ * Schema version of documents written by the current code.
+ * @type {number}
+ */
+const CURRENT_SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Migration runs started in this page, by user ID.
+ * @type {Map<string, Promise<MigrationReport>>}
+ */
+const migrationRuns = new Map();
+
+/**
+ * Brings a user's data up to the current schema version.
+ * Steps run in order; the first failing step stops the run so later steps
+ * never see half-migrated data. The version is saved after every step,
+ * which lets an interrupted run continue where it stopped.
+ *
+ * @param {string} userId - User ID (users or guests document ID)
+ * @param {Function} [onProgress] - Receives { version, description, index, total } before each step
+ * @returns {Promise<MigrationReport>} - Summary of the run
+ */
+async function runUserMigrations(userId, onProgress) {
+  const profile = await findProfile(userId);
+  const fromVersion = profile?.data.schemaVersion || 0;
+  const pending = MIGRATIONS.filter((step) => step.version > fromVersion);
+  const report = createReport(fromVersion);
+  if (!profile) return report;
+
+  for (const [index, step] of pending.entries()) {
+    onProgress?.({ ...step, index, total: pending.length });
+    const completed = await runStep(
+      step,
+      userId,
+      profile.collectionName,
+      report,
+    );
+    if (!completed) break;
+  }
+  return report;
+}
+
+/**
+ * Runs pending migrations once per page and user. Later calls share the
+ * first run, so queries that rely on migrated fields can await it cheaply.
+ * A failed run is forgotten, so the next call tries again.
+ *
+ * @param {string} userId - User ID (users or guests document ID)
+ * @param {Function} [onProgress] - Receives progress info before each step
+ * @returns {Promise<MigrationReport>} - Summary of the run
+ */
+function ensureUserMigrations(userId, onProgress) {
+  if (!migrationRuns.has(userId)) {
+    const run = runUserMigrations(userId, onProgress).then(
+      (report) => {
+        if (report.failure) migrationRuns.delete(userId);
+        return report;
+      },
+      (error) => {
+        migrationRuns.delete(userId);
+        throw error;
+      },
+    );
+    migrationRuns.set(userId, run);
+  }
+  return migrationRuns.get(userId);
+}
+
+/**
+ * Runs a single migration step and records the outcome.
+ *
+ * @param {MigrationStep} step - Step to run
+ * @param {string} userId - User ID
+ * @param {string} collectionName - Profile collection ("users" or "guests")
+ * @param {MigrationReport} report - Report to update
+ * @returns {Promise<boolean>} - True if the step completed
+ */
+async function runStep(step, userId, collectionName, report) {
+  try {
+    const changed = await step.run(userId);
+    await setDocument(collectionName, userId, { schemaVersion: step.version });
+    report.applied.push({ version: step.version, changed });
+    report.toVersion = step.version;
+    console.log(`[Migration] v${step.version} ${step.description}: ${changed}`);
+    return true;
+  } catch (error) {
+    report.failure = { version: step.version, message: error.message };
+    console.error(`[Migration] v${step.version} failed:`, error);
+    return false;
+  }
+}
+
+/**
+ * Finds the profile document of a user in users or guests.
+ *
+ * @param {string} userId - User ID
+ * @returns {Promise<{collectionName: string, data: Object}|null>} - Profile or null
+ */
+async function findProfile(userId) {
+  for (const collectionName of ["users", "guests"]) {
+    const data = await getDocument(collectionName, userId);
+    if (data) return { collectionName, data };
+  }
+  return null;
+}
+
+/**
+ * Creates an empty migration report.
+ *
+ * @param {number} fromVersion - Schema version before the run
+ * @returns {MigrationReport} - Report without applied steps
+ */
+function createReport(fromVersion) {
+  return {
+    fromVersion,
+    toVersion: fromVersion,
+    applied: [],
+    failure: null,
+  };
+}
+
+export {
+  MIGRATIONS,
+  CURRENT_SCHEMA_VERSION,
+  runUserMigrations,
+  ensureUserMigrations,
+};
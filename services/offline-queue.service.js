@@ -0,0 +1,342 @@
+/**
+ * @fileoverview Offline Write Queue
+ * @description Keeps Firestore writes that failed because the network was unavailable
+ *              in IndexedDB and replays them in order once connectivity returns.
+ *              Each queued write belongs to the user who made it and is only replayed
+ *              while that user is signed in. Replays are triggered by the service
+ *              worker's Background Sync event, by the browser's "online" event, on
+ *              page load and when a user signs in.
+ * @module services/offline-queue.service
+ */
+
+import { getCurrentAuthUser, onAuthChange } from "./auth.service.js";
+import { withRetry } from "./error.service.js";
+
+const QUEUE_DB_NAME = "join-mpa-offline-queue";
+const STORE_NAME = "mutations";
+const SYNC_TAG = "join-offline-queue";
+const CHANNEL_NAME = "join-offline-queue";
+
+/**
+ * Adapter methods whose calls can be stored and replayed later.
+ * Reads and addDocument (needs the new ID) are not queued. Transactions are
+ * only queued as "runTransaction": a registered transaction stored by name
+ * and payload, which runs with fresh server reads on replay.
+ * @type {string[]}
+ */
+const QUEUEABLE_METHODS = [
+  "setDocument",
+  "updateDocument",
+  "deleteDocument",
+  "runBatch",
+  "runTransaction",
+];
+
+const transactions = new Map();
+const countListeners = new Set();
+const channel =
+  typeof BroadcastChannel !== "undefined"
+    ? new BroadcastChannel(CHANNEL_NAME)
+    : null;
+let dbPromise = null;
+
+if (channel) channel.onmessage = () => notifyCountListeners();
+
+/**
+ * Registers a transaction that can be queued by name.
+ * The update function receives the transaction helper and a serializable
+ * payload; it must compute all writes from what it reads in the transaction.
+ *
+ * @param {string} name - Unique transaction name
+ * @param {Function} updateFunction - Async (tx, payload) => result
+ */
+function registerTransaction(name, updateFunction) {
+  transactions.set(name, updateFunction);
+}
+
+/**
+ * Runs a write on the storage adapter, or queues it when the network is down.
+ * Transient errors are retried with backoff first; the write is only queued
+ * once the retries are used up. Only writes of a signed-in user on the
+ * Firestore backend are queued; local backends never go offline.
+ *
+ * @param {Object} adapter - Active storage adapter
+ * @param {string} method - Adapter method name (see QUEUEABLE_METHODS)
+ * @param {Array} args - Arguments for the adapter method
+ * @returns {Promise<any>} - Result of the write, or undefined if it was queued
+ * @throws {Error} - Rethrows errors that are not caused by the network
+ */
+async function runOrQueue(adapter, method, args) {
+  const uid = getCurrentAuthUser()?.uid;
+  const canQueue =
+    adapter.name === "firestore" &&
+    QUEUEABLE_METHODS.includes(method) &&
+    Boolean(uid);
+  if (canQueue && isOffline()) return await enqueueMutation(uid, method, args);
+
+  try {
+    return await withRetry(() => callAdapter(adapter, method, args));
+  } catch (error) {
+    if (!canQueue || !isNetworkError(error)) throw error;
+    await enqueueMutation(uid, method, args);
+  }
+}
+
+/**
+ * Calls an adapter method. "runTransaction" runs a registered transaction
+ * given as [name, payload].
+ *
+ * @param {Object} adapter - Active storage adapter
+ * @param {string} method - Adapter method name or "runTransaction"
+ * @param {Array} args - Arguments for the method
+ * @returns {Promise<any>} - Result of the call
+ * @throws {Error} - If a transaction name is not registered
+ */
+async function callAdapter(adapter, method, args) {
+  if (method !== "runTransaction") return await adapter[method](...args);
+
+  const [name, payload] = args;
+  const updateFunction = transactions.get(name);
+  if (!updateFunction) throw new Error(`Unknown transaction: ${name}`);
+  return await adapter.runInTransaction((tx) => updateFunction(tx, payload));
+}
+
+/**
+ * Stores a write in the queue and asks the service worker for a sync.
+ *
+ * @param {string} uid - UID of the user who made the write
+ * @param {string} method - Adapter method name
+ * @param {Array} args - Arguments for the adapter method
+ * @returns {Promise<void>}
+ */
+async function enqueueMutation(uid, method, args) {
+  const record = { uid, method, args, queuedAt: new Date().toISOString() };
+  await runInStore("readwrite", (store) => store.add(record));
+  console.warn(`[Offline Queue] Queued ${method} until back online`);
+
+  broadcastCountChange();
+  requestBackgroundSync();
+}
+
+/**
+ * Counts the current user's writes waiting to be synced.
+ *
+ * @returns {Promise<number>} - Number of queued writes
+ */
+async function getPendingCount() {
+  if (typeof indexedDB === "undefined") return 0;
+  return (await getOwnRecords()).length;
+}
+
+/**
+ * Reads the queued writes of the signed-in user in the order they were made.
+ * Writes of other users stay in the queue until they sign in again.
+ *
+ * @returns {Promise<Array<Object>>} - Queue records
+ */
+async function getOwnRecords() {
+  const uid = getCurrentAuthUser()?.uid;
+  if (!uid) return [];
+
+  const records = await runInStore("readonly", (store) => store.getAll());
+  return records.filter((record) => record.uid === uid);
+}
+
+/**
+ * Replays the signed-in user's queued writes in the order they were made.
+ * Stops at the first network error and keeps the rest for the next attempt.
+ * Writes rejected for other reasons (e.g. document deleted meanwhile) can never
+ * succeed, so they are dropped and counted as failed.
+ * Uses a Web Lock (where supported) so only one tab replays at a time.
+ *
+ * @param {Object} adapter - Active storage adapter
+ * @returns {Promise<{replayed: number, failed: number}>} - Replay summary
+ */
+async function replayQueue(adapter) {
+  if (adapter.name !== "firestore" || isOffline()) {
+    return { replayed: 0, failed: 0 };
+  }
+  const replay = () => replayMutations(adapter);
+  return navigator.locks
+    ? await navigator.locks.request(SYNC_TAG, replay)
+    : await replay();
+}
+
+/**
+ * Replays queued records one by one and removes the applied ones.
+ *
+ * @param {Object} adapter - Active storage adapter
+ * @returns {Promise<{replayed: number, failed: number}>} - Replay summary
+ */
+async function replayMutations(adapter) {
+  const summary = { replayed: 0, failed: 0 };
+  const records = await getOwnRecords();
+
+  for (const record of records) {
+    const outcome = await applyMutation(adapter, record);
+    if (outcome === "offline") break;
+    summary[outcome] += 1;
+    await runInStore("readwrite", (store) => store.delete(record.id));
+  }
+
+  if (records.length > 0) broadcastCountChange();
+  return summary;
+}
+
+/**
+ * Applies a single queued write.
+ *
+ * @param {Object} adapter - Active storage adapter
+ * @param {Object} record - Queue record ({ id, method, args })
+ * @returns {Promise<string>} - "replayed", "failed" or "offline"
+ */
+async function applyMutation(adapter, record) {
+  try {
+    await callAdapter(adapter, record.method, record.args);
+    return "replayed";
+  } catch (error) {
+    if (isNetworkError(error)) return "offline";
+    console.error(`[Offline Queue] Dropped ${record.method}:`, error);
+    return "failed";
+  }
+}
+
+/**
+ * Registers the replay triggers: page load, sign-in, "online" event and
+ * REPLAY_OFFLINE_QUEUE messages posted by the service worker's sync handler.
+ *
+ * @param {Function} getAdapter - Returns the active storage adapter
+ */
+function setupReplayTriggers(getAdapter) {
+  if (typeof window === "undefined") return;
+
+  const replay = () =>
+    replayQueue(getAdapter()).catch((error) =>
+      console.error("[Offline Queue] Replay failed:", error),
+    );
+
+  window.addEventListener("online", replay);
+  navigator.serviceWorker?.addEventListener("message", (event) => {
+    if (event.data?.type === "REPLAY_OFFLINE_QUEUE") replay();
+  });
+  onAuthChange((user) => {
+    if (user) replay();
+    notifyCountListeners();
+  });
+}
+
+/**
+ * Subscribes to changes of the pending write count (in this and other tabs).
+ * The listener is called immediately with the current count.
+ *
+ * @param {Function} listener - Receives the number of queued writes
+ * @returns {Function} - Unsubscribe function
+ */
+function onPendingCountChange(listener) {
+  countListeners.add(listener);
+  getPendingCount().then(listener);
+  return () => countListeners.delete(listener);
+}
+
+/**
+ * Notifies listeners in this tab and other tabs that the count changed.
+ */
+function broadcastCountChange() {
+  notifyCountListeners();
+  if (channel) channel.postMessage("changed");
+}
+
+/**
+ * Reads the current count and passes it to all listeners.
+ */
+async function notifyCountListeners() {
+  if (countListeners.size === 0) return;
+  const count = await getPendingCount();
+  countListeners.forEach((listener) => listener(count));
+}
+
+/**
+ * Asks the service worker to fire a "sync" event once the device is online.
+ * Browsers without Background Sync rely on the "online" event instead.
+ */
+async function requestBackgroundSync() {
+  try {
+    const registration = await navigator.serviceWorker?.ready;
+    await registration?.sync?.register(SYNC_TAG);
+  } catch (error) {
+    console.warn("[Offline Queue] Background Sync unavailable:", error);
+  }
+}
+
+/**
+ * Checks whether the browser reports being offline.
+ *
+ * @returns {boolean} - True if offline
+ */
+function isOffline() {
+  return typeof navigator !== "undefined" && navigator.onLine === false;
+}
+
+/**
+ * Checks whether an error was caused by missing connectivity.
+ *
+ * @param {Error} error - Error thrown by the adapter
+ * @returns {boolean} - True for network errors
+ */
+function isNetworkError(error) {
+  return isOffline() || error?.code === "unavailable";
+}
+
+/**
+ * Runs a request against the mutations store and resolves with its result.
+ *
+ * @param {string} mode - Transaction mode ("readonly" or "readwrite")
+ * @param {Function} createRequest - Receives the object store, returns an IDBRequest
+ * @returns {Promise<any>} - Request result
+ */
+async function runInStore(mode, createRequest) {
+  const db = await openQueueDatabase();
+  const store = db.transaction(STORE_NAME, mode).objectStore(STORE_NAME);
+  return await promisifyRequest(createRequest(store));
+}
+
+/**
+ * Opens (and if needed creates) the queue database once per page.
+ *
+ * @returns {Promise<IDBDatabase>} - Database instance
+ */
+function openQueueDatabase() {
+  if (dbPromise) return dbPromise;
+
+  const request = indexedDB.open(QUEUE_DB_NAME, 1);
+  request.onupgradeneeded = () => {
+    request.result.createObjectStore(STORE_NAME, {
+      keyPath: "id",
+      autoIncrement: true,
+    });
+  };
+  dbPromise = promisifyRequest(request);
+  return dbPromise;
+}
+
+/**
+ * Wraps an IDBRequest in a Promise.
+ *
+ * @param {IDBRequest} request - IndexedDB request
+ * @returns {Promise<any>} - Request result
+ */
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+export {
+  registerTransaction,
+  runOrQueue,
+  getPendingCount,
+  replayQueue,
+  setupReplayTriggers,
+  onPendingCountChange,
+};
@@ -0,0 +1,178 @@
+/**
+ * @fileoverview Password Policy
+ * @description Checks new passwords against APP_CONFIG.PASSWORD_POLICY: minimum length,
+ *              character classes, a local list of common passwords and parts of the
+ *              user's name or email. Also rates the strength for the register page's
+ *              meter. Pure functions without browser globals. Existing passwords are
+ *              not re-checked at login.
+ * @module services/password.policy
+ */
+
+import { APP_CONFIG } from "../config/app.config.js";
+import { COMMON_PASSWORDS } from "./common-passwords.js";
+
+/**
+ * Labels of the strength scores 0-4.
+ * @type {string[]}
+ */
+const STRENGTH_LABELS = ["Very weak", "Weak", "Fair", "Good", "Strong"];
+
+/**
+ * Minimum length of a name or email part that must not appear in the password.
+ * @type {number}
+ */
+const MIN_PERSONAL_PART_LENGTH = 3;
+
+/**
+ * @typedef {Object} PasswordContext
+ * @property {string} [name] - User's full name
+ * @property {string} [email] - User's email address
+ */
+
+/**
+ * @typedef {Object} PasswordRule
+ * @property {string} id - Rule ID
+ * @property {string} message - Requirement shown to the user
+ * @property {boolean} passed - Whether the password meets it
+ */
+
+/**
+ * Checks a password against every enabled rule of the policy.
+ *
+ * @param {string} password - New password
+ * @param {PasswordContext} [context] - Personal data the password must not contain
+ * @param {Object} [policy] - Policy (default from APP_CONFIG)
+ * @returns {PasswordRule[]} - One entry per enabled rule
+ */
+function checkPasswordRules(
+  password = "",
+  context = {},
+  policy = APP_CONFIG.PASSWORD_POLICY,
+) {
+  const rules = [
+    {
+      id: "minLength",
+      enabled: true,
+      message: `At least ${policy.minLength} characters`,
+      passed: password.length >= policy.minLength,
+    },
+    ...getCharacterRules(password, policy),
+    {
+      id: "common",
+      enabled: policy.forbidCommon,
+      message: "Not a commonly used password",
+      passed: !isCommonPassword(password),
+    },
+    {
+      id: "personal",
+      enabled: policy.forbidPersonalInfo,
+      message: "Does not contain your name or email",
+      passed: !containsPersonalInfo(password, context),
+    },
+  ];
+  return rules
+    .filter((rule) => rule.enabled)
+    .map(({ id, message, passed }) => ({ id, message, passed }));
+}
+
+/**
+ * Builds the character class rules.
+ *
+ * @param {string} password - New password
+ * @param {Object} policy - Password policy
+ * @returns {Array<Object>} - Rules with enabled flag
+ */
+function getCharacterRules(password, policy) {
+  return [
+    {
+      id: "lowercase",
+      enabled: policy.requireLowercase,
+      message: "A lowercase letter",
+      passed: /[a-zäöüß]/.test(password),
+    },
+    {
+      id: "uppercase",
+      enabled: policy.requireUppercase,
+      message: "An uppercase letter",
+      passed: /[A-ZÄÖÜ]/.test(password),
+    },
+    {
+      id: "digit",
+      enabled: policy.requireDigit,
+      message: "A number",
+      passed: /\d/.test(password),
+    },
+    {
+      id: "symbol",
+      enabled: policy.requireSymbol,
+      message: "A symbol (e.g. ! ? # %)",
+      passed: /[^A-Za-z0-9äöüßÄÖÜ\s]/.test(password),
+    },
+  ];
+}
+
+/**
+ * Checks whether a password is on the common password list.
+ * Trailing digits and symbols are ignored ("Summer2024!" counts as "summer").
+ *
+ * @param {string} password - Password
+ * @returns {boolean} - True if common
+ */
+function isCommonPassword(password) {
+  const lower = password.toLowerCase();
+  const stem = lower.replace(/[^a-zäöüß]+$/, "");
+  return COMMON_PASSWORDS.has(lower) || COMMON_PASSWORDS.has(stem);
+}
+
+/**
+ * Checks whether a password contains a part of the user's name or email.
+ *
+ * @param {string} password - Password
+ * @param {PasswordContext} context - Name and email
+ * @returns {boolean} - True if a part was found
+ */
+function containsPersonalInfo(password, { name = "", email = "" }) {
+  const lower = password.toLowerCase();
+  const localPart = email.split("@")[0];
+  return [...name.split(/\s+/), ...localPart.split(/[._+-]/)]
+    .map((part) => part.toLowerCase())
+    .filter((part) => part.length >= MIN_PERSONAL_PART_LENGTH)
+    .some((part) => lower.includes(part));
+}
+
+/**
+ * Rates a password from 0 (very weak) to 4 (strong).
+ * Passwords that break the common or personal rule are always very weak.
+ *
+ * @param {string} password - Password
+ * @param {PasswordContext} [context] - Name and email
+ * @param {Object} [policy] - Policy (default from APP_CONFIG)
+ * @returns {{score: number, label: string}} - Score and label
+ */
+function getPasswordStrength(
+  password = "",
+  context = {},
+  policy = APP_CONFIG.PASSWORD_POLICY,
+) {
+  const classes = [/[a-z]/, /[A-Z]/, /\d/, /[^A-Za-z0-9]/].filter((regex) =>
+    regex.test(password),
+  ).length;
+  const isGuessable =
+    isCommonPassword(password) || containsPersonalInfo(password, context);
+
+  let score = 0;
+  if (password.length >= policy.minLength) score += 1;
+  if (password.length >= policy.minLength + 4) score += 1;
+  if (classes >= 3) score += 1;
+  if (classes === 4 || password.length >= 16) score += 1;
+  if (isGuessable || !password) score = 0;
+
+  return { score, label: STRENGTH_LABELS[score] };
+}
+
+export {
+  checkPasswordRules,
+  isCommonPassword,
+  containsPersonalInfo,
+  getPasswordStrength,
+};
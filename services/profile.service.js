@@ -0,0 +1,105 @@
+/**
+ * @fileoverview Profile Service
+ * @description Changes of the signed-in user's own profile: name and badge color,
+ *              email address and password. Email and password changes re-authenticate
+ *              with the current password first. A new email address reaches the profile
+ *              only after it was confirmed (syncProfileEmail). Profile documents are
+ *              written through data.service and window.currentUserData is kept up to date.
+ * @module services/profile.service
+ */
+
+import {
+  getCurrentAuthUser,
+  reauthenticateCurrentUser,
+  requestEmailChange,
+  updateUserPassword,
+} from "./auth.service.js";
+import { updateItem, getItem } from "./data.service.js";
+import { getUserDataCollection } from "./user-data.service.js";
+import { BADGE_COLORS } from "./badge.service.js";
+
+/**
+ * Updates name and badge color of the signed-in user.
+ *
+ * @param {Object} changes - Profile changes
+ * @param {string} [changes.name] - Full name
+ * @param {string} [changes.colorCode] - One of BADGE_COLORS
+ * @returns {Promise<Object>} - The updated profile
+ * @throws {Error} - If the color is not a badge color, or the write fails
+ */
+async function updateProfile({ name, colorCode }) {
+  if (colorCode && !BADGE_COLORS.includes(colorCode)) {
+    throw new Error(`Unknown badge color: ${colorCode}`);
+  }
+
+  const updates = {};
+  if (name !== undefined) updates.name = name.trim();
+  if (colorCode !== undefined) updates.colorCode = colorCode;
+  return await saveProfile(updates);
+}
+
+/**
+ * Requests an email change for the signed-in user: a confirmation link is sent
+ * to the new address. Auth and profile keep the current address until the link
+ * is opened; syncProfileEmail then copies the new address into the profile.
+ *
+ * @param {string} currentPassword - Current password for re-authentication
+ * @param {string} email - New email address
+ * @returns {Promise<void>}
+ * @throws {Error} - Auth errors (e.g., auth/invalid-credential, auth/email-already-in-use)
+ */
+async function changeEmail(currentPassword, email) {
+  await reauthenticateCurrentUser(currentPassword);
+  await requestEmailChange(email);
+}
+
+/**
+ * Copies a confirmed email change from auth into the user's profile.
+ * Guests and profiles that already match are left alone.
+ *
+ * @param {Object} user - Signed-in auth user
+ * @returns {Promise<void>}
+ */
+async function syncProfileEmail(user) {
+  if (user.isAnonymous || !user.email) return;
+
+  const profile = await getItem("users", user.uid);
+  if (!profile || profile.email === user.email) return;
+
+  await updateItem("users", user.uid, { email: user.email });
+  localStorage.setItem("currentUserEmail", user.email);
+}
+
+/**
+ * Changes the password of the signed-in user.
+ *
+ * @param {string} currentPassword - Current password for re-authentication
+ * @param {string} newPassword - New password
+ * @returns {Promise<void>}
+ * @throws {Error} - Auth errors (e.g., auth/invalid-credential, auth/weak-password)
+ */
+async function changePassword(currentPassword, newPassword) {
+  await reauthenticateCurrentUser(currentPassword);
+  await updateUserPassword(newPassword);
+}
+
+/**
+ * Writes profile changes and refreshes window.currentUserData.
+ *
+ * @param {Object} updates - Fields to update
+ * @returns {Promise<Object>} - The updated profile
+ * @throws {Error} - If no user is signed in
+ */
+async function saveProfile(updates) {
+  const user = getCurrentAuthUser();
+  if (!user) throw new Error("No user is currently signed in");
+
+  const collectionName = getUserDataCollection();
+  await updateItem(collectionName, user.uid, updates);
+  const profile = await getItem(collectionName, user.uid);
+
+  window.currentUserData = profile;
+  return profile;
+}
+
+export { updateProfile, changeEmail, changePassword, syncProfileEmail };
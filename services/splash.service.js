@@ -31,3 +31,23 @@ export function hideSplashDelayed(minDuration = 800) {
     splash.classList.add("splash--hidden");
   }, delay);
 }
+
+/**
+ * Shows a status message below the splash logo, e.g. while data is updated.
+ * An empty message removes it.
+ *
+ * @param {string} message - Message to show
+ */
+export function setSplashMessage(message) {
+  const splash = document.getElementById("splashScreen");
+  if (!splash) return;
+
+  let element = splash.querySelector(".splash__message");
+  if (!element) {
+    element = document.createElement("p");
+    element.className = "splash__message";
+    element.setAttribute("role", "status");
+    splash.appendChild(element);
+  }
+  element.textContent = message;
+}
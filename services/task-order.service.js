@@ -0,0 +1,255 @@
+/**
+ * @fileoverview Task Order Service
+ * @description Manual order of tasks within a board column. Every task stores a
+ *              position key: a base-62 fraction whose string order is the display
+ *              order. A key between two neighbours can always be generated, so moving
+ *              one card writes one document. When keys grow longer than
+ *              APP_CONFIG.TASK_POSITION_MAX_LENGTH, the column is renumbered with
+ *              short, evenly spaced keys, written in the same batch as the moved or
+ *              new task.
+ * @module services/task-order.service
+ */
+
+import { APP_CONFIG } from "../config/app.config.js";
+import { queryDocuments, runBatch } from "./firestore.service.js";
+
+/**
+ * Digits of the position keys, in ASCII (= sort) order.
+ * @type {string}
+ */
+const DIGITS = "0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz";
+
+/**
+ * Compares two tasks by position key. Tasks without a key come last,
+ * in creation order.
+ *
+ * @param {Object} a - Task
+ * @param {Object} b - Task
+ * @returns {number} - Negative, zero or positive like Array.prototype.sort expects
+ */
+function comparePositions(a, b) {
+  if (a.position && b.position) return compareKeys(a.position, b.position);
+  if (a.position || b.position) return a.position ? -1 : 1;
+  return String(a.createdAt || "").localeCompare(String(b.createdAt || ""));
+}
+
+/**
+ * Returns a copy of the tasks sorted by position key.
+ *
+ * @param {Array<Object>} tasks - Tasks
+ * @returns {Array<Object>} - Sorted tasks
+ */
+function sortByPosition(tasks) {
+  return [...tasks].sort(comparePositions);
+}
+
+/**
+ * Compares two keys by code units (not locale), which is the key order.
+ *
+ * @param {string} a - Position key
+ * @param {string} b - Position key
+ * @returns {number} - -1, 0 or 1
+ */
+function compareKeys(a, b) {
+  if (a === b) return 0;
+  return a < b ? -1 : 1;
+}
+
+/**
+ * Generates a key between two keys.
+ *
+ * @param {string|null} before - Key of the previous task, or null at the start
+ * @param {string|null} after - Key of the next task, or null at the end
+ * @returns {string} - Key with before < key < after
+ * @throws {Error} - If before is not smaller than after
+ * @example
+ * getKeyBetween(null, null); // "V"
+ * getKeyBetween("V", "W"); // "VV"
+ */
+function getKeyBetween(before, after) {
+  if (before && after && before >= after) {
+    throw new Error(`Invalid position keys: ${before} >= ${after}`);
+  }
+  return getMidpoint(before || "", after || null);
+}
+
+/**
+ * Midpoint of two base-62 fractions given by their digits. Keys never end
+ * in "0", so there is always room for a key below any other key.
+ *
+ * @param {string} a - Lower digits ("" for 0)
+ * @param {string|null} b - Upper digits (null for 1)
+ * @returns {string} - Digits of a value between a and b
+ */
+function getMidpoint(a, b) {
+  if (b !== null) {
+    let common = 0;
+    while ((a[common] || "0") === b[common]) common += 1;
+    if (common > 0) {
+      return b.slice(0, common) + getMidpoint(a.slice(common), b.slice(common));
+    }
+  }
+  const digitA = a ? DIGITS.indexOf(a[0]) : 0;
+  const digitB = b !== null ? DIGITS.indexOf(b[0]) : DIGITS.length;
+  if (digitB - digitA > 1) return DIGITS[Math.round((digitA + digitB) / 2)];
+  if (b && b.length > 1) return b.slice(0, 1);
+  return DIGITS[digitA] + getMidpoint(a.slice(1), null);
+}
+
+/**
+ * Generates short, evenly spaced keys for a whole column.
+ *
+ * @param {number} count - Number of tasks
+ * @returns {string[]} - Ascending keys
+ */
+function getEvenPositions(count) {
+  let width = 1;
+  while (DIGITS.length ** width < 2 * (count + 1)) width += 1;
+
+  const range = DIGITS.length ** width;
+  return Array.from({ length: count }, (_, index) =>
+    toKey(Math.round(((index + 1) * range) / (count + 1)), width),
+  );
+}
+
+/**
+ * Writes a number as a fixed-width base-62 key without trailing zeros.
+ *
+ * @param {number} value - Value between 1 and 62^width - 1
+ * @param {number} width - Number of digits
+ * @returns {string} - Position key
+ */
+function toKey(value, width) {
+  let key = "";
+  for (let rest = value, i = 0; i < width; i += 1) {
+    key = DIGITS[rest % DIGITS.length] + key;
+    rest = Math.floor(rest / DIGITS.length);
+  }
+  return key.replace(/0+$/, "");
+}
+
+/**
+ * Works out the position key(s) after a task was placed in a column.
+ * Usually only the placed task gets a new key. The whole column is
+ * renumbered if the new key would be too long, or neighbours have no
+ * (or out of order) keys.
+ *
+ * @param {Array<Object>} columnTasks - Tasks of the column in the new order
+ * @param {string} taskId - ID of the placed task
+ * @returns {Array<{id: string, position: string}>} - Tasks whose key changes
+ */
+function getPositionChanges(columnTasks, taskId) {
+  const index = columnTasks.findIndex((task) => task.id === taskId);
+  const before = columnTasks[index - 1]?.position ?? null;
+  const after = columnTasks[index + 1]?.position ?? null;
+  const neighboursValid =
+    (index === 0 || before) &&
+    (index === columnTasks.length - 1 || after) &&
+    !(before && after && before >= after);
+
+  const key = neighboursValid ? getKeyBetween(before, after) : null;
+  if (key && key.length <= APP_CONFIG.TASK_POSITION_MAX_LENGTH) {
+    return [{ id: taskId, position: key }];
+  }
+  return getRenumberChanges(columnTasks);
+}
+
+/**
+ * Assigns evenly spaced keys to a column in its current order.
+ *
+ * @param {Array<Object>} columnTasks - Tasks of the column in display order
+ * @returns {Array<{id: string, position: string}>} - Tasks whose key changes
+ */
+function getRenumberChanges(columnTasks) {
+  const keys = getEvenPositions(columnTasks.length);
+  return columnTasks
+    .map((task, index) => ({ id: task.id, position: keys[index] }))
+    .filter((change, index) => change.position !== columnTasks[index].position);
+}
+
+/**
+ * Works out the position key(s) for a new task at the end of a column.
+ * Goes through getPositionChanges, so the column is renumbered like after a
+ * move once the new key would be too long.
+ *
+ * @param {Array<Object>} columnTasks - Tasks of the column in display order
+ * @param {string} taskId - ID of the new task
+ * @returns {Array<{id: string, position: string}>} - Key changes, including the new task's key
+ */
+function getAppendChanges(columnTasks, taskId) {
+  return getPositionChanges(
+    [...columnTasks, { id: taskId, position: null }],
+    taskId,
+  );
+}
+
+/**
+ * Builds the batch operations that write new position keys.
+ *
+ * @param {Array<{id: string, position: string}>} changes - Key changes
+ * @returns {Array<import("./firestore.service.js").WriteOperation>} - Update operations
+ */
+function getPositionOperations(changes) {
+  return changes.map(({ id, position }) => ({
+    type: "update",
+    collectionName: "tasks",
+    docId: id,
+    data: { position },
+  }));
+}
+
+/**
+ * Gives every task of a user a position key. Columns in which all tasks
+ * already have keys are left untouched; other columns are renumbered in
+ * their current order (keyed tasks first, then by creation date).
+ *
+ * @param {string} userId - User ID
+ * @returns {Promise<number>} - Number of updated tasks
+ */
+async function migrateTaskPositions(userId) {
+  const tasks = await queryDocuments("tasks", "userId", "==", userId);
+  const changes = groupByStatus(tasks)
+    .filter((columnTasks) => columnTasks.some((task) => !task.position))
+    .flatMap((columnTasks) => getRenumberChanges(sortByPosition(columnTasks)));
+
+  await writePositions(changes);
+  return changes.length;
+}
+
+/**
+ * Splits tasks into one list per status.
+ *
+ * @param {Array<Object>} tasks - Tasks
+ * @returns {Array<Array<Object>>} - Tasks per status
+ */
+function groupByStatus(tasks) {
+  const columns = new Map();
+  tasks.forEach((task) => {
+    if (!columns.has(task.status)) columns.set(task.status, []);
+    columns.get(task.status).push(task);
+  });
+  return [...columns.values()];
+}
+
+/**
+ * Writes position keys in batches of at most 500 operations.
+ *
+ * @param {Array<{id: string, position: string}>} changes - Key changes
+ * @returns {Promise<void>}
+ */
+async function writePositions(changes) {
+  const operations = getPositionOperations(changes);
+
+  for (let i = 0; i < operations.length; i += 500) {
+    await runBatch(operations.slice(i, i + 500));
+  }
+}
+
+export {
+  sortByPosition,
+  getKeyBetween,
+  getPositionChanges,
+  getAppendChanges,
+  getPositionOperations,
+  migrateTaskPositions,
+};
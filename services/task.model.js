@@ -0,0 +1,285 @@
+/**
+ * @fileoverview Task Model
+ * @description Defines the canonical task schema (fields and enums), normalizes legacy
+ *              task documents on read and migrates old documents in place.
+ *              All task consumers work with normalized tasks only.
+ * @module services/task.model
+ */
+
+import { queryDocuments, runBatch } from "./firestore.service.js";
+
+/**
+ * Canonical task status values (board columns).
+ * @enum {string}
+ */
+const TASK_STATUS = Object.freeze({
+  TODO: "todo",
+  IN_PROGRESS: "in-progress",
+  AWAITING_FEEDBACK: "awaiting-feedback",
+  DONE: "done",
+});
+
+/**
+ * Canonical task priority values.
+ * @enum {string}
+ */
+const TASK_PRIORITY = Object.freeze({
+  URGENT: "urgent",
+  MEDIUM: "medium",
+  LOW: "low",
+});
+
+/**
+ * Canonical task category values.
+ * @enum {string}
+ */
+const TASK_CATEGORY = Object.freeze({
+  TECHNICAL_TASK: "technical-task",
+  USER_STORY: "user-story",
+});
+
+/**
+ * Statuses of tasks that are not finished yet.
+ * @type {string[]}
+ */
+const OPEN_TASK_STATUSES = [
+  TASK_STATUS.TODO,
+  TASK_STATUS.IN_PROGRESS,
+  TASK_STATUS.AWAITING_FEEDBACK,
+];
+
+/**
+ * Legacy status spellings mapped to canonical values.
+ * @type {Object<string, string>}
+ */
+const STATUS_ALIASES = {
+  todo: TASK_STATUS.TODO,
+  "to-do": TASK_STATUS.TODO,
+  "to do": TASK_STATUS.TODO,
+  "in-progress": TASK_STATUS.IN_PROGRESS,
+  "in progress": TASK_STATUS.IN_PROGRESS,
+  progress: TASK_STATUS.IN_PROGRESS,
+  "awaiting-feedback": TASK_STATUS.AWAITING_FEEDBACK,
+  "awaiting feedback": TASK_STATUS.AWAITING_FEEDBACK,
+  await: TASK_STATUS.AWAITING_FEEDBACK,
+  feedback: TASK_STATUS.AWAITING_FEEDBACK,
+  done: TASK_STATUS.DONE,
+};
+
+/**
+ * Legacy priority spellings mapped to canonical values.
+ * @type {Object<string, string>}
+ */
+const PRIORITY_ALIASES = {
+  urgent: TASK_PRIORITY.URGENT,
+  high: TASK_PRIORITY.URGENT,
+  medium: TASK_PRIORITY.MEDIUM,
+  low: TASK_PRIORITY.LOW,
+};
+
+/**
+ * Legacy category spellings mapped to canonical values.
+ * @type {Object<string, string>}
+ */
+const CATEGORY_ALIASES = {
+  "technical-task": TASK_CATEGORY.TECHNICAL_TASK,
+  "technical task": TASK_CATEGORY.TECHNICAL_TASK,
+  technical: TASK_CATEGORY.TECHNICAL_TASK,
+  "user-story": TASK_CATEGORY.USER_STORY,
+  "user story": TASK_CATEGORY.USER_STORY,
+  story: TASK_CATEGORY.USER_STORY,
+};
+
+/**
+ * Fields of old documents that are folded into canonical fields.
+ * @type {string[]}
+ */
+const LEGACY_FIELDS = ["prio", "assigned"];
+
+/**
+ * Normalizes a raw task document into the canonical schema.
+ * Unknown enum values fall back to todo / medium / technical-task.
+ *
+ * @param {Object} rawTask - Task document as stored
+ * @returns {Object} - Canonical task
+ */
+function normalizeTask(rawTask) {
+  return {
+    id: rawTask.id,
+    userId: rawTask.userId || "",
+    title: String(rawTask.title || "").trim(),
+    description: String(rawTask.description || "").trim(),
+    dueDate: normalizeDueDate(rawTask.dueDate),
+    priority: normalizePriority(rawTask.priority ?? rawTask.prio),
+    status: normalizeEnum(rawTask.status, STATUS_ALIASES, TASK_STATUS.TODO),
+    category: normalizeCategory(rawTask.category),
+    assignedTo: normalizeAssignees(rawTask.assignedTo ?? rawTask.assigned),
+    subtasks: normalizeSubtasks(rawTask.subtasks),
+    position: typeof rawTask.position === "string" ? rawTask.position : null,
+    deletedAt: rawTask.deletedAt || null,
+    createdAt: rawTask.createdAt || null,
+    updatedAt: rawTask.updatedAt || rawTask.createdAt || null,
+  };
+}
+
+/**
+ * Builds a canonical task document for a new task.
+ *
+ * @param {string} userId - Owner's user ID
+ * @param {Object} input - Task fields (title, description, dueDate, priority, ...)
+ * @returns {Object} - Canonical task without ID
+ */
+function createTaskData(userId, input) {
+  const now = new Date().toISOString();
+  const { id, ...task } = normalizeTask({
+    ...input,
+    userId,
+    createdAt: now,
+    updatedAt: now,
+  });
+  return task;
+}
+
+/**
+ * Checks whether a stored task differs from its canonical form.
+ *
+ * @param {Object} rawTask - Task document as stored
+ * @returns {boolean} - True if the document should be rewritten
+ */
+function needsMigration(rawTask) {
+  if (LEGACY_FIELDS.some((field) => field in rawTask)) return true;
+
+  const normalized = normalizeTask(rawTask);
+  return Object.keys(normalized).some(
+    (field) =>
+      field !== "id" &&
+      JSON.stringify(normalized[field]) !== JSON.stringify(rawTask[field]),
+  );
+}
+
+/**
+ * Rewrites all legacy task documents of a user in canonical form.
+ * The canonical fields are merged in and only the legacy fields are removed,
+ * so fields outside the schema are kept.
+ * Safe to run repeatedly: canonical documents are left untouched.
+ *
+ * @param {string} userId - User ID
+ * @returns {Promise<number>} - Number of migrated tasks
+ */
+async function migrateLegacyTasks(userId) {
+  const tasks = await queryDocuments("tasks", "userId", "==", userId);
+  const operations = tasks.filter(needsMigration).map((task) => {
+    const { id, ...data } = normalizeTask(task);
+    return {
+      type: "update",
+      collectionName: "tasks",
+      docId: id,
+      data,
+      deleteFields: LEGACY_FIELDS.filter((field) => field in task),
+    };
+  });
+
+  for (let i = 0; i < operations.length; i += 500) {
+    await runBatch(operations.slice(i, i + 500));
+  }
+  return operations.length;
+}
+
+/**
+ * Maps a raw enum value through an alias table (case-insensitive).
+ *
+ * @param {any} value - Raw value
+ * @param {Object<string, string>} aliases - Alias table
+ * @param {string} fallback - Value for unknown input
+ * @returns {string} - Canonical value
+ */
+function normalizeEnum(value, aliases, fallback) {
+  const key = String(value || "")
+    .trim()
+    .toLowerCase();
+  return aliases[key] || fallback;
+}
+
+/**
+ * Normalizes a priority value.
+ *
+ * @param {any} value - Raw priority (e.g. "Urgent", "high")
+ * @returns {string} - Canonical priority
+ */
+function normalizePriority(value) {
+  return normalizeEnum(value, PRIORITY_ALIASES, TASK_PRIORITY.MEDIUM);
+}
+
+/**
+ * Normalizes a category value.
+ *
+ * @param {any} value - Raw category (e.g. "Technical Task")
+ * @returns {string} - Canonical category
+ */
+function normalizeCategory(value) {
+  return normalizeEnum(value, CATEGORY_ALIASES, TASK_CATEGORY.TECHNICAL_TASK);
+}
+
+/**
+ * Normalizes a due date to "YYYY-MM-DD".
+ * Accepts date strings, timestamps and Firestore Timestamp objects.
+ *
+ * @param {any} value - Raw due date
+ * @returns {string|null} - Date string or null if missing/invalid
+ */
+function normalizeDueDate(value) {
+  if (!value) return null;
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) return value;
+
+  const date =
+    typeof value.toDate === "function" ? value.toDate() : new Date(value);
+  return isNaN(date) ? null : date.toISOString().slice(0, 10);
+}
+
+/**
+ * Normalizes assignees to an array of unique contact IDs.
+ *
+ * @param {any} value - Raw assignees (array or single ID)
+ * @returns {string[]} - Contact IDs
+ */
+function normalizeAssignees(value) {
+  const list = Array.isArray(value) ? value : value ? [value] : [];
+  const ids = list
+    .map((entry) => (typeof entry === "object" ? entry?.id : entry))
+    .filter(Boolean)
+    .map(String);
+  return [...new Set(ids)];
+}
+
+/**
+ * Normalizes subtasks to { title, done } objects.
+ * Accepts plain strings and legacy { text, completed } shapes.
+ *
+ * @param {any} value - Raw subtasks
+ * @returns {Array<{title: string, done: boolean}>} - Subtasks
+ */
+function normalizeSubtasks(value) {
+  if (!Array.isArray(value)) return [];
+
+  return value
+    .map((subtask) =>
+      typeof subtask === "string"
+        ? { title: subtask.trim(), done: false }
+        : {
+            title: String(subtask?.title ?? subtask?.text ?? "").trim(),
+            done: Boolean(subtask?.done ?? subtask?.completed),
+          },
+    )
+    .filter((subtask) => subtask.title.length > 0);
+}
+
+export {
+  TASK_STATUS,
+  TASK_PRIORITY,
+  TASK_CATEGORY,
+  OPEN_TASK_STATUSES,
+  normalizeTask,
+  createTaskData,
+  needsMigration,
+  migrateLegacyTasks,
+};
@@ -0,0 +1,186 @@
+/**
+ * @fileoverview Trash Service
+ * @description Soft deletion for tasks and contacts. Deleted items keep their document
+ *              with a deletedAt timestamp, are hidden from the standard read helpers in
+ *              data.service, and can be restored or purged from the trash. Items older
+ *              than APP_CONFIG.TRASH_RETENTION_DAYS are purged automatically.
+ * @module services/trash.service
+ */
+
+import { getDocument, queryDocuments, runBatch } from "./firestore.service.js";
+import {
+  ACTIVITY_ACTION,
+  createActivityOperation,
+} from "./activity.service.js";
+import { APP_CONFIG } from "../config/app.config.js";
+import { assertWriteAccess } from "./verification.policy.js";
+
+/**
+ * Collections whose items go to the trash instead of being deleted.
+ * @type {string[]}
+ */
+const TRASH_COLLECTIONS = ["tasks", "contacts"];
+
+const MAX_BATCH_OPERATIONS = 500;
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Checks whether items of a collection are soft deleted.
+ *
+ * @param {string} collectionName - Collection name
+ * @returns {boolean} - True for trash collections
+ */
+function isTrashCollection(collectionName) {
+  return TRASH_COLLECTIONS.includes(collectionName);
+}
+
+/**
+ * Checks whether an item is not in the trash.
+ *
+ * @param {Object|null} item - Document data
+ * @returns {boolean} - True if the item exists and is not deleted
+ */
+function isNotDeleted(item) {
+  return Boolean(item) && !item.deletedAt;
+}
+
+/**
+ * Builds the write operation that moves an item to the trash
+ * by setting its deletedAt timestamp.
+ *
+ * @param {string} collectionName - Collection name ("tasks" or "contacts")
+ * @param {string} id - Document ID
+ * @returns {import("./firestore.service.js").WriteOperation} - "update" operation
+ */
+function createTrashOperation(collectionName, id) {
+  return {
+    type: "update",
+    collectionName,
+    docId: id,
+    data: { deletedAt: new Date().toISOString() },
+  };
+}
+
+/**
+ * Gets all trashed tasks and contacts of a user, most recently deleted first.
+ * Each item carries its collectionName so it can be restored or purged.
+ *
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} - Trashed items
+ */
+async function getTrashedItems(userId) {
+  const results = await Promise.all(
+    TRASH_COLLECTIONS.map(async (collectionName) => {
+      const items = await queryDocuments(
+        collectionName,
+        "userId",
+        "==",
+        userId,
+      );
+      return items
+        .filter((item) => item.deletedAt)
+        .map((item) => ({ ...item, collectionName }));
+    }),
+  );
+
+  return results.flat().sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+}
+
+/**
+ * Restores an item from the trash and records it in the activity log.
+ *
+ * @param {string} collectionName - Collection name
+ * @param {string} id - Document ID
+ * @returns {Promise<void>}
+ */
+async function restoreItem(collectionName, id) {
+  assertWriteAccess();
+  const item = await getDocument(collectionName, id);
+  const data = { deletedAt: null };
+
+  await runBatch([
+    { type: "update", collectionName, docId: id, data },
+    createActivityOperation(ACTIVITY_ACTION.RESTORE, collectionName, id, item, {
+      ...item,
+      ...data,
+    }),
+  ]);
+}
+
+/**
+ * Permanently deletes a trashed item and records it in the activity log.
+ * Items that are not in the trash are left untouched.
+ *
+ * @param {string} collectionName - Collection name
+ * @param {string} id - Document ID
+ * @returns {Promise<boolean>} - True if the item was purged
+ */
+async function purgeItem(collectionName, id) {
+  assertWriteAccess();
+  const item = await getDocument(collectionName, id);
+  if (!item || !item.deletedAt) return false;
+
+  await runBatch([
+    { type: "delete", collectionName, docId: id },
+    createActivityOperation(
+      ACTIVITY_ACTION.PURGE,
+      collectionName,
+      id,
+      item,
+      null,
+    ),
+  ]);
+  return true;
+}
+
+/**
+ * Purges all trashed items of a user that exceeded the retention period.
+ * Automatic purges are not recorded in the activity log.
+ *
+ * @param {string} userId - User ID
+ * @param {number} [retentionDays] - Days to keep items (default from APP_CONFIG)
+ * @returns {Promise<number>} - Number of purged items
+ */
+async function purgeExpiredItems(
+  userId,
+  retentionDays = APP_CONFIG.TRASH_RETENTION_DAYS,
+) {
+  const cutoff = new Date(Date.now() - retentionDays * DAY_IN_MS).toISOString();
+  const expired = (await getTrashedItems(userId)).filter(
+    (item) => item.deletedAt < cutoff,
+  );
+  const operations = expired.map(({ collectionName, id }) => ({
+    type: "delete",
+    collectionName,
+    docId: id,
+  }));
+
+  for (let i = 0; i < operations.length; i += MAX_BATCH_OPERATIONS) {
+    await runBatch(operations.slice(i, i + MAX_BATCH_OPERATIONS));
+  }
+  return operations.length;
+}
+
+/**
+ * Calculates the date on which a trashed item will be purged.
+ *
+ * @param {Object} item - Trashed item
+ * @param {number} [retentionDays] - Days to keep items (default from APP_CONFIG)
+ * @returns {string} - ISO date string
+ */
+function getPurgeDate(item, retentionDays = APP_CONFIG.TRASH_RETENTION_DAYS) {
+  const deletedAt = new Date(item.deletedAt).getTime();
+  return new Date(deletedAt + retentionDays * DAY_IN_MS).toISOString();
+}
+
+export {
+  TRASH_COLLECTIONS,
+  isTrashCollection,
+  isNotDeleted,
+  createTrashOperation,
+  getTrashedItems,
+  restoreItem,
+  purgeItem,
+  purgeExpiredItems,
+  getPurgeDate,
+};
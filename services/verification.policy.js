@@ -0,0 +1,107 @@
+/**
+ * @fileoverview Email Verification Policy
+ * @description Decides what registered users may do before they verify their email.
+ *              With APP_CONFIG.UNVERIFIED_ACCESS = "read-only", user-initiated writes
+ *              are rejected until the email is verified. Guests and accounts created
+ *              before APP_CONFIG.VERIFICATION_REQUIRED_SINCE are never restricted.
+ *              Users can always edit their own profile, e.g. to fix a mistyped email.
+ *              Profile creation, migrations and automatic cleanups are not affected.
+ *              Mirror the rule in the Firestore security rules
+ *              (request.auth.token.email_verified) for server-side enforcement.
+ * @module services/verification.policy
+ */
+
+import { APP_CONFIG } from "../config/app.config.js";
+import { getCurrentAuthUser } from "./auth.service.js";
+import { ERROR_TYPE, createAppError } from "./error.service.js";
+
+/**
+ * localStorage key holding the time the last verification email was sent.
+ * @type {string}
+ */
+const VERIFICATION_SENT_KEY = "verificationEmailSentAt";
+
+/**
+ * Checks whether a user still has to verify their email.
+ *
+ * @param {Object|null} user - Auth user
+ * @param {string} [requiredSince] - Verification applies to accounts created
+ *                                   from this date on (default from APP_CONFIG)
+ * @returns {boolean} - True for newer registered users with an unverified email
+ */
+function needsVerification(
+  user,
+  requiredSince = APP_CONFIG.VERIFICATION_REQUIRED_SINCE,
+) {
+  if (!user || user.isAnonymous || user.emailVerified) return false;
+  return !isCreatedBefore(user, requiredSince);
+}
+
+/**
+ * Checks whether an account was created before a date.
+ * Accounts without a known creation time count as new.
+ *
+ * @param {Object} user - Auth user
+ * @param {string} [date] - ISO date
+ * @returns {boolean} - True if the account is older than the date
+ */
+function isCreatedBefore(user, date) {
+  const createdAt = Date.parse(user.metadata?.creationTime);
+  return Boolean(date) && createdAt < Date.parse(date);
+}
+
+/**
+ * Checks whether a user may change data under the given policy.
+ *
+ * @param {Object|null} user - Auth user
+ * @param {string} [access] - "full" or "read-only" (default from APP_CONFIG)
+ * @returns {boolean} - True if writes are allowed
+ */
+function canWrite(user, access = APP_CONFIG.UNVERIFIED_ACCESS) {
+  return access !== "read-only" || !needsVerification(user);
+}
+
+/**
+ * Rejects a write of the current user if the policy does not allow it.
+ * Writes to the user's own profile document are always allowed.
+ *
+ * @param {string} [collectionName] - Collection of the written document
+ * @param {string} [docId] - ID of the written document
+ * @throws {Error} - App-level error of type Unverified
+ */
+function assertWriteAccess(collectionName, docId) {
+  const user = getCurrentAuthUser();
+  const isOwnProfile = collectionName === "users" && docId === user?.uid;
+  if (!isOwnProfile && !canWrite(user)) {
+    throw createAppError(
+      ERROR_TYPE.UNVERIFIED,
+      "Email must be verified before changing data",
+    );
+  }
+}
+
+/**
+ * Calculates how long the user has to wait before resending the email.
+ *
+ * @param {number|null} sentAt - Timestamp of the last email in ms
+ * @param {number} [now] - Current timestamp in ms
+ * @param {number} [cooldownSeconds] - Cooldown (default from APP_CONFIG)
+ * @returns {number} - Remaining whole seconds, 0 if resending is allowed
+ */
+function getResendWaitSeconds(
+  sentAt,
+  now = Date.now(),
+  cooldownSeconds = APP_CONFIG.VERIFICATION_RESEND_COOLDOWN_SECONDS,
+) {
+  if (!sentAt) return 0;
+  const remainingMs = sentAt + cooldownSeconds * 1000 - now;
+  return Math.max(0, Math.ceil(remainingMs / 1000));
+}
+
+export {
+  VERIFICATION_SENT_KEY,
+  needsVerification,
+  canWrite,
+  assertWriteAccess,
+  getResendWaitSeconds,
+};